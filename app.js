@@ -1,59 +1,150 @@
-document.addEventListener('DOMContentLoaded', async () => {
-  const $ = (id) => document.getElementById(id);
-  const qs = (sel) => document.querySelector(sel);
-
-  // ---------------- Data URLs ----------------
-  const URLS = {
-    trees:   'pmtiles://trees.pmtiles',
-    fellings:'pmtiles://fellings.pmtiles',
-    nbhd:    './tiles/nbhd_stats.geojson'
+(() => {
+// index.html boots the full page through the data-autostart attribute on its script tag; other
+// pages embed instances with TreeMTL.create (see Embedding, at the end of this file).
+// The app's own files resolve against this script, wherever the page including it lives.
+const APP_BASE = new URL('./', document.currentScript?.src || location.href).href;
+const appUrl = (path) => new URL(path, APP_BASE).href;
+const AUTOSTART = !!document.currentScript?.hasAttribute('data-autostart');
+
+// root is the document for the full page, or an embedded instance's shadow root: every element
+// lookup goes through it, so each instance only ever sees its own copy of the markup.
+async function startApp(root, options = {}){
+  const $ = (id) => root.getElementById(id);
+  const qs = (sel) => root.querySelector(sel);
+  const embedded = root !== document;
+  // Carries the app-wide classes (picking, compare-side, app-bare) and the language
+  const appEl = embedded ? root.querySelector('.app-embed') : document.body;
+  const useHash = options.hash !== false;   // link state in location.hash; off for embeds
+  // Public API events (see Public API), declared early: selections and filters emit them
+  const events = new EventTarget();
+  const emit = (type, detail) => events.dispatchEvent(new CustomEvent(type, { detail }));
+  // Listeners outside the instance's own markup (root, window) go with it: destroy() aborts this
+  const lifetime = new AbortController();
+  const bound = { signal: lifetime.signal };
+  appEl.classList.toggle('app-bare', options.ui === false);
+
+  // ---------------- Data sources ----------------
+  // sources.json (next to this script) names a url and format for each of trees, fellings and nbhd:
+  //   { "fit": "nbhd", "sources": { "trees": { "url": "…", "format": "pmtiles" }, … } }
+  // Formats are pmtiles, geojson, fgb (FlatGeobuf) and csv; csv sources may name their
+  // "lat"/"lon" columns, pmtiles ones their "sourceLayer", nbhd its "idField". "fit" picks
+  // the source whose bounds frame the first view when no points are held in memory.
+  // "basemap" (pmtiles or geojson polygons, optional "labelField") is drawn beneath the CARTO
+  // tiles and shows wherever they cannot load. "species" is the reference table behind the tree
+  // card; "priority" and "heat" are the zone overlays (optional "field", "reverse", "levels");
+  // "stations" and "airquality" are the RSQA station list and readings (optional "columns",
+  // and "thresholds" per pollutant for the readings).
+  // Anything the manifest leaves out falls back to DEFAULT_MANIFEST; an embed's own options.sources
+  // (same shapes, relative to the embedding page) win over both.
+  const DEFAULT_MANIFEST = {
+    fit: 'nbhd',
+    sources: {
+      trees:    { url: 'trees.pmtiles',      format: 'pmtiles' },
+      fellings: { url: 'fellings.pmtiles',   format: 'pmtiles' },
+      nbhd:     { url: 'nbhd_stats.pmtiles', format: 'pmtiles', idField: 'gid' },
+      basemap:  { url: 'nbhd_stats.pmtiles', format: 'pmtiles', labelField: 'nbhd_name' },
+      species:  { url: 'tree_species.csv',   format: 'csv' },
+      priority: { url: 'plantation_priorites.geojson', format: 'geojson' },
+      heat:     { url: 'ilots_chaleur_2023.geojson',   format: 'geojson' },
+      stations:   { url: 'liste-des-stations-rsqa.csv',  format: 'csv' },
+      airquality: { url: 'rsqa-multi-polluants2024.csv', format: 'csv' }
+    }
   };
+  const FORMATS = ['pmtiles', 'geojson', 'fgb', 'csv'];
+  const formatOf = (url) => ({ pmtiles:'pmtiles', fgb:'fgb', csv:'csv' })[new URL(url).pathname.split('.').pop().toLowerCase()] || 'geojson';
 
-  // PMTiles protocol for MapLibre
-  if (typeof pmtiles !== 'undefined') {
-    const protocol = new pmtiles.Protocol();
-    maplibregl.addProtocol('pmtiles', protocol.tile);
-  }
+  // PMTiles protocol for MapLibre, shared by every instance on the page
+  const pmtilesProtocol = sharedPMTilesProtocol();
 
-  // ------------- Helpers -------------
-  function flattenPoints(fc) {
-    if (!fc || !fc.features) return { type:'FeatureCollection', features: [] };
-    const out = [];
-    for (const f of fc.features) {
-      const g = f && f.geometry;
-      if (!g) continue;
-      if (g.type === 'Point') {
-        const [x,y] = g.coordinates || [];
-        if (isFinite(x)&&isFinite(y)) out.push(f);
-      } else if (g.type === 'MultiPoint') {
-        for (const c of g.coordinates || []) {
-          if (!Array.isArray(c)) continue;
-          const [x,y]=c; if (!isFinite(x)||!isFinite(y)) continue;
-          out.push({ type:'Feature', properties:{...(f.properties||{})}, geometry:{ type:'Point', coordinates:[x,y] }});
-        }
-      } else if (g.type === 'GeometryCollection') {
-        for (const gg of g.geometries || []) {
-          if (!gg || gg.type !== 'Point') continue;
-          const [x,y] = gg.coordinates || [];
-          if (isFinite(x)&&isFinite(y)) out.push({ type:'Feature', properties:{...(f.properties||{})}, geometry:gg });
-        }
+  // Archives describe themselves: source-layer, attribute fields, zoom range and bounds come
+  // from the header and metadata. The source-layer named after the source wins, then the first.
+  // Sources naming the same url (the default basemap is the nbhd archive) share one PMTiles.
+  const pmtilesArchives = {};   // name → PMTiles, also used to save areas offline
+  const archivesByUrl = new Map();
+  async function inspectPMTiles(name, src){
+    src.layer = src.sourceLayer || 'layer0';
+    if (!pmtilesProtocol) return;
+    try{
+      let archive = archivesByUrl.get(src.url);
+      if (!archive){
+        archivesByUrl.set(src.url, archive = new pmtiles.PMTiles(src.url));
+        pmtilesProtocol.add(archive);
       }
+      pmtilesArchives[name] = archive;
+      const [header, meta] = await Promise.all([archive.getHeader(), archive.getMetadata()]);
+      const layers = meta?.vector_layers || [];
+      const layer = layers.find(l => l.id === src.sourceLayer) || layers.find(l => l.id === name) || layers[0];
+      src.layer = src.sourceLayer || layer?.id || src.layer;
+      src.fields = Object.keys(layer?.fields || {});
+      src.minzoom = header.minZoom;
+      src.maxzoom = header.maxZoom;
+      src.bounds = [header.minLon, header.minLat, header.maxLon, header.maxLat];
+    }catch(e){
+      console.error('[sources]', name, e);
     }
-    return { type:'FeatureCollection', features: out };
   }
 
-  async function preload(url, name){
+  async function loadManifest(){
+    let manifest = {};
     try{
-      if (String(url).startsWith('pmtiles://')) return null;
-      const res = await fetch(url);
-      if (!res.ok) throw new Error(res.status + ' ' + res.statusText);
-      const gj = await res.json();
-      console.log('[load]', name + ':', gj?.features?.length || 'n/a');
-      return gj;
+      const res = await fetch(appUrl('sources.json'));
+      if (res.ok) manifest = await res.json();
     }catch(e){
-      console.error('[load-error]', name, e);
-      return null;
+      console.warn('[sources] sources.json unreadable, using defaults', e);
     }
+    const sources = {};
+    const add = (defs, base) => {
+      for (const [name, def] of Object.entries(defs || {})){
+        const src = (typeof def === 'string') ? { url: def } : { ...def };
+        src.url = new URL(String(src.url).replace(/^pmtiles:\/\//, ''), base).href;
+        if (!FORMATS.includes(src.format)) src.format = formatOf(src.url);
+        sources[name] = src;
+      }
+    };
+    add({ ...DEFAULT_MANIFEST.sources, ...manifest.sources }, APP_BASE);
+    add(options.sources, location.href);
+    await Promise.all(Object.entries(sources)
+      .filter(([, src]) => src.format === 'pmtiles')
+      .map(([name, src]) => inspectPMTiles(name, src)));
+    return { sources, fit: options.fit ?? manifest.fit ?? DEFAULT_MANIFEST.fit };
+  }
+
+  const { sources: SOURCES, fit: FIT_SOURCE } = await loadManifest();
+  const isPMTiles = (name) => SOURCES[name]?.format === 'pmtiles';
+  const sourceLayer = (name) => isPMTiles(name) ? SOURCES[name].layer : undefined;
+  function vectorSource(name, extra = {}){
+    const { url, minzoom, maxzoom, bounds } = SOURCES[name];
+    return { type:'vector', url: 'pmtiles://' + url, ...(bounds ? { minzoom, maxzoom, bounds } : {}), ...extra };
+  }
+  // Bounds to frame the first view with: the "fit" source's, else every archive's together
+  function manifestBounds(){
+    const all = (SOURCES[FIT_SOURCE]?.bounds ? [SOURCES[FIT_SOURCE]] : Object.values(SOURCES)).map(s => s.bounds).filter(Boolean);
+    if (!all.length) return null;
+    return [[Math.min(...all.map(b => b[0])), Math.min(...all.map(b => b[1]))],
+            [Math.max(...all.map(b => b[2])), Math.max(...all.map(b => b[3]))]];
+  }
+
+  // Trees carry sigle/essence_*, fellings sp_sigle/sp_essence_*
+  function speciesKey(p){ return p?.sigle || p?.sp_sigle || null; }
+  function speciesName(p, lang){
+    const fr = p?.essence_fr || p?.sp_essence_fr;
+    const en = p?.essence_ang || p?.sp_essence_ang;
+    return (lang === 'fr' ? (fr || en) : (en || fr)) || speciesKey(p) || '—';
+  }
+  function plantYear(p){ return +(p?.plant_year || NaN); }   // 0, '' and missing are unknown
+  function fellYear(p){ return +(p?.removal_year || String(p?.removal_date||'').slice(0,4) || NaN); }
+
+  // Neighbourhoods are keyed by gid, or by name in older extracts
+  const nbhdId = (p) => String(p?.gid ?? p?.nbhd_name ?? '');
+  const nbhdName = (p) => p?.nbhd_name ?? p?.name ?? nbhdId(p);
+  const nbhdIdFilter = (ids) =>
+    ['in', ['to-string', ['coalesce', ['get','gid'], ['get','nbhd_name']]], ['literal', ids.map(String)]];
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  function svgEl(name, attrs = {}){
+    const node = document.createElementNS(SVG_NS, name);
+    for (const k in attrs) node.setAttribute(k, attrs[k]);
+    return node;
   }
 
   function boundsFromPoints(fc){
@@ -68,26 +159,191 @@ document.addEventListener('DOMContentLoaded', async () => {
     return [[minX,minY],[maxX,maxY]];
   }
 
+  // ---------------- i18n ----------------
+  // Catalogs live in locales/<code>.json and are listed in locales/index.json;
+  // adding a language means adding both. Values are strings with {placeholders},
+  // or { one, other, ... } objects picked by Intl.PluralRules on vars.count.
+  const FALLBACK_LANG = 'en';
+  const i18n = { lang: FALLBACK_LANG, locales: [], catalogs: {} };
+
+  async function loadLocales(){
+    try{
+      const res = await fetch(appUrl('locales/index.json'));
+      if (!res.ok) throw new Error(res.status + ' ' + res.statusText);
+      i18n.locales = await res.json();
+      await Promise.all(i18n.locales.map(async ({ code })=>{
+        const r = await fetch(appUrl(`locales/${code}.json`));
+        if (r.ok) i18n.catalogs[code] = await r.json();
+      }));
+    }catch(e){
+      console.error('[i18n]', e);
+    }
+  }
+
+  // Last choice > browser languages > fallback; a lang= in the hash wins over all of these
+  // (applyStateToControls)
+  function detectLanguage(){
+    const saved = localStorage.getItem('tree-mtl:lang');
+    if (i18n.catalogs[saved]) return saved;
+    for (const l of navigator.languages || [navigator.language]){
+      const code = String(l || '').slice(0,2).toLowerCase();
+      if (i18n.catalogs[code]) return code;
+    }
+    return FALLBACK_LANG;
+  }
+
+  // Values from the data going into innerHTML templates
+  const escapeHTML = (v) => String(v ?? '').replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' })[c]);
+
+  function fmtNumber(n, opts){ return new Intl.NumberFormat(i18n.lang, opts).format(n); }
+  function fmtDate(v, opts = { dateStyle:'medium' }){
+    const d = (v instanceof Date) ? v : new Date(v);
+    return isNaN(d) ? String(v ?? '—') : new Intl.DateTimeFormat(i18n.lang, opts).format(d);
+  }
+
+  function t(key, vars = {}){
+    let msg = i18n.catalogs[i18n.lang]?.[key] ?? i18n.catalogs[FALLBACK_LANG]?.[key] ?? key;
+    if (msg && typeof msg === 'object'){
+      msg = msg[new Intl.PluralRules(i18n.lang).select(vars.count ?? 0)] ?? msg.other ?? key;
+    }
+    return String(msg).replace(/\{(\w+)\}/g, (m, k)=>
+      !(k in vars) ? m : (typeof vars[k] === 'number' ? fmtNumber(vars[k]) : String(vars[k])));
+  }
+
+  function setLanguage(code){
+    i18n.lang = i18n.catalogs[code] ? code : FALLBACK_LANG;
+    (embedded ? appEl : document.documentElement).lang = i18n.lang;
+    translateDOM();
+  }
+
+  // Missing keys leave the markup's own (English) text in place
+  function translateDOM(scope = root){
+    scope.querySelectorAll('[data-i18n]').forEach(el=>{
+      const msg = t(el.dataset.i18n);
+      if (msg !== el.dataset.i18n) el.textContent = msg;
+    });
+    for (const attr of ['placeholder', 'title', 'aria-label', 'label']){
+      scope.querySelectorAll(`[data-i18n-${attr}]`).forEach(el=>{
+        const key = el.getAttribute(`data-i18n-${attr}`), msg = t(key);
+        if (msg !== key) el.setAttribute(attr, msg);
+      });
+    }
+  }
+
+  // ------------ Data worker -------------
+  // Parsing, flattening, filtering and year counts for the in-memory (GeoJSON) sources run in
+  // data-worker.js. A query on a channel supersedes the previous one on that channel: it is
+  // cancelled if still queued, and its promise resolves to null either way.
+  const dataWorker = workerAt(appUrl('data-worker.js'));
+  const workerJobs = new Map();       // id → resolve
+  const workerChannels = new Map();   // channel → id of its latest query
+  let workerSeq = 0;
+  dataWorker.onmessage = ({ data }) => {
+    const resolve = workerJobs.get(data.id);
+    if (!resolve) return;
+    workerJobs.delete(data.id);
+    if (data.error) console.error('[worker]', data.error);
+    resolve(data.error ? null : data);
+  };
+  function workerRequest(type, payload, channel = null){
+    const id = ++workerSeq;
+    if (channel){
+      const prev = workerChannels.get(channel);
+      if (workerJobs.has(prev)){
+        dataWorker.postMessage({ type:'cancel', id: prev });
+        workerJobs.get(prev)(null);
+        workerJobs.delete(prev);
+      }
+      workerChannels.set(channel, id);
+    }
+    return new Promise(resolve => {
+      workerJobs.set(id, resolve);
+      dataWorker.postMessage({ id, type, ...payload });
+    });
+  }
+  async function loadPoints(kind){
+    if (isPMTiles(kind)) return null;
+    const res = await workerRequest('load', { kind, source: SOURCES[kind] });
+    return res && { ...res, features: unpackFeatures(res.points) };
+  }
+  // The features 'load' sent as columns (see packFeatures in data-worker.js), in the worker's
+  // order, which its filter results index into
+  function unpackFeatures({ count, coords, columns, ids }){
+    const features = new Array(count);
+    for (let i = 0; i < count; i++){
+      const properties = {};
+      for (const c of columns){
+        if (c.data){ if (!Number.isNaN(c.data[i])) properties[c.key] = c.data[i]; }
+        else if (c.codes[i]) properties[c.key] = c.values[c.codes[i]];
+      }
+      const f = { type:'Feature', properties, geometry:{ type:'Point', coordinates: [coords[2 * i], coords[2 * i + 1]] } };
+      if (ids?.[i] != null) f.id = ids[i];
+      features[i] = f;
+    }
+    return features;
+  }
+  // Any other in-memory source, parsed by the worker but not indexed
+  async function loadCollection(name){
+    if (isPMTiles(name)) return null;
+    return (await workerRequest('read', { name, source: SOURCES[name] }))?.collection || null;
+  }
+  // Reference tables: rows without geometry
+  async function loadTable(name){
+    if (!SOURCES[name]) return [];
+    return (await workerRequest('table', { name, source: SOURCES[name] }))?.rows || [];
+  }
+
   // ------------ Load data -------------
-  const [rawTrees, rawFell, rawNbhd] = await Promise.all([
-    preload(URLS.trees, 'trees'),
-    preload(URLS.fellings, 'fellings'),
-    preload(URLS.nbhd, 'nbhd')
+  const [treesData, fellData, rawNbhd] = await Promise.all([
+    loadPoints('trees'),
+    loadPoints('fellings'),
+    loadCollection('nbhd'),
+    loadLocales()
   ]);
   // Keep originals for client-side filtering
-  const treesAll = flattenPoints(rawTrees || {type:'FeatureCollection',features:[]});
-  const fellAll  = flattenPoints(rawFell  || {type:'FeatureCollection',features:[]});
+  const treesAll = { type:'FeatureCollection', features: treesData?.features || [] };
+  const fellAll  = { type:'FeatureCollection', features: fellData?.features || [] };
+  // Species and cause tallies the worker made while indexing (see speciesIndex, fellingCauses)
+  const pointSummaries = { trees: treesData, fellings: fellData };
   // Mutable currently-displayed FeatureCollections
   let treesFC = treesAll;
   let fellFC  = fellAll;
-  let activeSpecies = null;
+  // Point filters; years mirror the top-bar inputs (see Filters)
+  const filters = {
+    plant: [1900, 2025], fell: [1989, 2025],
+    species: new Set(),   // sigles; empty means every species
+    height: null,         // [min, max] in metres, either end may be null; alive trees only
+    causes: new Set(),    // felling causes; empty means any
+    unknownYear: false    // keep points without a plant/removal year
+  };
+
+  // Link state is read before the map exists so the first render already matches it; embeds
+  // start from their options instead
+  const initialState = useHash ? readHashState() : stateFromOptions(options);
 
   // ---------------- Map init ----------------
+  // Glyphs ship with the app (tools/build-glyphs.js) so labels survive going offline
+  const LABEL_FONT = ['DejaVu Sans Book'];
+  const FOCUS_COLOR = '#1a73e8';   // keyboard focus ring, on the map and in the sidebar
+  const basemapLocal = SOURCES.basemap;
+  function basemapLocalLayers(){
+    if (!basemapLocal) return [];
+    const src = { source: 'basemap-local', ...(isPMTiles('basemap') ? { 'source-layer': sourceLayer('basemap') } : {}) };
+    return [
+      { id: 'basemap-local-fill', type: 'fill', ...src, paint: { 'fill-color': '#f2efe9' } },
+      { id: 'basemap-local-line', type: 'line', ...src, paint: { 'line-color': '#c9c2b5', 'line-width': 1 } },
+      ...(basemapLocal.labelField ? [{
+        id: 'basemap-local-label', type: 'symbol', ...src, minzoom: 10,
+        layout: { 'text-field': ['get', basemapLocal.labelField], 'text-font': LABEL_FONT, 'text-size': 12 },
+        paint: { 'text-color': '#8a8377', 'text-halo-color': '#f2efe9', 'text-halo-width': 1 }
+      }] : [])
+    ];
+  }
   const map = new maplibregl.Map({
-    container: 'map',
+    container: $('map'),
     style: {
       version: 8,
-      glyphs: 'https://demotiles.maplibre.org/font/{fontstack}/{range}.pbf',
+      glyphs: appUrl('glyphs/') + '{fontstack}/{range}.pbf',
       sources: {
         // Pale basemap
         'basemap': {
@@ -96,72 +352,172 @@ document.addEventListener('DOMContentLoaded', async () => {
           tileSize: 256,
           attribution:
             '© OpenStreetMap © CARTO'
-        }
+        },
+        // Local fallback under it: any raster tile that fails to load leaves this showing
+        ...(basemapLocal ? { 'basemap-local': isPMTiles('basemap') ? vectorSource('basemap')
+                                                                   : { type:'geojson', data: basemapLocal.url } } : {})
       },
-      layers: [{ id: 'basemap', type: 'raster', source: 'basemap' }]
+      layers: [
+        ...basemapLocalLayers(),
+        { id: 'basemap', type: 'raster', source: 'basemap' }
+      ]
     },
-    center: [-73.60, 45.52],
-    zoom: 10.5
+    center: initialState.camera?.center || [-73.60, 45.52],
+    zoom: initialState.camera?.zoom ?? 10.5,
+    bearing: initialState.camera?.bearing || 0,
+    pitch: initialState.camera?.pitch || 0
   });
   map.addControl(new maplibregl.NavigationControl({ showCompass:false }), 'top-left');
 
-  // ---- Styling helpers: livability legend ----
-  function gradientStops(metric){
-    if (metric === 'heat') {
-      return [
-        [1, '#cbe6ff'], // very cool/light blue
-        [2, '#a8d4ff'],
-        [3, '#ffd966'], // yellow
-        [4, '#ffb84d'], // orange
-        [5, '#ff704d']  // red
-      ];
-    } else if (metric === 'noise_eq') {
-      return [
-        [50, '#cbe6ff'],
-        [55, '#a8d4ff'],
-        [60, '#ffd966'],
-        [65, '#ffb84d'],
-        [70, '#ff704d']
-      ];
-    } else if (metric === 'noise_p50') {
-      return [
-        [45, '#cbe6ff'],
-        [50, '#a8d4ff'],
-        [55, '#ffd966'],
-        [60, '#ffb84d'],
-        [65, '#ff704d']
-      ];
-    } else { // pm25
-      return [
-        [4, '#cbe6ff'],
-        [6, '#a8d4ff'],
-        [8, '#ffd966'],
-        [10,'#ffb84d'],
-        [12,'#ff704d']
-      ];
-    }
-  }
-  function setLegend(metric){
-    const stops = gradientStops(metric);
-    const legend = $('legend');
+  // ---- Styling helpers: metric registry & classification ----
+  // One entry per choropleth metric. prop (then aliases) is read from the neighbourhood
+  // features; 'trees' metrics are computed client-side (see Neighbourhood metrics).
+  // fixed: hand-picked class breaks; palette: used while the palette picker is on 'auto'.
+  const METRICS = {
+    heat:       { group:'livability', prop:'heat',      aliases:['heat_class_mean'], label:'metric.heat', unit:'',      digits:1, palette:'classic', fixed:[1,2,3,4,5] },
+    laeq:       { group:'livability', prop:'noise_eq',  aliases:['laeq_db'],         label:'metric.laeq', unit:'dB',    digits:0, palette:'classic', fixed:[50,55,60,65,70] },
+    la50:       { group:'livability', prop:'noise_p50', aliases:['la50_db'],         label:'metric.la50', unit:'dB',    digits:0, palette:'classic', fixed:[45,50,55,60,65] },
+    pm25:       { group:'livability', prop:'pm25',      aliases:['pm25_ugm3'],       label:'metric.pm25', unit:'µg/m³', digits:1, palette:'classic', fixed:[4,6,8,10,12] },
+    trees_km2:  { group:'trees', prop:'trees_per_km2',     label:'metric.treesKm2',  unit:'/km²', digits:0, palette:'greens' },
+    fell_rate:  { group:'trees', prop:'fellings_per_year', label:'metric.fellRate',  unit:'',     digits:1, palette:'reds' },
+    shannon:    { group:'trees', prop:'shannon',           label:'metric.shannon',   unit:'',     digits:2, palette:'greens' },
+    height_med: { group:'trees', prop:'median_height',     label:'metric.heightMed', unit:'m',    digits:1, palette:'greens' },
+    replaced:   { group:'trees', prop:'replacement_rate',  label:'metric.replaced',  unit:'%',    digits:0, palette:'greens' },
+    replace_lag:{ group:'trees', prop:'replacement_lag',   label:'metric.replaceLag', unit:'',    digits:1, palette:'reds' }
+  };
+  const METRIC_GROUPS = [['livability', 'metric.groupLivability'], ['trees', 'metric.groupTrees']];
+  const metricsIn = (group) => Object.keys(METRICS).filter(k => METRICS[k].group === group);
+
+  // Five classes each; all but 'classic' are colour-blind safe (viridis/cividis, ColorBrewer)
+  const PALETTES = {
+    classic: ['#cbe6ff','#a8d4ff','#ffd966','#ffb84d','#ff704d'],
+    viridis: ['#440154','#3b528b','#21918c','#5ec962','#fde725'],
+    cividis: ['#00204d','#414d6b','#7c7b78','#bcaf6f','#ffea46'],
+    ylorrd:  ['#ffffb2','#fecc5c','#fd8d3c','#f03b20','#bd0026'],
+    greens:  ['#edf8e9','#bae4b3','#74c476','#31a354','#006d2c'],
+    reds:    ['#fee5d9','#fcae91','#fb6a4a','#de2d26','#a50f15']
+  };
+  const CLASS_METHODS = ['fixed', 'quantile', 'equal', 'jenks'];
+  const NO_DATA_COLOR = '#e0e0e0';
+
+  const metricProps = (key) => [METRICS[key].prop, ...(METRICS[key].aliases || [])];
+  // Livability metrics need a field in the neighbourhood source; archives list theirs
+  const metricAvailable = (key) => METRICS[key].group === 'trees' || !SOURCES.nbhd?.fields
+    || metricProps(key).some(p => SOURCES.nbhd.fields.includes(p));
+  function metricValue(p, key){
+    for (const k of metricProps(key)){
+      const v = parseFloat(p?.[k]);
+      if (isFinite(v)) return v;
+    }
+    return null;
+  }
+  function metricValues(key){
+    if (METRICS[key].group === 'trees'){
+      ensureNbhdMetrics();
+      return Array.from(nbhdMetrics.values(), m => m[METRICS[key].prop]).filter(v => v != null && isFinite(v));
+    }
+    return nbhdPolygons().map(n => metricValue(n.props, key)).filter(v => v != null);
+  }
+
+  // Class breaks are the lower bounds of classes 2..k, as ['step'] expects
+  function quantileBreaks(sorted, k){
+    return Array.from({ length: k - 1 }, (_, i) => sorted[Math.floor(sorted.length * (i + 1) / k)]);
+  }
+  function equalBreaks(sorted, k){
+    const lo = sorted[0], hi = sorted[sorted.length - 1];
+    return Array.from({ length: k - 1 }, (_, i) => lo + (hi - lo) * (i + 1) / k);
+  }
+  // Fisher-Jenks natural breaks; O(k·n²), fine for a few hundred neighbourhoods
+  function jenksBreaks(sorted, k){
+    const n = sorted.length;
+    if (n <= k) return sorted.slice(1);
+    const lower = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+    const cost = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+    for (let j = 1; j <= k; j++){ lower[1][j] = 1; cost[1][j] = 0; }
+    for (let l = 2; l <= n; l++){
+      let s1 = 0, s2 = 0, v = 0;
+      for (let m = 1; m <= l; m++){
+        const i = l - m + 1, x = sorted[i - 1];
+        s1 += x; s2 += x * x;
+        v = s2 - s1 * s1 / m;
+        if (i === 1) continue;
+        for (let j = 2; j <= k; j++){
+          if (cost[l][j] >= v + cost[i - 1][j - 1]){ lower[l][j] = i; cost[l][j] = v + cost[i - 1][j - 1]; }
+        }
+      }
+      lower[l][1] = 1; cost[l][1] = v;
+    }
+    const breaks = [];
+    for (let j = k, end = n; j >= 2; j--){
+      breaks.unshift(sorted[lower[end][j] - 1]);
+      end = lower[end][j] - 1;
+    }
+    return breaks;
+  }
+
+  const paletteFor = (key) => {
+    const pick = $('overlay-palette')?.value;
+    return PALETTES[pick] ? pick : METRICS[key].palette;
+  };
+  const pickColors = (colors, n) => n >= colors.length ? colors
+    : Array.from({ length: n }, (_, i) => colors[Math.round(i * (colors.length - 1) / Math.max(1, n - 1))]);
+
+  // { breaks, colors, lows, highs } for the current classification; metrics without fixed
+  // breaks fall back to quantiles
+  function classify(key){
+    const m = METRICS[key];
+    const method = $('overlay-class')?.value || 'fixed';
+    const palette = PALETTES[paletteFor(key)];
+    const k = palette.length;
+    const sorted = metricValues(key).sort((a,b)=> a - b);
+    const fixed = method === 'fixed' && m.fixed;
+    let breaks;
+    if (fixed) breaks = m.fixed.slice(1);
+    else if (sorted.length < 2) breaks = [];
+    else if (method === 'equal') breaks = equalBreaks(sorted, k);
+    else if (method === 'jenks') breaks = jenksBreaks(sorted, k);
+    else breaks = quantileBreaks(sorted, k);
+    // step needs strictly ascending breaks; ties merge classes
+    breaks = breaks.map(v => +v.toFixed(m.digits)).filter((v, i, a) => i === 0 || v > a[i - 1]);
+    const lows = [fixed ? m.fixed[0] : (sorted[0] ?? null), ...breaks];
+    const highs = [...breaks, sorted[sorted.length - 1] ?? null];
+    return { breaks, colors: pickColors(palette, breaks.length + 1), lows, highs };
+  }
+
+  function metricFill(key){
+    const { breaks, colors } = classify(key);
+    const props = metricProps(key);
+    // feature state (vector neighbourhoods) before properties
+    const read = (p) => ['coalesce', ['feature-state', p], ['get', p]];
+    const value = ['to-number', ['coalesce', ...props.map(read)]];
+    return ['case', ['any', ...props.map(p => ['!=', read(p), null])],
+      breaks.length ? ['step', value, colors[0], ...breaks.flatMap((b, i) => [b, colors[i + 1]])] : colors[0],
+      NO_DATA_COLOR];
+  }
+
+  function setLegend(metric, legend = $('legend')){
+    const m = METRICS[metric];
+    const { colors, lows, highs } = classify(metric);
+    const fmt = (v) => v == null ? '—' : fmtNumber(v, { maximumFractionDigits: m.digits });
     legend.innerHTML = '';
-    for (const [val,color] of stops){
+    colors.forEach((color, i)=>{
       const item = document.createElement('div');
       item.className = 'legend-item';
+      item.title = `${fmt(lows[i])}–${fmt(highs[i])}${m.unit ? ' ' + m.unit : ''}`;
       const sw = document.createElement('span');
       sw.className = 'swatch';
       sw.style.background = color;
       const tx = document.createElement('span');
-      tx.textContent = val;
+      tx.textContent = fmt(lows[i]);
       item.appendChild(sw); item.appendChild(tx);
       legend.appendChild(item);
-    }
+    });
   }
   function updateLegendEdgeLabels(on){
-    const low = $('legend-low'), high = $('legend-high');
+    const low = $('legend-label-low'), high = $('legend-label-high');
     if (!low || !high) return;
-    low.style.visibility = on ? 'visible' : 'hidden';
-    high.style.visibility = on ? 'visible' : 'hidden';
+    low.hidden = !on;
+    high.hidden = !on;
   }
 
   // ---------- UI init ----------
@@ -169,36 +525,76 @@ document.addEventListener('DOMContentLoaded', async () => {
     const title = $('title-text');
     if (title) title.textContent = 'Montreal Urban Forest';
 
-    // language default
+    // language options come from the locale index
     const langSel = $('lang-select');
-    if (langSel) langSel.value = 'en';
+    if (langSel && i18n.locales.length){
+      langSel.innerHTML = '';
+      for (const { code, label, name } of i18n.locales){
+        if (!i18n.catalogs[code]) continue;
+        const opt = new Option(label || code.toUpperCase(), code);
+        if (name) opt.title = name;
+        langSel.appendChild(opt);
+      }
+    }
+
+    // metric pickers come from the registry
+    const metricOption = (key) => {
+      const opt = new Option(t(METRICS[key].label), key);
+      opt.dataset.i18n = METRICS[key].label;
+      opt.disabled = !metricAvailable(key);
+      return opt;
+    };
+    const metricSel = $('overlay-metric');
+    metricSel.innerHTML = '';
+    for (const [group, label] of METRIC_GROUPS){
+      const og = document.createElement('optgroup');
+      og.label = t(label);
+      og.setAttribute('data-i18n-label', label);
+      metricsIn(group).forEach(k => og.appendChild(metricOption(k)));
+      metricSel.appendChild(og);
+    }
+    metricSel.value = 'heat';
+    metricSel.querySelector('option[value="heat"]').defaultSelected = true;
+    const noOverlay = new Option(t('compare.noOverlay'), '');
+    noOverlay.dataset.i18n = 'compare.noOverlay';
+    $('cmp-metric').replaceChildren(noOverlay, ...Array.from(metricSel.children, og => og.cloneNode(true)));
+    $('scatter-x').replaceChildren(...metricsIn('trees').map(metricOption));
+    $('scatter-y').replaceChildren(...metricsIn('livability').map(metricOption));
+    const classSel = $('overlay-class');
+    classSel.replaceChildren(...CLASS_METHODS.map(k => {
+      const opt = new Option(t('class.' + k), k, k === 'fixed', k === 'fixed');
+      opt.dataset.i18n = 'class.' + k;
+      return opt;
+    }));
+    const palSel = $('overlay-palette');
+    palSel.replaceChildren(...['auto', ...Object.keys(PALETTES)].map(k => {
+      const opt = new Option(t('palette.' + k), k, k === 'auto', k === 'auto');
+      opt.dataset.i18n = 'palette.' + k;
+      return opt;
+    }));
   })();
+  applyStateToControls(initialState);
+  setLanguage($('lang-select').value);
 
   // ---------- Map load ----------
   map.on('load', () => {
     // NBHD underlay
-    const nbhdInit = rawNbhd ? JSON.parse(JSON.stringify(rawNbhd)) : null;
-    if (nbhdInit) { nbhdInit.features.forEach(f => { f.properties.metric = 'heat'; }); }
-
-    map.addSource('nbhd', { type:'geojson', data: nbhdInit || URLS.nbhd });
+    if (isPMTiles('nbhd')){
+      // promoted ids let the computed tree metrics ride along as feature state (setNbhdMetric)
+      const idField = SOURCES.nbhd.idField || (SOURCES.nbhd.fields?.includes('gid') === false ? 'nbhd_name' : 'gid');
+      map.addSource('nbhd', vectorSource('nbhd', { promoteId: { [sourceLayer('nbhd')]: idField } }));
+    } else {
+      map.addSource('nbhd', { type:'geojson', data: rawNbhd || { type:'FeatureCollection', features: [] } });
+    }
 
     map.addLayer({
       id: 'nbhd-fill',
       type: 'fill',
       source: 'nbhd',
+      ...(isPMTiles('nbhd') ? { 'source-layer': sourceLayer('nbhd') } : {}),
       layout: { visibility: 'none' },
       paint: {
-        'fill-color': [
-          'case',
-          ['==',['get','metric'],'pm25'],
-          ['interpolate',['linear'],['get','pm25'], 4,'#cbe6ff', 6,'#a8d4ff', 8,'#ffd966', 10,'#ffb84d', 12,'#ff704d'],
-          ['==',['get','metric'],'noise_eq'],
-          ['interpolate',['linear'],['get','noise_eq'], 50,'#cbe6ff', 55,'#a8d4ff', 60,'#ffd966', 65,'#ffb84d', 70,'#ff704d'],
-          ['==',['get','metric'],'noise_p50'],
-          ['interpolate',['linear'],['get','noise_p50'], 45,'#cbe6ff', 50,'#a8d4ff', 55,'#ffd966', 60,'#ffb84d', 65,'#ff704d'],
-          // default heat
-          ['interpolate',['linear'],['get','heat'], 1,'#cbe6ff', 2,'#a8d4ff', 3,'#ffd966', 4,'#ffb84d', 5,'#ff704d']
-        ],
+        'fill-color': metricFill('heat'),
         'fill-opacity': 0.45
       }
     });
@@ -206,23 +602,40 @@ document.addEventListener('DOMContentLoaded', async () => {
       id: 'nbhd-line',
       type: 'line',
       source: 'nbhd',
+      ...(isPMTiles('nbhd') ? { 'source-layer': sourceLayer('nbhd') } : {}),
       layout: { visibility: 'none' },
       paint: { 'line-color':'#333', 'line-width': 0.5 }
     });
+    // Neighbourhoods brushed in the scatter plot
+    map.addLayer({
+      id: 'nbhd-brush',
+      type: 'line',
+      source: 'nbhd',
+      ...(isPMTiles('nbhd') ? { 'source-layer': sourceLayer('nbhd') } : {}),
+      filter: nbhdIdFilter([]),
+      paint: { 'line-color':'#ffa500', 'line-width': 3 }
+    });
 
     // Points: trees & fellings
     // Sources (PMTiles vs GeoJSON)
-    if (String(URLS.trees).startsWith('pmtiles://')) {
-      map.addSource('trees', { type:'vector', url: URLS.trees });
+    if (isPMTiles('trees')) {
+      map.addSource('trees', vectorSource('trees'));
     } else {
       map.addSource('trees', { type:'geojson', data: treesFC, cluster:true, clusterRadius:48, clusterMaxZoom:12 });
     }
-    if (String(URLS.fellings).startsWith('pmtiles://')) {
-      map.addSource('fellings', { type:'vector', url: URLS.fellings });
+    if (isPMTiles('fellings')) {
+      map.addSource('fellings', vectorSource('fellings'));
     } else {
       map.addSource('fellings', { type:'geojson', data: fellFC,  cluster:true, clusterRadius:48, clusterMaxZoom:12 });
     }
 
+    // Vector tiles carry no point_count, so their clusters come from a clustered copy of the
+    // loaded, filtered tile features (see Density modes)
+    for (const kind of FILTER_KINDS){
+      if (isPMTiles(kind)) map.addSource(kind + '-agg', { type:'geojson', data:{ type:'FeatureCollection', features: [] },
+        cluster:true, clusterRadius:48, clusterMaxZoom: POINTS_ZOOM - 1 });
+    }
+
     // Alive clusters
     const trees_clusters_layer = { id: 'trees-clusters',
       type: 'circle',
@@ -235,7 +648,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         'circle-stroke-width': 1
       }
     };
-    if (String(URLS.trees).startsWith('pmtiles://')) { trees_clusters_layer['source-layer'] = 'layer0'; }
+    if (isPMTiles('trees')) { trees_clusters_layer.source = 'trees-agg'; }
     map.addLayer(trees_clusters_layer);
     const trees_count_layer = { id: 'trees-count',
       type: 'symbol',
@@ -243,12 +656,12 @@ document.addEventListener('DOMContentLoaded', async () => {
       filter: ['has','point_count'],
       layout: {
         'text-field': ['get','point_count'],
-        'text-font': ['Open Sans Regular','Arial Unicode MS Regular'],
+        'text-font': LABEL_FONT,
         'text-size': 11
       },
       paint: { 'text-color':'#fff', 'text-halo-color':'#1e5e1e', 'text-halo-width':1 }
     };
-    if (String(URLS.trees).startsWith('pmtiles://')) { trees_count_layer['source-layer'] = 'layer0'; }
+    if (isPMTiles('trees')) { trees_count_layer.source = 'trees-agg'; }
     map.addLayer(trees_count_layer);
 
     // Alive points
@@ -263,7 +676,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         'circle-stroke-width': 0.6
       }
     };
-    if (String(URLS.trees).startsWith('pmtiles://')) { trees_points_layer['source-layer'] = 'layer0'; }
+    if (isPMTiles('trees')) { trees_points_layer['source-layer'] = sourceLayer('trees'); }
     map.addLayer(trees_points_layer);
 
     // Felled clusters
@@ -278,7 +691,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         'circle-stroke-width': 1
       }
     };
-    if (String(URLS.fellings).startsWith('pmtiles://')) { fellings_clusters_layer['source-layer'] = 'layer0'; }
+    if (isPMTiles('fellings')) { fellings_clusters_layer.source = 'fellings-agg'; }
     map.addLayer(fellings_clusters_layer);
     const fellings_count_layer = { id: 'fellings-count',
       type: 'symbol',
@@ -286,13 +699,13 @@ document.addEventListener('DOMContentLoaded', async () => {
       filter: ['has','point_count'],
       layout: {
         'text-field': ['get','point_count'],
-        'text-font': ['Open Sans Regular','Arial Unicode MS Regular'],
+        'text-font': LABEL_FONT,
         'text-size': 11,
         'visibility': 'none'
       },
       paint: { 'text-color':'#fff', 'text-halo-color':'#7e1f27', 'text-halo-width':1 }
     };
-    if (String(URLS.fellings).startsWith('pmtiles://')) { fellings_count_layer['source-layer'] = 'layer0'; }
+    if (isPMTiles('fellings')) { fellings_count_layer.source = 'fellings-agg'; }
     map.addLayer(fellings_count_layer);
 
     // Felled points (hidden by default)
@@ -308,64 +721,106 @@ document.addEventListener('DOMContentLoaded', async () => {
         'circle-stroke-width': 0.6
       }
     };
-    if (String(URLS.fellings).startsWith('pmtiles://')) { fellings_points_layer['source-layer'] = 'layer0'; }
+    if (isPMTiles('fellings')) { fellings_points_layer['source-layer'] = sourceLayer('fellings'); }
     map.addLayer(fellings_points_layer);
+    addDensityLayers();
 
-    // Highlight layer
+    // Highlight layer: the selection in orange, the keyboard focus ring in blue
     map.addSource('highlight', { type:'geojson', data:{ type:'FeatureCollection', features: [] }});
     map.addLayer({
       id: 'highlight',
       type: 'line',
       source: 'highlight',
       paint: {
-        'line-color': '#ffa500',
-        'line-width': 2
+        'line-color': ['case', ['==', ['get','role'], 'focus'], FOCUS_COLOR, '#ffa500'],
+        'line-width': ['case', ['==', ['get','role'], 'focus'], 3, 2]
+      }
+    });
+    map.addLayer({
+      id: 'highlight-points',
+      type: 'circle',
+      source: 'highlight',
+      filter: ['==', ['geometry-type'], 'Point'],
+      paint: {
+        'circle-radius': ['case', ['==', ['get','role'], 'focus'], 11, 8],
+        'circle-color': 'rgba(0,0,0,0)',
+        'circle-stroke-color': ['case', ['==', ['get','role'], 'focus'], FOCUS_COLOR, '#ffa500'],
+        'circle-stroke-width': ['case', ['==', ['get','role'], 'focus'], 3, 2]
       }
     });
 
-    // Fit bounds if we have points in memory
-    const b = boundsFromPoints(treesAll);
-    if (b) map.fitBounds(b, { padding: 30, duration: 0 });
+    // Fit bounds to the points in memory, else to the archives' own (a shared link's camera wins)
+    const b = boundsFromPoints(treesAll) || manifestBounds();
+    if (b && !initialState.camera) map.fitBounds(b, { padding: 30, duration: 0 });
+
+    applyStateToMap(initialState);
+    restoringState = false;
   });
 
   // ---------------- Interactions ----------------
   function setVisibility(layer, on){ if (map.getLayer(layer)) map.setLayoutProperty(layer, 'visibility', on?'visible':'none'); }
 
   // Neighborhood overlay toggle/metric
-  function setNbhdMetric(metric){
-    const src = map.getSource('nbhd');
+  // target and values let compare mode paint its second map with its own metrics
+  function setNbhdMetric(metric, target = map, values = null){
+    const src = target.getSource('nbhd');
     if (!src) return;
-    const fresh = rawNbhd ? JSON.parse(JSON.stringify(rawNbhd)) : null;
-    if (fresh) fresh.features.forEach(f=> f.properties.metric = metric);
-    src.setData(fresh || URLS.nbhd);
+    const metrics = () => { if (!values){ ensureNbhdMetrics(); values = nbhdMetrics; } return values; };
+    // computed metrics ride along as feature properties, or as feature state on vector tiles
+    if (METRICS[metric].group === 'trees' && rawNbhd){
+      const fresh = JSON.parse(JSON.stringify(rawNbhd));
+      fresh.features.forEach(f=>{
+        const m = metrics().get(nbhdId(f.properties));
+        if (m) for (const k of metricsIn('trees')) if (m[METRICS[k].prop] != null) f.properties[METRICS[k].prop] = m[METRICS[k].prop];
+      });
+      src.setData(fresh);
+    } else if (METRICS[metric].group === 'trees' && isPMTiles('nbhd')){
+      for (const [id, m] of metrics()){
+        target.setFeatureState({ source:'nbhd', sourceLayer: sourceLayer('nbhd'), id },
+          Object.fromEntries(metricsIn('trees').map(k => [METRICS[k].prop, m[METRICS[k].prop]])));
+      }
+    }
+    target.setPaintProperty('nbhd-fill', 'fill-color', metricFill(metric));
   }
-  $('chk-overlay').addEventListener('change', (e)=>{
-    const on = e.target.checked;
+  function refreshChoropleth(){
+    const metric = $('overlay-metric').value;
+    setLegend(metric); setNbhdMetric(metric);
+  }
+  function setOverlay(on){
     setVisibility('nbhd-fill', on);
     setVisibility('nbhd-line', on);
     $('legend').hidden = !on;
     updateLegendEdgeLabels(on);
-    if (on) {
-      const metric = $('overlay-metric').value;
-      setLegend(metric); setNbhdMetric(metric);
-    }
+    if (on) refreshChoropleth();
+  }
+  $('chk-overlay').addEventListener('change', (e)=>{
+    setOverlay(e.target.checked);
+    scheduleHashWrite(true);
   });
-  $('overlay-metric').addEventListener('change', (e)=>{
-    const metric = e.target.value;
-    setLegend(metric); setNbhdMetric(metric);
+  $('overlay-metric').addEventListener('change', ()=>{
+    refreshChoropleth();
     const overlayOn = $('chk-overlay')?.checked ?? false;
     updateLegendEdgeLabels(overlayOn);
+    scheduleHashWrite(true);
   });
+  ['overlay-class', 'overlay-palette'].forEach(id => $(id).addEventListener('change', ()=>{
+    refreshChoropleth();
+    scheduleHashWrite(true);
+  }));
   setLegend('heat'); $('legend').hidden = true;
   updateLegendEdgeLabels(false);
 
   // ---------------- Sliders (dual handle) ----------------
   function syncLabel(id, val){ const el=$(id); if (el) el.textContent = String(val); }
+  function syncYearLabels(){
+    for (const id of ['plant-year-min', 'plant-year-max', 'fell-year-min', 'fell-year-max']) syncLabel(id + '-val', $(id).value);
+  }
   function initYearSliders(){
     const pMin = $('plant-year-min'), pMax=$('plant-year-max');
     const fMin = $('fell-year-min'),  fMax=$('fell-year-max');
-    if (pMin&&pMax){ syncLabel('plant-year-min-val', pMin.value); syncLabel('plant-year-max-val', pMax.value); }
-    if (fMin&&fMax){ syncLabel('fell-year-min-val',  fMin.value); syncLabel('fell-year-max-val',  fMax.value); }
+    syncYearLabels();
+    // labels follow the drag; the filter waits for it to settle
+    let yearTimer = null;
     [pMin,pMax,fMin,fMax].forEach(inp=>{
       if (!inp) return;
       inp.addEventListener('input', ()=>{
@@ -373,27 +828,40 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (inp===pMax) syncLabel('plant-year-max-val', pMax.value);
         if (inp===fMin) syncLabel('fell-year-min-val',  fMin.value);
         if (inp===fMax) syncLabel('fell-year-max-val',  fMax.value);
-        applyYearFilters();
+        clearTimeout(yearTimer);
+        yearTimer = setTimeout(applyFilters, 150);
       });
     });
   }
   initYearSliders();
 
   // --------- Click handling (cards) ----------
-  map.on('click', 'trees-points', (e)=>{
-    const f = e.features && e.features[0]; if (!f) return;
-    // highlight
-    const src = map.getSource('highlight');
-    src.setData({ type:'FeatureCollection', features: [{ type:'Feature', geometry:f.geometry, properties:{} }] });
+  let selection = null;   // { kind:'alive'|'felled', lngLat:[lng,lat] } | { kind:'nbhd', id }
+  // The 'highlight' source holds the selected feature and the keyboard focus ring
+  const highlighted = { selection: null, focus: null };
+  function setHighlight(role, geometry){
+    highlighted[role] = geometry ? { type:'Feature', geometry, properties:{ role } } : null;
+    const data = { type:'FeatureCollection', features: Object.values(highlighted).filter(Boolean) };
+    for (const m of [map, compare.map]) m?.getSource('highlight')?.setData(data);
+  }
+
+  function selectTree(f, type){
+    const [lng, lat] = f.geometry.coordinates;
+    setHighlight('selection', f.geometry);
 
     // sidebar card
-    showTreeCard(f.properties || {}, e.lngLat, 'alive');
+    showTreeCard(f.properties || {}, { lng, lat }, type);
+    selection = { kind: type, lngLat: [lng, lat] };
+    scheduleHashWrite(true);
+    emit('treeselect', { kind: type, lngLat: [lng, lat], properties: { ...f.properties } });
+  }
+  map.on('click', 'trees-points', (e)=>{
+    const f = e.features && e.features[0]; if (!f || mapPicking()) return;
+    selectTree(f, 'alive');
   });
   map.on('click', 'fellings-points', (e)=>{
-    const f = e.features && e.features[0]; if (!f) return;
-    const src = map.getSource('highlight');
-    src.setData({ type:'FeatureCollection', features: [{ type:'Feature', geometry:f.geometry, properties:{} }] });
-    showTreeCard(f.properties || {}, e.lngLat, 'felled');
+    const f = e.features && e.features[0]; if (!f || mapPicking()) return;
+    selectTree(f, 'felled');
   });
   map.on('click', 'nbhd-fill', handleNbhdClick);
 
@@ -405,265 +873,4902 @@ document.addEventListener('DOMContentLoaded', async () => {
   map.on('mouseenter','nbhd-fill', ()=> map.getCanvas().style.cursor='pointer');
   map.on('mouseleave','nbhd-fill', ()=> map.getCanvas().style.cursor='');
 
-  // ---------------- Species list & filter ----------------
+  // ---------------- Species browser & filter ----------------
+  // One index of every sigle with names, genus and alive/felled counts. In-memory data is
+  // indexed once; vector sources are re-indexed when new tiles have loaded.
+  let speciesIdx = null, speciesIdxDirty = true;
+  const fold = (v) => String(v || '').normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase();
+
+  function speciesIndex(){
+    if (speciesIdx && !speciesIdxDirty) return speciesIdx;
+    const idx = new Map();
+    const entry = (key, names) => {
+      let e = idx.get(key);
+      if (!e) idx.set(key, e = { sigle: key, fr: null, en: null, latin: null, alive: 0, felled: 0, felledByYear: new Map() });
+      e.fr ||= names.fr; e.en ||= names.en; e.latin ||= names.latin;
+      return e;
+    };
+    for (const kind of ['trees', 'fellings']){
+      if (!isPMTiles(kind)){
+        // in-memory data was tallied by the data worker when it loaded
+        for (const [key, s] of pointSummaries[kind]?.species || []){
+          const e = entry(key, s);
+          if (kind === 'trees') e.alive += s.count;
+          else {
+            e.felled += s.count;
+            for (const [y, n] of s.byYear) e.felledByYear.set(y, (e.felledByYear.get(y) || 0) + n);
+          }
+        }
+        continue;
+      }
+      for (const f of loadedFeatures(kind)){
+        const p = f.properties || {}, key = speciesKey(p);
+        if (!key) continue;
+        const e = entry(key, {
+          fr: p.essence_fr || p.sp_essence_fr || null,
+          en: p.essence_ang || p.sp_essence_ang || null,
+          latin: p.essence_latin || p.sp_essence_latin || null
+        });
+        if (kind === 'trees') e.alive++;
+        else {
+          e.felled++;
+          const y = fellYear(p);
+          if (isFinite(y)) e.felledByYear.set(y, (e.felledByYear.get(y) || 0) + 1);
+        }
+      }
+    }
+    for (const e of idx.values()){
+      e.genus = e.latin ? e.latin.split(/\s+/)[0] : null;
+      e.search = fold([e.sigle, e.fr, e.en, e.latin].join(' '));
+    }
+    speciesIdx = idx;
+    speciesIdxDirty = !!(isPMTiles('trees') || isPMTiles('fellings'));
+    return idx;
+  }
+  const speciesDisplayName = (e, lang) => (lang === 'fr' ? (e.fr || e.en) : (e.en || e.fr)) || e.latin || e.sigle;
+
+  // Sorted [sigle, name] pairs across trees and fellings
+  function speciesEntries(lang){
+    return Array.from(speciesIndex().values(), e => [e.sigle, speciesDisplayName(e, lang)])
+      .sort((a,b)=> a[1].localeCompare(b[1], lang));
+  }
+  function speciesLabel(sigle){
+    const e = speciesIndex().get(sigle);
+    return e ? `${speciesDisplayName(e, i18n.lang)} (${sigle})` : sigle;
+  }
+  // "Frêne rouge (FRPE), Frêne blanc (FRAM) +3"
+  function speciesSummary(max = 2, species = filters.species){
+    const sigles = Array.from(species);
+    const shown = sigles.slice(0, max).map(speciesLabel).join(', ');
+    return sigles.length > max ? `${shown} ${t('species.more', { count: sigles.length - max })}` : shown;
+  }
+
   function updateSpeciesListUI(){
-    const btn = $('species-current');
+    const btn = $('btn-all-species');
     if (!btn) return;
-    if (activeSpecies) {
-      btn.textContent = activeSpecies;
-      btn.classList.add('active');
-    } else {
-      btn.textContent = 'See all species';
-      btn.classList.remove('active');
-    }
+    btn.textContent = !filters.species.size ? t('tree.allSpecies')
+      : filters.species.size === 1 ? speciesLabel(Array.from(filters.species)[0])
+      : t('species.selected', { count: filters.species.size });
+    btn.classList.toggle('active', filters.species.size > 0);
   }
 
-  function filterSpecies(sigle){
-    activeSpecies = sigle;
+  function filterSpecies(sigles){
+    filters.species = new Set(sigles);
     updateSpeciesListUI();
-    if (map.getLayer('trees-points')){
-      map.setFilter('trees-points', ['all', ['!',['has','point_count']], ['==', ['get','sigle'], sigle]]);
-    }
-    if (map.getLayer('fellings-points')){
-      map.setFilter('fellings-points', ['all', ['!',['has','point_count']], ['==', ['get','sp_sigle'], sigle]]);
-    }
+    syncSpeciesChecks();
+    return applyFilters();
+  }
+  function toggleSpecies(sigles, on){
+    const next = new Set(filters.species);
+    for (const s of sigles) on ? next.add(s) : next.delete(s);
+    filterSpecies(next);
   }
 
   function resetSpeciesFilter(){
-    activeSpecies = null;
-    updateSpeciesListUI();
-    if (map.getLayer('trees-points')){
-      map.setFilter('trees-points', ['!',['has','point_count']]);
-    }
-    if (map.getLayer('fellings-points')){
-      map.setFilter('fellings-points', ['!',['has','point_count']]);
-    }
+    filterSpecies([]);
+    clearSelection();
+  }
+  function clearSelection(){
+    selection = null;
     // Clear highlight and card
-    const hl = map.getSource('highlight');
-    if (hl) hl.setData({ type:'FeatureCollection', features: [] });
-    const card = $('card'); if (card) card.innerHTML = '<p>Select a tree point to see details.</p>';
+    setHighlight('selection', null);
+    cardRenderer = null;
+    const card = $('tree-card'); if (!card) return;
+    card.innerHTML = `<p id="tree-empty" data-i18n="tree.empty">${t('tree.empty')}</p>`;
+    card.removeAttribute('role');
+    card.removeAttribute('aria-labelledby');
+    card.removeAttribute('tabindex');
   }
 
+  // A non-modal dialog: focus goes to the search box and back to whatever opened it
+  let speciesOpener = null;
   function showSpeciesList(){
     const panel = $('species-panel');
     if (!panel) return;
+    if (panel.hidden) speciesOpener = root.activeElement;
     panel.hidden = false;
-    panel.focus();
+    $('species-search').focus();
   }
   function closeSpeciesList(){
     const panel = $('species-panel');
     if (!panel) return;
     panel.hidden = true;
-    $('species-current')?.focus();
+    returnFocus(speciesOpener?.isConnected ? speciesOpener : $('btn-all-species'));
+    speciesOpener = null;
   }
 
-  function showAllSpecies(){
-    const lang = $('lang-select').value;
-    const speciesSet = new Set();
-
-    for (const f of treesAll.features){
-      const sigle = f.properties?.sigle;
-      if (sigle) speciesSet.add(sigle);
-    }
+  // Felled per year relative to the living stock, over the felling-year domain
+  function speciesSparkline(e){
+    const min = +$('fell-year-min').min, max = +$('fell-year-max').max;
+    const W = 60, H = 16, vals = [];
+    for (let y = min; y <= max; y++) vals.push((e.felledByYear.get(y) || 0) / Math.max(1, e.alive));
+    const peak = Math.max(...vals) || 1;
+    const pts = vals.map((v, i) => `${(i / (vals.length - 1) * W).toFixed(1)},${(H - 1 - v / peak * (H - 2)).toFixed(1)}`);
+    const svg = svgEl('svg', { class:'sparkline', viewBox:`0 0 ${W} ${H}`, width: W, height: H, 'aria-hidden':'true' });
+    svg.appendChild(svgEl('polyline', { points: pts.join(' ') }));
+    return svg;
+  }
 
-    for (const f of fellAll.features){
-      const sigle = f.properties?.sp_sigle;
-      if (sigle) speciesSet.add(sigle);
+  function speciesRow(sigles, label, sub, counts, extra, cls){
+    const row = document.createElement('label');
+    row.className = 'species-item ' + cls;
+    row.dataset.sigles = sigles.join(',');
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.addEventListener('change', ()=> toggleSpecies(sigles, cb.checked));
+    const text = document.createElement('span');
+    text.className = 'species-text';
+    text.textContent = label;
+    if (sub){
+      const i = document.createElement('i');
+      i.className = 'species-latin';
+      i.textContent = sub;
+      text.appendChild(i);
     }
+    const meta = document.createElement('span');
+    meta.className = 'species-counts';
+    meta.textContent = counts;
+    row.append(cb, text, meta);
+    if (extra) row.appendChild(extra);
+    return row;
+  }
 
-    const speciesMap = new Map();
-    for (const sigle of speciesSet){
-      let name = sigle;
-      for (const f of treesAll.features){
-        if (f.properties?.sigle === sigle) {
-          name = lang === 'fr' ? (f.properties?.essence_fr || f.properties?.essence_ang || sigle)
-                               : (f.properties?.essence_ang || f.properties?.essence_fr || sigle);
-          break;
-        }
+  function renderSpeciesList(){
+    const lang = i18n.lang;
+    const list = $('species-list');
+    const q = fold($('species-search').value.trim());
+    const entries = Array.from(speciesIndex().values())
+      .filter(e => !q || e.search.includes(q))
+      .sort((a,b)=> speciesDisplayName(a, lang).localeCompare(speciesDisplayName(b, lang), lang));
+    const counts = (alive, felled) => t('species.counts', {
+      alive, felled, ratio: alive ? fmtNumber(felled / alive, { style:'percent', maximumFractionDigits:1 }) : '—'
+    });
+    const leaf = (e, cls) => {
+      const spark = speciesSparkline(e);
+      const wrap = document.createElement('span');
+      wrap.className = 'species-spark';
+      wrap.title = t('species.sparkTitle');
+      wrap.appendChild(spark);
+      return speciesRow([e.sigle], `${speciesDisplayName(e, lang)} (${e.sigle})`, e.latin, counts(e.alive, e.felled), wrap, cls);
+    };
+    list.innerHTML = '';
+    if ($('species-group').checked){
+      const genera = new Map();
+      for (const e of entries){
+        const g = e.genus || '';
+        (genera.get(g) || genera.set(g, []).get(g)).push(e);
       }
-      if (name === sigle) {
-        for (const f of fellAll.features){
-          if (f.properties?.sp_sigle === sigle) {
-            name = lang === 'fr' ? (f.properties?.essence_fr || f.properties?.essence_ang || sigle)
-                                 : (f.properties?.essence_ang || f.properties?.essence_fr || sigle);
-            break;
-          }
-        }
+      // named genera A→Z, species without a Latin name last
+      const order = Array.from(genera.keys()).sort((a,b)=> !a - !b || a.localeCompare(b));
+      for (const g of order){
+        const members = genera.get(g);
+        const alive = members.reduce((n, e)=> n + e.alive, 0), felled = members.reduce((n, e)=> n + e.felled, 0);
+        list.appendChild(speciesRow(members.map(e => e.sigle), g || t('species.otherGenus'), null, counts(alive, felled), null, 'species-genus'));
+        members.forEach(e => list.appendChild(leaf(e, 'nested')));
       }
-      speciesMap.set(sigle, name);
+    } else {
+      entries.forEach(e => list.appendChild(leaf(e, '')));
     }
-
-    const list = $('species-list');
-    list.innerHTML = '';
-    const arr = Array.from(speciesMap.entries()).sort((a,b)=> a[1].localeCompare(b[1]));
-    for (const [sigle, name] of arr){
-      const li = document.createElement('li');
-      const btn = document.createElement('button');
-      btn.type = 'button';
-      btn.textContent = `${name} (${sigle})`;
-      btn.addEventListener('click', ()=>{ filterSpecies(sigle); closeSpeciesList(); });
-      li.appendChild(btn);
-      list.appendChild(li);
+    if (!entries.length){
+      const p = document.createElement('p');
+      p.className = 'note';
+      p.textContent = t('species.noMatch');
+      list.appendChild(p);
     }
+    $('species-count').textContent = t('species.count', { count: entries.length });
+    syncSpeciesChecks();
+  }
+
+  // Checkbox state follows filters.species; genus rows go indeterminate when partly selected
+  function syncSpeciesChecks(){
+    root.querySelectorAll('#species-list .species-item').forEach(row=>{
+      const sigles = row.dataset.sigles.split(',');
+      const n = sigles.filter(s => filters.species.has(s)).length;
+      const cb = row.querySelector('input');
+      cb.checked = n === sigles.length;
+      cb.indeterminate = n > 0 && n < sigles.length;
+      row.classList.toggle('is-active', cb.checked);
+    });
+  }
+
+  function showAllSpecies(){
+    renderSpeciesList();
     showSpeciesList();
   }
 
-  $('species-current')?.addEventListener('click', showAllSpecies);
+  let speciesSearchTimer = null;
+  $('species-search')?.addEventListener('input', ()=>{
+    clearTimeout(speciesSearchTimer);
+    speciesSearchTimer = setTimeout(renderSpeciesList, 120);
+  });
+  $('species-group')?.addEventListener('change', renderSpeciesList);
+  $('btn-all-species')?.addEventListener('click', ()=> $('species-panel').hidden ? showAllSpecies() : closeSpeciesList());
   $('species-close')?.addEventListener('click', closeSpeciesList);
-  $('species-reset')?.addEventListener('click', ()=>{ resetSpeciesFilter(); closeSpeciesList(); });
+  $('species-panel')?.addEventListener('keydown', (e)=>{
+    if (e.key !== 'Escape') return;
+    e.preventDefault();
+    closeSpeciesList();
+  });
+  $('species-clear')?.addEventListener('click', ()=> filterSpecies([]));
+  $('btn-reset-species')?.addEventListener('click', ()=>{ resetSpeciesFilter(); closeSpeciesList(); });
+
+  // ---------------- Species profiles ----------------
+  // The tree card joins the "species" reference table (tree_species.csv) by sigle, else by
+  // Latin name, and estimates carbon and rain interception from species and height with the
+  // coefficients in allometry.json. Both are fetched with the first card.
+  const HISTORY_M = 5;   // fellings this close to a tree are "at this spot"
+  // Columns the manifest can name ("columns": { "latin": "nom_latin" }), else the usual suspects
+  const PROFILE_COLUMNS = {
+    sigle:          /^(sigle|code)$/i,
+    latin:          /^(latin|latin_name|essence_latin|nom_latin|scientific_name)$/i,
+    native:         /^(native|indigenous|indig[eè]ne|origin|origine|status|statut)$/i,
+    height:         /^(mature_height|max_height|height|hauteur_mature|hauteur_max|hauteur)(_m)?$/i,
+    spread:         /^(mature_spread|spread|crown_width|largeur|envergure)(_m)?$/i,
+    description_en: /^(description_en|description_ang|description)$/i,
+    description_fr: /^description_fr$/i
+  };
+  const NATIVE = /^(native|indig[eè]ne|yes|oui|true|1)$/i;
+  const EXOTIC = /^(exotic|exotique|introduced|introduite?|non[- ]native|no|non|false|0)$/i;
+  let treeRef = null;          // { profiles, allometry } once loaded
+  let treeRefLoading = null;
+
+  function loadTreeReference(){
+    treeRefLoading ||= Promise.all([
+      loadTable('species'),
+      fetch(appUrl('allometry.json')).then(r => r.ok ? r.json() : null).catch(()=> null)
+    ]).then(([rows, allometry]) => { treeRef = { profiles: indexProfiles(rows), allometry }; });
+    return treeRefLoading;
+  }
+
+  // "Acer platanoides 'Crimson King'" → "acer platanoides"
+  const latinKey = (latin) => String(latin || '').trim().toLowerCase().split(/\s+/).slice(0, 2).join(' ');
+  const tableNumber = (v) => { const n = parseFloat(String(v ?? '').replace(',', '.')); return n > 0 ? n : null; };
+
+  function indexProfiles(rows){
+    const named = SOURCES.species?.columns || {};
+    const header = Object.keys(rows[0] || {});
+    const col = Object.fromEntries(Object.entries(PROFILE_COLUMNS).map(([k, re]) => [k, named[k] ?? header.find(h => re.test(h))]));
+    const bySigle = new Map(), byLatin = new Map();
+    for (const r of rows){
+      const get = (k) => col[k] ? r[col[k]] : null;
+      const status = String(get('native') ?? '').trim();
+      const profile = {
+        latin: get('latin'),
+        native: NATIVE.test(status) ? 'native' : EXOTIC.test(status) ? 'exotic' : null,
+        height: tableNumber(get('height')),
+        spread: tableNumber(get('spread')),
+        description: { en: get('description_en'), fr: get('description_fr') }
+      };
+      if (get('sigle')) bySigle.set(String(get('sigle')).trim().toUpperCase(), profile);
+      if (profile.latin) byLatin.set(latinKey(profile.latin), profile);
+    }
+    return { bySigle, byLatin };
+  }
+
+  function speciesProfile(props){
+    if (!treeRef) return null;
+    const { bySigle, byLatin } = treeRef.profiles;
+    const sigle = speciesKey(props);
+    const latin = props.essence_latin || props.sp_essence_latin || speciesIndex().get(sigle)?.latin;
+    return bySigle.get(String(sigle || '').toUpperCase()) || byLatin.get(latinKey(latin)) || null;
+  }
+
+  // Height → trunk diameter → Jenkins et al. biomass, plus roots, discounted for open-grown
+  // trees; rain caught is crown area × annual precipitation × the group's interception share
+  function treeServices(props, profile){
+    const allo = treeRef?.allometry;
+    const height = tableNumber(props.hauteur_m);
+    if (!allo || !height) return null;
+    const latin = profile?.latin || props.essence_latin || props.sp_essence_latin || speciesIndex().get(speciesKey(props))?.latin || '';
+    const [genus = '', sp = ''] = latinKey(latin).split(' ');
+    const Genus = genus.charAt(0).toUpperCase() + genus.slice(1);
+    const g = allo.groups[allo.species[`${Genus} ${sp}`] || allo.genera[Genus] || allo.default_group];
+    const dbh = height * g.dbh_cm_per_m;
+    const carbon = Math.exp(g.b0 + g.b1 * Math.log(dbh)) * (1 + allo.root_shoot) * allo.open_grown * allo.carbon_fraction;
+    // a crown grows towards the profile's mature spread as the tree nears its mature height
+    const crown = (profile?.spread && profile?.height) ? profile.spread * Math.min(1, height / profile.height) : height * g.crown_m_per_m;
+    return {
+      dbh_cm: dbh,
+      carbon_kg: carbon,
+      co2_kg: carbon * 44 / 12,
+      rain_l: Math.PI * (crown / 2) ** 2 * allo.precip_mm * g.interception
+    };
+  }
+
+  // Every felling recorded within HISTORY_M of a spot, whatever the filters, newest first
+  function spotHistory(center){
+    let hits;
+    if (isPMTiles('fellings')){
+      hits = loadedFeatures('fellings')
+        .map(f => ({ f, d: distanceM(center, f.geometry.coordinates) }))
+        .filter(h => h.d <= HISTORY_M);
+    } else {
+      let idx = nearIndexCache.get(fellAll);
+      if (!idx){ idx = createGridIndex(fellAll.features); nearIndexCache.set(fellAll, idx); }
+      hits = idx.within(center, HISTORY_M);
+    }
+    const year = (h) => fellYear(h.f.properties) || 0;
+    return hits.sort((a, b)=> year(b) - year(a));
+  }
 
   // ---------------- Cards ----------------
+  let cardRenderer = null;   // redraws the open card after a language switch
+
   function showTreeCard(props, lngLat, type){
-    const card = $('card');
-    const t = (en, fr) => ($('lang-select').value === 'fr' ? fr : en);
+    cardRenderer = () => showTreeCard(props, lngLat, type);
+    const card = $('tree-card');
+    const lang = i18n.lang;
     const fields = (type==='alive') ? [
-      ['Species', 'essence_ang', 'essence_fr'],
-      ['Sigle', 'sigle', 'sigle'],
-      ['Plant year', 'plant_year', 'plant_year'],
-      ['Height (m)', 'hauteur_m', 'hauteur_m']
+      ['card.species', speciesName(props, lang)],
+      ['card.sigle', props.sigle],
+      ['card.plantYear', props.plant_year],
+      ['card.height', props.hauteur_m != null && props.hauteur_m !== '' ? fmtNumber(+props.hauteur_m, { maximumFractionDigits:1 }) : null]
     ] : [
-      ['Species', 'essence_ang', 'essence_fr'],
-      ['Sigle', 'sp_sigle', 'sp_sigle'],
-      ['Removal year', 'removal_year', 'removal_year'],
-      ['Reason', 'cause', 'cause']
+      ['card.species', speciesName(props, lang)],
+      ['card.sigle', props.sp_sigle ?? props.sigle],
+      props.removal_date ? ['card.removalDate', fmtDate(props.removal_date)]
+                         : ['card.removalYear', isFinite(fellYear(props)) ? fellYear(props) : null],
+      ['card.reason', props.cause],
+      ['card.replanted', replantedText(props, lngLat)]
     ];
+    const age = new Date().getFullYear() - plantYear(props);
+    if (type === 'alive') fields.splice(3, 0, ['card.age', age >= 0 ? t('card.ageYears', { count: age }) : null]);
+    const list = (rows) => '<ul>' + rows.map(([label, val]) => `<li><strong>${t(label)}</strong>: ${val ?? '—'}</li>`).join('') + '</ul>';
+
+    if (!treeRef){
+      const render = cardRenderer;
+      loadTreeReference().then(()=>{ if (cardRenderer === render) render(); });
+    }
+    const profile = speciesProfile(props);
+    const services = type === 'alive' ? treeServices(props, profile) : null;
+    const center = [lngLat.lng, lngLat.lat];
+    // a felled tree's own record sits at distance 0 with the same date
+    const history = spotHistory(center).filter(({ f, d }) => type === 'alive' || d > 0.5
+      || (f.properties?.removal_date ?? fellYear(f.properties)) !== (props.removal_date ?? fellYear(props)));
+    const num = (v, digits = 0) => fmtNumber(v, { maximumFractionDigits: digits });
+
     let html = '<div class="card">';
-    html += `<div class="title">${t('Tree','Arbre')} — ${type==='alive'?t('Alive','Vivant'):t('Felled','Abattu')}</div>`;
-    html += '<ul>';
-    for (const [label, keyEn, keyFr] of fields){
-      const val = $('lang-select').value === 'fr' ? (props[keyFr] ?? props[keyEn] ?? '—')
-                                                  : (props[keyEn] ?? props[keyFr] ?? '—');
-      html += `<li><strong>${t(label, label)}</strong>: ${val}</li>`;
-    }
-    html += '</ul>';
+    html += `<div class="title">${t('card.tree')} — ${type==='alive'?t('card.alive'):t('card.felled')}</div>`;
+    html += list(fields);
+    if (profile){
+      const size = [profile.height && `${num(profile.height)} m`, profile.spread && t('card.spread', { m: num(profile.spread) })].filter(Boolean).join(' · ');
+      html += `<div class="subtitle">${t('card.profile')}</div>`;
+      html += list([
+        ['card.latin', profile.latin ? '<em class="card-latin"></em>' : null],
+        ['card.origin', profile.native ? t('card.' + profile.native) : null],
+        ['card.matureSize', size || null]
+      ]);
+      html += '<p class="sub card-description" hidden></p>';
+    }
+    if (services){
+      html += `<div class="subtitle">${t('card.services')}</div>`;
+      html += list([
+        ['card.carbon', t('card.carbonValue', { kg: num(services.carbon_kg), co2: num(services.co2_kg) })],
+        ['card.rain', t('card.rainValue', { litres: num(Math.round(services.rain_l / 100) * 100) })]
+      ]);
+      html += `<p class="sub">${t('card.servicesNote', { dbh: num(services.dbh_cm) })}</p>`;
+    }
+    html += `<div class="subtitle">${t('card.history', { m: HISTORY_M })}</div>`;
+    html += history.length
+      ? '<ul class="card-history">' + history.map(({ f, d }) => {
+          const p = f.properties || {};
+          const when = p.removal_date ? fmtDate(p.removal_date) : (isFinite(fellYear(p)) ? fellYear(p) : '—');
+          return `<li><strong>${escapeHTML(when)}</strong>: ${escapeHTML(speciesName(p, lang))}${p.cause ? ' — ' + escapeHTML(p.cause) : ''} <span class="near-dist">${t('near.distance', { meters: Math.round(d) })}</span></li>`;
+        }).join('') + '</ul>'
+      : `<p class="sub">${t('card.historyNone')}</p>`;
     html += '</div>';
     card.innerHTML = html;
+    cardDialog(card);
+    // reference-table text goes in as text, not markup
+    if (profile?.latin) card.querySelector('.card-latin').textContent = profile.latin;
+    const description = profile && (profile.description[lang] || profile.description.en || profile.description.fr);
+    if (description){
+      const el = card.querySelector('.card-description');
+      el.textContent = description;
+      el.hidden = false;
+    }
+  }
+
+  function replantedText(props, lngLat){
+    const lag = replanting?.byKey.get(fellingKey([lngLat.lng, lngLat.lat], props));
+    if (!replanting) return null;
+    if (lag === undefined) return t('card.replantedPending');
+    return lag == null ? t('card.replantedNo') : t('card.replantedYes', { count: lag });
   }
 
   function handleNbhdClick(e){
-    const f = e.features && e.features[0]; if (!f) return;
+    const f = e.features && e.features[0]; if (!f || mapPicking()) return;
     const p = f.properties || {};
-    const ll = e.lngLat;
-    const lang = $('lang-select').value;
-    const t = (en, fr)=> (lang==='fr'?fr:en);
+    renderNbhdCard(p);
+    selection = { kind: 'nbhd', id: p.gid ?? p.nbhd_name };
+    scheduleHashWrite(true);
+    emit('nbhdselect', { id: nbhdId(p), name: nbhdName(p), properties: { ...p } });
+  }
+
+  function renderNbhdCard(p){
+    cardRenderer = () => renderNbhdCard(p);
+    const num = (v) => (v == null || v === '') ? '—' : fmtNumber(+v, { maximumFractionDigits:2 });
     // highlight by putting polygon border bolder? (simple popup for now)
     let aliveTxt = 'N/A';
-    if (p.tree_count != null) aliveTxt = (+p.tree_count < 50) ? t('No data','Pas de données') : String(p.tree_count);
+    if (p.tree_count != null) aliveTxt = (+p.tree_count < 50) ? t('card.noData') : fmtNumber(+p.tree_count);
+
+    ensureNbhdMetrics();
+    const m = nbhdMetrics.get(nbhdId(p));
+    const causes = m?.top_causes.length
+      ? m.top_causes.map(([cause, n]) => `${escapeHTML(cause)} (${fmtNumber(n)})`).join(', ')
+      : '—';
 
     const html = `
       <div class="card">
-        <div class="title">${t('Neighbourhood','Quartier')}</div>
+        <div class="title">${t('card.nbhd')}${m ? ' — ' + escapeHTML(m.name) : ''}</div>
         <ul>
-          <li><strong>${t('Trees (alive)','Arbres (vivants)')}</strong>: ${aliveTxt}</li>
-          <li><strong>Heat</strong>: ${p.heat ?? '—'}</li>
-          <li><strong>Noise LAeq</strong>: ${p.noise_eq ?? '—'}</li>
-          <li><strong>Noise LA50</strong>: ${p.noise_p50 ?? '—'}</li>
-          <li><strong>PM2.5</strong>: ${p.pm25 ?? '—'}</li>
+          <li><strong>${t('card.treesAlive')}</strong>: ${aliveTxt}</li>
+          ${metricsIn('livability').map(k => `<li><strong>${t(METRICS[k].label)}</strong>: ${num(metricValue(p, k))}</li>`).join('')}
         </ul>
+        ${m ? `
+        <div class="subtitle">${t('card.filteredMetrics')}</div>
+        <ul>
+          ${metricsIn('trees').map(k => {
+            const v = m[METRICS[k].prop];
+            return `<li><strong>${t(METRICS[k].label)}</strong>: ${v == null ? '—' : fmtNumber(v, { maximumFractionDigits: METRICS[k].digits })}</li>`;
+          }).join('')}
+          <li><strong>${t('card.topCauses')}</strong>: ${causes}</li>
+          <li><strong>${t('card.replanting')}</strong>: ${m.replanting.judged ? t('card.replantingValue', { replaced: m.replanting.replaced, count: m.replanting.judged }) : '—'}</li>
+        </ul>
+        ${['trees', 'fellings', 'nbhd'].some(isPMTiles) ? `<p class="note">${t('areas.loadedOnly')}</p>` : ''}` : ''}
+        <div class="row-inline"><button class="pill small alt nbhd-report" type="button">${t('report.generate')}</button></div>
       </div>`;
-    const card = $('card'); card.innerHTML = html;
+    const card = $('tree-card'); card.innerHTML = html;
+    card.querySelector('.nbhd-report').addEventListener('click', ()=> openReport(nbhdId(p)));
+    cardDialog(card);
+    appendNearestStations(card.firstElementChild, p);
+  }
+
+  // The card is a non-modal dialog labelled by its title. openCard() brings it into view and
+  // focus; closing it (button or Escape) clears the selection and hands focus back.
+  let cardOpener = null;
+  function cardDialog(card){
+    const title = card.querySelector('.title');
+    const header = document.createElement('div');
+    header.className = 'card-header';
+    title.replaceWith(header);
+    title.id = 'card-title';
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'species-close';
+    close.textContent = '×';
+    close.setAttribute('aria-label', t('card.close'));
+    close.addEventListener('click', closeCard);
+    header.append(title, close);
+    card.setAttribute('role', 'dialog');
+    card.setAttribute('aria-labelledby', 'card-title');
+    card.tabIndex = -1;
   }
+  function openCard(){
+    const card = $('tree-card');
+    if (!card.contains(root.activeElement)) cardOpener = root.activeElement;
+    if (!$('pane-tree').classList.contains('active')) showTab('tree');
+    card.focus();
+  }
+  function closeCard(){
+    clearSelection();
+    scheduleHashWrite(true);
+    returnFocus(cardOpener);
+    cardOpener = null;
+  }
+  $('tree-card').addEventListener('keydown', (e)=>{
+    if (e.key !== 'Escape' || !cardRenderer) return;
+    e.preventDefault();
+    closeCard();
+  });
 
-  // ---------------- Year filtering (w/ clustering) ----------------
-  function applyYearFilters(){
-    const pMin = +$('plant-year-min').value;
-    const pMax = +$('plant-year-max').value;
-    const fMin = +$('fell-year-min').value;
-    const fMax = +$('fell-year-max').value;
+  // Back to a control in another tab, or to the list row that stood for it
+  function returnFocus(el){
+    if (!el) return;
+    const pane = el.closest?.('.pane');
+    if (pane && !pane.classList.contains('active')) showTab(pane.id.replace('pane-', ''));
+    if (el.isConnected) el.focus?.();
+    else if (el.dataset?.row != null){
+      if (!listShown()) showTab('list');
+      focusListRow();
+    }
+  }
 
-    const usePMTilesTrees = String(URLS.trees).startsWith('pmtiles://');
-    const usePMTilesFell  = String(URLS.fellings).startsWith('pmtiles://');
+  // ---------------- Filters ----------------
+  // The filter state compiles two ways: a MapLibre expression for vector sources and a JS
+  // predicate for the in-memory collections (which re-cluster on setData).
+  const FILTER_KINDS = ['trees', 'fellings'];
 
-    // Filter features by year
-    const treesFilt = treesAll.features.filter(f=>{
-      const y = +(f.properties?.plant_year || NaN);
-      return isFinite(y) ? (y>=pMin && y<=pMax) : false;
-    });
-    const fellFilt = fellAll.features.filter(f=>{
-      const y = +(f.properties?.removal_year || (String(f.properties?.removal_date||'').slice(0,4)));
-      return isFinite(y) ? (y>=fMin && y<=fMax) : false;
-    });
-    treesFC = { type:'FeatureCollection', features: treesFilt };
-    fellFC  = { type:'FeatureCollection', features: fellFilt };
+  function readYearInputs(){
+    filters.plant = [+$('plant-year-min').value, +$('plant-year-max').value];
+    filters.fell  = [+$('fell-year-min').value,  +$('fell-year-max').value];
+  }
 
-    // Update sources to recompute clusters (GeoJSON only)
-    const treesSrc = map.getSource('trees');
-    const fellSrc  = map.getSource('fellings');
-    if (treesSrc && !usePMTilesTrees) treesSrc.setData(treesFC);
-    // If PMTiles, apply layer filter by year
-    if (usePMTilesTrees && map.getLayer('trees-points')) {
-      map.setFilter('trees-points', ['all', ['!',['has','point_count']],
-        ['>=', ['to-number',['get','plant_year']], pMin],
-        ['<=', ['to-number',['get','plant_year']], pMax] ]);
+  // years:false drops the year clauses (time-lapse histograms, species index); state is a
+  // filters-shaped object, for compare mode's second side
+  function filterPredicate(kind, { years = true, state = filters } = {}){
+    const { species, height, causes, unknownYear } = state;
+    const [lo, hi] = (kind === 'trees') ? state.plant : state.fell;
+    const yearOf = (kind === 'trees') ? plantYear : fellYear;
+    return (p = {}) => {
+      if (years){
+        const y = yearOf(p);
+        if (isFinite(y) ? (y < lo || y > hi) : !unknownYear) return false;
+      }
+      if (species.size && !species.has(speciesKey(p))) return false;
+      if (kind === 'trees' && height){
+        const h = parseFloat(p.hauteur_m);
+        if (!isFinite(h) || (height[0] != null && h < height[0]) || (height[1] != null && h > height[1])) return false;
+      }
+      if (kind === 'fellings' && causes.size && !causes.has(String(p.cause ?? ''))) return false;
+      return true;
+    };
+  }
+
+  function filterExpression(kind, { years = true, state = filters } = {}){
+    const { species, height, causes, unknownYear } = state;
+    const all = ['all', ['!', ['has', 'point_count']]];
+    if (years){
+      const [lo, hi] = (kind === 'trees') ? state.plant : state.fell;
+      // missing or unparsable years come out as 0, like plantYear()/fellYear() give NaN
+      const year = (kind === 'trees')
+        ? ['to-number', ['get', 'plant_year'], 0]
+        : ['to-number', ['coalesce', ['get', 'removal_year'], ['slice', ['to-string', ['get', 'removal_date']], 0, 4]], 0];
+      const inRange = ['all', ['>=', year, lo], ['<=', year, hi]];
+      all.push(unknownYear ? ['any', ['<=', year, 0], inRange] : inRange);
+    }
+    if (species.size){
+      all.push(['in', ['coalesce', ['get', 'sigle'], ['get', 'sp_sigle']], ['literal', Array.from(species)]]);
     }
-    if (fellSrc && !usePMTilesFell)  fellSrc.setData(fellFC);
-    if (usePMTilesFell && map.getLayer('fellings-points')) {
-      map.setFilter('fellings-points', ['all', ['!',['has','point_count']],
-        ['>=', ['to-number',['get','removal_year']], fMin],
-        ['<=', ['to-number',['get','removal_year']], fMax] ]);
+    if (kind === 'trees' && height){
+      const h = ['to-number', ['get', 'hauteur_m'], -1];
+      all.push(['>', h, 0]);
+      if (height[0] != null) all.push(['>=', h, height[0]]);
+      if (height[1] != null) all.push(['<=', h, height[1]]);
     }
+    if (kind === 'fellings' && causes.size){
+      all.push(['in', ['to-string', ['get', 'cause']], ['literal', Array.from(causes)]]);
+    }
+    return all;
   }
 
-  // ---------------- Attribution from CSV ----------------
-  async function loadAttribution(){
-    try{
-      const res = await fetch('./dataset_sum.csv');
-      if (!res.ok) return;
-      const text = await res.text();
-      const rows = text.trim().split(/\r?\n/).map(r=>r.split(','));
-      if (rows.length<=1) return;
-      const [header,...data] = rows;
-      const body = $('attrib-body'); if (!body) return;
-      const ul = document.createElement('ul');
-      ul.className = 'bullets';
-      data.forEach(cells=>{
-        const li = document.createElement('li');
-        li.textContent = cells.join(' — ');
-        ul.appendChild(li);
-      });
-      body.innerHTML = '';
-      body.appendChild(ul);
-    }catch(e){
-      // silent
+  // Vector sources filter on the GPU. In-memory sources ask the data worker; a newer call
+  // supersedes one still in flight, and only the latest runs the follow-up refreshes.
+  function applyFilters(){
+    readYearInputs();
+    const pending = [];
+    for (const kind of FILTER_KINDS){
+      if (isPMTiles(kind)){
+        const expr = filterExpression(kind);
+        for (const id of [kind + '-points', kind + '-heat']) if (map.getLayer(id)) map.setFilter(id, expr);
+        continue;
+      }
+      pending.push(workerRequest('filter', { kind, filters }, 'filter:' + kind).then(res => {
+        if (!res) return false;
+        const all = ((kind === 'trees') ? treesAll : fellAll).features;
+        const fc = { type:'FeatureCollection', features: Array.from(res.indices, i => all[i]) };
+        if (kind === 'trees') treesFC = fc; else fellFC = fc;
+        map.getSource(kind)?.setData(fc);
+        return true;
+      }));
     }
+    renderFilterChips();
+    scheduleHashWrite(true);
+    return Promise.all(pending).then(done => { if (done.every(Boolean)) filtersChanged(); });
   }
 
-  // ---------- Controls wiring ----------
-  $('trees-on')?.addEventListener('change', (e)=>{
-    const on = e.target.checked;
-    setVisibility('trees-points', on);
-    setVisibility('trees-clusters', on);
-    setVisibility('trees-count', on);
-  });
-  $('fell-on')?.addEventListener('change', (e)=>{
-    const on = e.target.checked;
-    setVisibility('fellings-points', on);
-    setVisibility('fellings-clusters', on);
-    setVisibility('fellings-count', on);
-  });
+  // ---- Height / cause / unknown-year controls
+  function readHeightInputs(){
+    const v = (id) => { const n = parseFloat($(id).value); return isFinite(n) ? n : null; };
+    const lo = v('flt-height-min'), hi = v('flt-height-max');
+    filters.height = (lo == null && hi == null) ? null : [lo, hi];
+  }
+  function writeFilterControls(){
+    $('flt-height-min').value = filters.height?.[0] ?? '';
+    $('flt-height-max').value = filters.height?.[1] ?? '';
+    $('flt-unknown-year').checked = filters.unknownYear;
+    if ($('filters-more').open) renderCauseOptions();
+  }
 
-  // Language
-  $('lang-select')?.addEventListener('change', ()=>{
-    const lang = $('lang-select').value;
-    // Update labels in species header
-    const speciesHeaderTitle = document.querySelector('.species-header .title');
-    if (speciesHeaderTitle) speciesHeaderTitle.textContent = lang === 'fr' ? 'Toutes les especes' : 'All Species';
-    const speciesCloseBtn = document.querySelector('.species-close');
-    if (speciesCloseBtn) speciesCloseBtn.setAttribute('aria-label', lang === 'fr' ? 'Fermer la liste' : 'Close list');
-    const overlayMetric = $('overlay-metric');
-    if (overlayMetric) {
-      overlayMetric.options[0].text = lang === 'fr' ? 'Chaleur (1–5)' : 'Heat (1–5)';
-      overlayMetric.options[1].text = 'Noise LAeq (dB)';
-      overlayMetric.options[2].text = 'Noise LA50 (dB)';
-      overlayMetric.options[3].text = 'PM2.5 (µg/m³)';
+  // Causes present in the felling data, most frequent first
+  function fellingCauses(){
+    if (!isPMTiles('fellings')) return Array.from(pointSummaries.fellings?.causes || []).sort((a,b)=> b[1] - a[1]);
+    const counts = new Map();
+    for (const f of loadedFeatures('fellings')){
+      const c = f.properties?.cause;
+      if (c != null && c !== '') counts.set(String(c), (counts.get(String(c)) || 0) + 1);
     }
-    // Refresh legend language
-    const metricVal = $('overlay-metric')?.value || 'heat';
-    setLegend(metricVal);
-    updateLegendEdgeLabels($('chk-overlay')?.checked ?? false);
-  });
+    return Array.from(counts.entries()).sort((a,b)=> b[1] - a[1]);
+  }
+  function renderCauseOptions(){
+    const box = $('flt-causes');
+    box.innerHTML = '';
+    const causes = fellingCauses();
+    // keep selected causes visible even if no loaded tile carries them yet
+    for (const c of filters.causes) if (!causes.some(([k]) => k === c)) causes.push([c, 0]);
+    if (!causes.length){
+      const p = document.createElement('p');
+      p.className = 'note';
+      p.textContent = t('filters.noCauses');
+      box.appendChild(p);
+      return;
+    }
+    for (const [cause, n] of causes){
+      const label = document.createElement('label');
+      label.className = 'checkbox-inline filter-cause';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.checked = filters.causes.has(cause);
+      cb.addEventListener('change', ()=>{
+        cb.checked ? filters.causes.add(cause) : filters.causes.delete(cause);
+        applyFilters();
+      });
+      const span = document.createElement('span');
+      span.textContent = n ? `${cause} (${fmtNumber(n)})` : cause;
+      label.append(cb, span);
+      box.appendChild(label);
+    }
+  }
+
+  // ---- Chips: one per active facet, × removes it
+  function filterChips(){
+    const chips = [];
+    const yearChip = (key, a, b) => {
+      const lo = $(a), hi = $(b);
+      if (lo.value === lo.defaultValue && hi.value === hi.defaultValue) return;
+      chips.push({ label: t(key, { range: `${lo.value}–${hi.value}` }), remove: ()=>{ lo.value = lo.defaultValue; hi.value = hi.defaultValue; syncYearLabels(); } });
+    };
+    yearChip('export.sumPlant', 'plant-year-min', 'plant-year-max');
+    yearChip('export.sumFell', 'fell-year-min', 'fell-year-max');
+    for (const sigle of filters.species){
+      chips.push({ label: speciesLabel(sigle), remove: ()=>{ filters.species.delete(sigle); updateSpeciesListUI(); syncSpeciesChecks(); } });
+    }
+    if (filters.height){
+      const [lo, hi] = filters.height;
+      const label = lo != null && hi != null ? t('filters.heightRange', { min: lo, max: hi })
+        : lo != null ? t('filters.heightMin', { min: lo }) : t('filters.heightMax', { max: hi });
+      chips.push({ label, remove: ()=>{ filters.height = null; } });
+    }
+    for (const cause of filters.causes){
+      chips.push({ label: t('filters.causeChip', { cause }), remove: ()=>{ filters.causes.delete(cause); } });
+    }
+    if (filters.unknownYear) chips.push({ label: t('filters.unknownYear'), remove: ()=>{ filters.unknownYear = false; } });
+    return chips;
+  }
+  function renderFilterChips(){
+    const box = $('filter-chips');
+    box.innerHTML = '';
+    const chips = filterChips();
+    box.hidden = !chips.length;
+    for (const { label, remove } of chips){
+      const chip = document.createElement('span');
+      chip.className = 'filter-chip';
+      chip.textContent = label;
+      const x = document.createElement('button');
+      x.type = 'button';
+      x.className = 'filter-chip-x';
+      x.textContent = '×';
+      x.setAttribute('aria-label', t('filters.remove', { filter: label }));
+      x.addEventListener('click', ()=>{ remove(); writeFilterControls(); applyFilters(); });
+      chip.appendChild(x);
+      box.appendChild(chip);
+    }
+    if (chips.length > 1){
+      const clear = document.createElement('button');
+      clear.type = 'button';
+      clear.className = 'filter-chip-clear';
+      clear.textContent = t('filters.clearAll');
+      clear.addEventListener('click', clearAllFilters);
+      box.appendChild(clear);
+    }
+  }
+  function clearAllFilters(){
+    for (const id of ['plant-year-min', 'plant-year-max', 'fell-year-min', 'fell-year-max']) $(id).value = $(id).defaultValue;
+    syncYearLabels();
+    Object.assign(filters, { species: new Set(), height: null, causes: new Set(), unknownYear: false });
+    updateSpeciesListUI();
+    syncSpeciesChecks();
+    writeFilterControls();
+    applyFilters();
+  }
+
+  let heightTimer = null;
+  ['flt-height-min', 'flt-height-max'].forEach(id => $(id).addEventListener('input', ()=>{
+    clearTimeout(heightTimer);
+    heightTimer = setTimeout(()=>{ readHeightInputs(); applyFilters(); }, 300);
+  }));
+  $('flt-unknown-year').addEventListener('change', (e)=>{
+    filters.unknownYear = e.target.checked;
+    applyFilters();
+  });
+  $('filters-more').addEventListener('toggle', ()=>{ if ($('filters-more').open) renderCauseOptions(); });
+
+  // Everything derived from the active filters
+  function filtersChanged(){
+    scheduleLifeStats();
+    scheduleDensity();
+    scheduleNbhdMetrics();
+    scheduleAreaStats();
+    renderUnreplaced();
+    scheduleCompare();
+    scheduleList();
+    scheduleMatchAnnouncement();
+    emit('filterchange', { filters: filterSnapshot() });
+  }
+
+  // ---------------- Density modes ----------------
+  // clusters: GeoJSON sources cluster natively, vector sources through their '-agg' copy.
+  // heatmap: one heatmap layer per source. hexbin: a hex grid binned client-side from the
+  // filtered features in view. Past POINTS_ZOOM every mode hands over to individual points.
+  const POINTS_ZOOM = 14;
+  const HEX_RADIUS_PX = 18;
+  const DENSITY_RAMPS = { trees: PALETTES.greens, fellings: PALETTES.reds };
+
+  function addDensityLayers(){
+    map.addSource('hexbin', { type:'geojson', data:{ type:'FeatureCollection', features: [] } });
+    for (const kind of FILTER_KINDS){
+      const ramp = DENSITY_RAMPS[kind];
+      const heat = {
+        id: kind + '-heat',
+        type: 'heatmap',
+        source: kind,
+        maxzoom: POINTS_ZOOM,
+        layout: { visibility:'none' },
+        paint: {
+          // native clusters stand in for their points; sqrt keeps big ones from saturating
+          'heatmap-weight': isPMTiles(kind) ? 1 : ['sqrt', ['coalesce', ['get','point_count'], 1]],
+          'heatmap-intensity': ['interpolate',['linear'],['zoom'], 10,0.6, POINTS_ZOOM,1.5],
+          'heatmap-radius': ['interpolate',['linear'],['zoom'], 10,8, POINTS_ZOOM,22],
+          'heatmap-color': ['interpolate',['linear'],['heatmap-density'],
+            0,'rgba(0,0,0,0)', 0.15,ramp[0], 0.35,ramp[1], 0.55,ramp[2], 0.8,ramp[3], 1,ramp[4]],
+          'heatmap-opacity': ['interpolate',['linear'],['zoom'], POINTS_ZOOM - 1,0.85, POINTS_ZOOM,0]
+        }
+      };
+      if (isPMTiles(kind)) { heat['source-layer'] = sourceLayer(kind); heat.filter = filterExpression(kind); }
+      map.addLayer(heat, 'trees-clusters');
+      map.addLayer({
+        id: kind + '-hex',
+        type: 'fill',
+        source: 'hexbin',
+        filter: ['==', ['get','kind'], kind],
+        maxzoom: POINTS_ZOOM,
+        layout: { visibility:'none' },
+        paint: {
+          'fill-color': ['interpolate',['linear'],['get','t'], 0,ramp[0], 0.25,ramp[1], 0.5,ramp[2], 0.75,ramp[3], 1,ramp[4]],
+          'fill-opacity': kind === 'trees' ? 0.65 : 0.55,
+          'fill-outline-color': 'rgba(255,255,255,0.6)'
+        }
+      }, 'trees-clusters');
+      if (isPMTiles(kind)){
+        // singletons of the clustered copy, until the tiles' own points take over
+        const paint = Object.fromEntries(['circle-color','circle-radius','circle-stroke-color','circle-stroke-width']
+          .map(prop => [prop, map.getPaintProperty(kind + '-points', prop)]));
+        map.addLayer({ id: kind + '-agg-points', type:'circle', source: kind + '-agg', maxzoom: POINTS_ZOOM,
+          filter: ['!',['has','point_count']], paint }, kind + '-points');
+        // MapLibre only loads tiles for a source some visible layer draws from. Below POINTS_ZOOM in
+        // clusters or hexbin mode nothing else does, and the clustered copy, the hexagons and every
+        // loaded-tiles count would have no features: this invisible layer keeps the tiles coming.
+        map.addLayer({ id: kind + '-tiles', type:'circle', source: kind, 'source-layer': sourceLayer(kind),
+          paint: { 'circle-radius': 0, 'circle-opacity': 0, 'circle-stroke-width': 0 } }, kind + '-agg-points');
+      }
+    }
+  }
+
+  function densityLayerIds(kind){
+    return {
+      clusters: [kind + '-clusters', kind + '-count', ...(isPMTiles(kind) ? [kind + '-agg-points'] : [])],
+      heatmap: [kind + '-heat'],
+      hexbin: [kind + '-hex']
+    };
+  }
+  const kindShown = (kind) => $(kind === 'trees' ? 'chk-show-alive' : 'chk-show-fell').checked;
+
+  function updateDensityLayers(){
+    const mode = $('density-mode').value;
+    for (const kind of FILTER_KINDS){
+      const on = kindShown(kind);
+      for (const [m, ids] of Object.entries(densityLayerIds(kind))) ids.forEach(id => setVisibility(id, on && m === mode));
+      setVisibility(kind + '-points', on);
+      // native clusters hand over to points by themselves; everything else waits for POINTS_ZOOM
+      if (map.getLayer(kind + '-points')){
+        map.setLayerZoomRange(kind + '-points', (mode === 'clusters' && !isPMTiles(kind)) ? 0 : POINTS_ZOOM, 24);
+      }
+    }
+    refreshDensity();
+  }
+
+  // Web Mercator world coordinates in [0, 1]
+  function lngLatToWorld([lng, lat]){
+    const s = Math.sin(lat * Math.PI / 180);
+    return [(lng + 180) / 360, 0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI)];
+  }
+  function worldToLngLat([x, y]){
+    return [x * 360 - 180, 360 / Math.PI * Math.atan(Math.exp((0.5 - y) * 2 * Math.PI)) - 90];
+  }
+
+  // Pointy-top hexagons of the given radius (world units); returns [{ q, r, count }]
+  function hexbin(features, radius){
+    const bins = new Map();
+    for (const f of features){
+      const [x, y] = lngLatToWorld(f.geometry.coordinates);
+      const q = (Math.sqrt(3) / 3 * x - y / 3) / radius, r = (2 / 3 * y) / radius;
+      // cube rounding
+      let rq = Math.round(q), rr = Math.round(r), rs = Math.round(-q - r);
+      const dq = Math.abs(rq - q), dr = Math.abs(rr - r), ds = Math.abs(rs + q + r);
+      if (dq > dr && dq > ds) rq = -rr - rs;
+      else if (dr > ds) rr = -rq - rs;
+      const key = rq + ',' + rr;
+      const bin = bins.get(key);
+      if (bin) bin.count++;
+      else bins.set(key, { q: rq, r: rr, count: 1 });
+    }
+    return Array.from(bins.values());
+  }
+  function hexPolygon({ q, r }, radius){
+    const cx = radius * Math.sqrt(3) * (q + r / 2), cy = radius * 1.5 * r;
+    const ring = [];
+    for (let i = 0; i <= 6; i++){
+      const a = Math.PI / 180 * (60 * (i % 6) - 30);
+      ring.push(worldToLngLat([cx + radius * Math.cos(a), cy + radius * Math.sin(a)]));
+    }
+    return { type:'Polygon', coordinates: [ring] };
+  }
+
+  // target and state default to the main map and the active filters (see Compare)
+  function updateHexbin(target = map, state = filters){
+    const src = target.getSource('hexbin');
+    if (!src) return;
+    const radius = HEX_RADIUS_PX / (512 * 2 ** target.getZoom());
+    const bounds = target.getBounds();
+    const features = [];
+    for (const kind of FILTER_KINDS){
+      if (!kindShown(kind)) continue;
+      const bins = hexbin(filteredFeatures(kind, { bounds, state }), radius);
+      const max = bins.reduce((m, b) => Math.max(m, b.count), 1);
+      for (const b of bins){
+        features.push({ type:'Feature', geometry: hexPolygon(b, radius), properties: { kind, count: b.count, t: b.count / max } });
+      }
+    }
+    src.setData({ type:'FeatureCollection', features });
+  }
+
+  function refreshDensity(target = map, state = filters){
+    if (target.getZoom() >= POINTS_ZOOM) return;
+    const mode = $('density-mode').value;
+    if (mode === 'hexbin') updateHexbin(target, state);
+    if (mode !== 'clusters') return;
+    for (const kind of FILTER_KINDS){
+      const src = target.getSource(kind + '-agg');
+      if (!src || !kindShown(kind)) continue;
+      src.setData({ type:'FeatureCollection', features: filteredFeatures(kind, { state }).map(f => ({
+        type:'Feature', geometry: f.geometry, properties: f.properties
+      })) });
+    }
+  }
+  let densityTimer = null;
+  function scheduleDensity(){
+    clearTimeout(densityTimer);
+    densityTimer = setTimeout(refreshDensity, 200);
+  }
+  map.on('moveend', scheduleDensity);
+
+  $('density-mode').addEventListener('change', ()=>{
+    updateDensityLayers();
+    scheduleHashWrite(true);
+  });
+
+  // Clusters zoom in; the clustered copy's singletons behave like points
+  for (const kind of FILTER_KINDS){
+    map.on('click', kind + '-clusters', (e)=>{
+      const f = e.features && e.features[0]; if (!f || mapPicking()) return;
+      map.easeTo({ center: f.geometry.coordinates, zoom: Math.min(map.getZoom() + 2, POINTS_ZOOM) });
+    });
+    map.on('click', kind + '-agg-points', (e)=>{
+      const f = e.features && e.features[0]; if (!f || mapPicking()) return;
+      selectTree(f, kind === 'trees' ? 'alive' : 'felled');
+    });
+    for (const id of [kind + '-clusters', kind + '-agg-points']){
+      map.on('mouseenter', id, ()=> map.getCanvas().style.cursor = 'pointer');
+      map.on('mouseleave', id, ()=> map.getCanvas().style.cursor = '');
+    }
+  }
+
+  // ---------------- Point styles ----------------
+  // "Style by" recolours or resizes the individual points. Each mode is an expression over
+  // feature properties only, so the same paint serves GeoJSON and vector sources:
+  //   genus, sigle  categorical: the STYLE_TOP most common, then "other"; both layers
+  //   age           graduated by years since plant_year; alive trees
+  //   height        radius grows with hauteur_m (circle area in proportion); alive trees
+  //   cause         categorical by felling cause; fellings
+  // A layer a mode does not apply to keeps its plain paint, read back from the layer itself.
+  const STYLE_TOP = 8;
+  const STYLE_COLORS = ['#4e79a7','#f28e2b','#e15759','#76b7b2','#59a14f','#edc948','#b07aa1','#ff9da7'];   // Tableau 10
+  const STYLE_OTHER = '#bab0ac';
+  const STYLE_KINDS = { genus: ['trees','fellings'], sigle: ['trees','fellings'], age: ['trees'], height: ['trees'], cause: ['fellings'] };
+  const STYLE_PROPS = ['circle-color', 'circle-radius', 'circle-stroke-color', 'circle-opacity'];
+  const AGE_BREAKS = [5, 10, 20, 40];      // years; one class more than breaks
+  const HEIGHT_REF_M = 10;                 // a tree this tall keeps the plain radius
+  const HEIGHT_SAMPLES = [5, 10, 20, 30];  // legend circles, metres
+  const SIGLE_EXPR = ['to-string', ['coalesce', ['get','sigle'], ['get','sp_sigle'], '']];
+  const pointStyle = { mode: 'plain', classes: [], plain: {} };   // classes: [{ label, color, values }]
+  let pointStyleTimer = null;
+
+  // The layers' own paint, before any mode touched it
+  function plainPaint(kind){
+    return pointStyle.plain[kind] ||= Object.fromEntries(STYLE_PROPS.map(p => [p, map.getPaintProperty(kind + '-points', p)]));
+  }
+
+  // Categories for the categorical modes, most common first
+  function styleClasses(mode){
+    let ranked = [];
+    if (mode === 'sigle'){
+      ranked = Array.from(speciesIndex().values(), e => ({ label: speciesLabel(e.sigle), values: [e.sigle], n: e.alive + e.felled }));
+    } else if (mode === 'genus'){
+      const byGenus = new Map();
+      for (const e of speciesIndex().values()){
+        if (!e.genus) continue;
+        const g = byGenus.get(e.genus) || byGenus.set(e.genus, { label: e.genus, values: [], n: 0 }).get(e.genus);
+        g.values.push(e.sigle);
+        g.n += e.alive + e.felled;
+      }
+      ranked = Array.from(byGenus.values());
+    } else if (mode === 'cause'){
+      ranked = fellingCauses().map(([cause, n]) => ({ label: cause, values: [cause], n }));
+    }
+    return ranked.filter(c => c.n > 0).sort((a,b)=> b.n - a.n).slice(0, STYLE_TOP)
+      .map((c, i) => ({ label: c.label, values: c.values, color: STYLE_COLORS[i] }));
+  }
+
+  function styleColor(mode){
+    if (mode === 'age'){
+      const colors = PALETTES.viridis.slice().reverse();   // young is light
+      const planted = ['to-number', ['get','plant_year'], 0];
+      return ['case', ['>', planted, 0],
+        ['step', ['-', new Date().getFullYear(), planted], colors[0], ...AGE_BREAKS.flatMap((b, i) => [b, colors[i + 1]])],
+        NO_DATA_COLOR];
+    }
+    const classes = pointStyle.classes;
+    if (!classes.length) return STYLE_OTHER;
+    const input = mode === 'cause' ? ['to-string', ['coalesce', ['get','cause'], '']] : SIGLE_EXPR;
+    return ['match', input, ...classes.flatMap(c => [c.values, c.color]), STYLE_OTHER];
+  }
+
+  // The plain radius' zoom stops, each scaled by √(height / HEIGHT_REF_M)
+  function heightRadius(plain){
+    const factor = ['max', 0.4, ['sqrt', ['/', ['min', ['to-number', ['get','hauteur_m'], 0], 40], HEIGHT_REF_M]]];
+    if (!Array.isArray(plain) || plain[0] !== 'interpolate') return ['*', plain ?? 3, factor];
+    const stops = plain.slice(3);
+    return [...plain.slice(0, 3), ...stops.flatMap((v, i) => i % 2 ? [['*', v, factor]] : [v])];
+  }
+  // Plain radius at a zoom, for the legend circles
+  function plainRadiusAt(plain, zoom){
+    if (!Array.isArray(plain)) return plain ?? 3;
+    const stops = [];
+    for (let i = 3; i < plain.length; i += 2) stops.push([plain[i], plain[i + 1]]);
+    if (zoom <= stops[0][0]) return stops[0][1];
+    for (let i = 1; i < stops.length; i++){
+      const [z0, r0] = stops[i - 1], [z1, r1] = stops[i];
+      if (zoom <= z1) return r0 + (r1 - r0) * (zoom - z0) / (z1 - z0);
+    }
+    return stops[stops.length - 1][1];
+  }
+
+  function pointPaint(kind){
+    const plain = plainPaint(kind), mode = pointStyle.mode;
+    if (!STYLE_KINDS[mode]?.includes(kind)) return plain;
+    if (mode === 'height') return { ...plain, 'circle-radius': heightRadius(plain['circle-radius']) };
+    return { ...plain, 'circle-color': styleColor(mode), 'circle-stroke-color': 'rgba(255,255,255,0.7)', 'circle-opacity': 0.85 };
+  }
+
+  // Points and the singletons of vector sources' clustered copies, on both maps
+  function applyPointStyle(){
+    for (const kind of FILTER_KINDS){
+      if (!map.getLayer(kind + '-points')) continue;
+      const paint = pointPaint(kind);
+      for (const m of [map, compare.map]){
+        for (const id of [kind + '-points', kind + '-agg-points']){
+          if (m?.getLayer(id)) for (const p of STYLE_PROPS) m.setPaintProperty(id, p, paint[p]);
+        }
+      }
+    }
+    renderPointLegend();
+  }
+
+  function setPointStyle(mode){
+    pointStyle.mode = STYLE_KINDS[mode] ? mode : 'plain';
+    pointStyle.classes = styleClasses(pointStyle.mode);
+    applyPointStyle();
+  }
+
+  // Vector tiles bring new species and causes as they load; repaint only when the top ones change
+  function schedulePointStyle(){
+    if (!['genus', 'sigle', 'cause'].includes(pointStyle.mode)) return;
+    clearTimeout(pointStyleTimer);
+    pointStyleTimer = setTimeout(()=>{
+      const next = styleClasses(pointStyle.mode);
+      if (JSON.stringify(next) === JSON.stringify(pointStyle.classes)) return;
+      pointStyle.classes = next;
+      applyPointStyle();
+    }, 500);
+  }
+
+  function renderPointLegend(){
+    const box = $('point-legend');
+    const mode = pointStyle.mode;
+    box.hidden = mode === 'plain';
+    box.innerHTML = '';
+    if (mode === 'plain') return;
+    const title = document.createElement('div');
+    title.className = 'point-legend-title';
+    const kinds = STYLE_KINDS[mode].map(k => t(k === 'trees' ? 'export.legendAlive' : 'export.legendFelled')).join(', ');
+    title.textContent = `${t('style.' + mode)} · ${kinds}`;
+    box.appendChild(title);
+    const item = (label, swatch) => {
+      const row = document.createElement('div');
+      row.className = 'legend-item';
+      const tx = document.createElement('span');
+      tx.textContent = label;
+      row.append(swatch, tx);
+      box.appendChild(row);
+    };
+    const square = (color) => {
+      const sw = document.createElement('span');
+      sw.className = 'swatch';
+      sw.style.background = color;
+      return sw;
+    };
+    if (mode === 'height'){
+      const plain = plainPaint('trees')['circle-radius'];
+      const base = plainRadiusAt(plain, map.getZoom());
+      for (const h of HEIGHT_SAMPLES){
+        const d = 2 * base * Math.max(0.4, Math.sqrt(h / HEIGHT_REF_M));
+        const dot = document.createElement('span');
+        dot.className = 'point-legend-dot';
+        dot.style.width = dot.style.height = `${d.toFixed(1)}px`;
+        item(t('style.metres', { count: h }), dot);
+      }
+      return;
+    }
+    if (mode === 'age'){
+      const colors = PALETTES.viridis.slice().reverse();
+      const edges = [0, ...AGE_BREAKS];
+      colors.forEach((color, i) => item(i < AGE_BREAKS.length
+        ? t('style.ageRange', { from: edges[i], to: edges[i + 1] }) : t('style.ageOver', { count: edges[i] }), square(color)));
+      item(t('style.unknown'), square(NO_DATA_COLOR));
+      return;
+    }
+    for (const c of pointStyle.classes) item(c.label, square(c.color));
+    item(pointStyle.classes.length ? t('style.other') : t('style.noClasses'), square(STYLE_OTHER));
+  }
+
+  $('point-style').addEventListener('change', (e)=>{
+    setPointStyle(e.target.value);
+    scheduleHashWrite(true);
+  });
+  map.on('zoomend', ()=>{ if (pointStyle.mode === 'height') renderPointLegend(); });
+
+  // ---------------- Forest Life stats ----------------
+  const TOP_SPECIES = 5;
+
+  // Features of one kind ('trees' | 'fellings') passing the active filters (or another filter
+  // state), optionally inside bounds; allYears keeps the other filters but ignores the year
+  // ranges. Vector sources only know the tiles currently loaded.
+  function filteredFeatures(kind, { allYears = false, bounds = null, state = filters } = {}){
+    const inView = (f) => { const c = f.geometry?.coordinates; return !!c && (!bounds || bounds.contains(c)); };
+    if (!isPMTiles(kind)){
+      if (!allYears && state === filters) return ((kind === 'trees') ? treesFC : fellFC).features.filter(inView);
+      const keep = filterPredicate(kind, { years: !allYears, state });
+      return ((kind === 'trees') ? treesAll : fellAll).features.filter(f => inView(f) && keep(f.properties));
+    }
+    return loadedFeatures(kind, filterExpression(kind, { years: !allYears, state })).filter(inView);
+  }
+
+  // Features of a vector source in the loaded tiles
+  function loadedFeatures(kind, filter){
+    if (!map.getSource(kind)) return [];
+    const feats = map.querySourceFeatures(kind, { sourceLayer: sourceLayer(kind), filter });
+    // Tiles overlap at their buffers, so the same point can come back more than once
+    const seen = new Set(), out = [];
+    for (const f of feats){
+      const [x,y] = f.geometry.coordinates;
+      const key = f.id ?? f.properties?.gid ?? `${x.toFixed(6)},${y.toFixed(6)},${speciesKey(f.properties)}`;
+      if (seen.has(key)) continue;
+      seen.add(key); out.push(f);
+    }
+    return out;
+  }
+  function viewportFeatures(kind, allYears = false){
+    return filteredFeatures(kind, { allYears, bounds: map.getBounds() });
+  }
+
+  function topSpecies(features, lang){
+    const counts = new Map();
+    for (const f of features){
+      const key = speciesKey(f.properties); if (!key) continue;
+      const row = counts.get(key);
+      if (row) row.n++;
+      else counts.set(key, { n: 1, name: speciesName(f.properties, lang) });
+    }
+    return Array.from(counts.entries()).sort((a,b)=> b[1].n - a[1].n).slice(0, TOP_SPECIES);
+  }
+
+  function renderTopList(ul, rows){
+    ul.innerHTML = '';
+    if (!rows.length){
+      const li = document.createElement('li');
+      li.textContent = t('life.noneInView');
+      ul.appendChild(li);
+      return;
+    }
+    for (const [sigle, { n, name }] of rows){
+      const li = document.createElement('li');
+      li.textContent = t('life.speciesRow', { name, sigle, count: n });
+      ul.appendChild(li);
+    }
+  }
+
+  function updateLifeStats(){
+    const lang = i18n.lang;
+    const trees = viewportFeatures('trees');
+    const fell  = viewportFeatures('fellings');
+    $('life-planted-k').textContent = fmtNumber(trees.length);
+    $('life-felled-k').textContent  = fmtNumber(fell.length);
+    renderTopList($('top-planted'), topSpecies(trees, lang));
+    renderTopList($('top-felled'),  topSpecies(fell, lang));
+  }
+
+  let lifeStatsTimer = null;
+  function scheduleLifeStats(){
+    clearTimeout(lifeStatsTimer);
+    lifeStatsTimer = setTimeout(updateLifeStats, 150);
+  }
+  map.on('moveend', scheduleLifeStats);
+  map.on('sourcedata', (e)=>{
+    if ((e.sourceId === 'trees' || e.sourceId === 'fellings') && e.isSourceLoaded){
+      scheduleLifeStats();
+      if (isPMTiles(e.sourceId)){ scheduleNbhdMetrics(); scheduleDensity(); scheduleAreaStats(); scheduleReplanting(); scheduleList(); scheduleCompare(); speciesIdxDirty = true; schedulePointStyle(); }
+    }
+    // vector neighbourhoods only become polygons as their tiles arrive
+    if (e.sourceId === 'nbhd' && isPMTiles('nbhd') && e.isSourceLoaded) scheduleNbhdMetrics();
+  });
+
+  // ---------------- Neighbourhood metrics ----------------
+  // Tree metrics per neighbourhood, aggregated client-side by point-in-polygon over the points
+  // passing the active filters. Computed lazily: only while a tree metric is on the map, the
+  // scatter plot is open or a neighbourhood card is shown.
+  const TOP_CAUSES = 3;
+  let nbhdMetrics = new Map();   // id → { name, props, trees, fellings, area_km2, top_causes, ...'trees' metric props }
+  let nbhdMetricsDirty = true;
+
+  // Spherical polygon area (same approximation as geojson-area)
+  function ringAreaKm2(ring){
+    const R = 6378137, rad = Math.PI / 180;
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++){
+      const [x1, y1] = ring[i], [x2, y2] = ring[i + 1];
+      sum += (x2 - x1) * rad * (2 + Math.sin(y1 * rad) + Math.sin(y2 * rad));
+    }
+    return Math.abs(sum * R * R / 2) / 1e6;
+  }
+  const polygonsOf = (g) => g?.type === 'Polygon' ? [g.coordinates] : g?.type === 'MultiPolygon' ? g.coordinates : [];
+  function geometryAreaKm2(g){
+    let a = 0;
+    for (const [outer, ...holes] of polygonsOf(g)){
+      a += ringAreaKm2(outer);
+      for (const h of holes) a -= ringAreaKm2(h);
+    }
+    return a;
+  }
+  function geometryBBox(g){
+    const b = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const poly of polygonsOf(g)) for (const [x, y] of poly[0]){
+      if (x < b[0]) b[0] = x; if (y < b[1]) b[1] = y; if (x > b[2]) b[2] = x; if (y > b[3]) b[3] = y;
+    }
+    return b;
+  }
+  function pointInRing(x, y, ring){
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++){
+      const [xi, yi] = ring[i], [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+  function pointInGeometry([x, y], g){
+    return polygonsOf(g).some(([outer, ...holes]) => pointInRing(x, y, outer) && !holes.some(h => pointInRing(x, y, h)));
+  }
+
+  // Lng/lat bounds of tile z/x/y
+  function tileBBox(z, x, y){
+    const n = 2 ** z, lng = (i) => i / n * 360 - 180;
+    const lat = (j) => Math.atan(Math.sinh(Math.PI * (1 - 2 * j / n))) * 180 / Math.PI;
+    return [lng(x), lat(y + 1), lng(x + 1), lat(y)];
+  }
+  // Sutherland–Hodgman against a box; null when nothing of the ring is left
+  function clipRing(ring, [x0, y0, x1, y1]){
+    const cut = (pts, inside, at) => {
+      const out = [];
+      pts.forEach((b, i) => {
+        const a = pts[(i || pts.length) - 1];
+        if (inside(b)){ if (!inside(a)) out.push(at(a, b)); out.push(b); }
+        else if (inside(a)) out.push(at(a, b));
+      });
+      return out;
+    };
+    const onX = (x) => (a, b) => [x, a[1] + (b[1] - a[1]) * (x - a[0]) / (b[0] - a[0])];
+    const onY = (y) => (a, b) => [a[0] + (b[0] - a[0]) * (y - a[1]) / (b[1] - a[1]), y];
+    let pts = ring.slice(0, -1);
+    pts = cut(pts, p => p[0] >= x0, onX(x0));
+    pts = cut(pts, p => p[0] <= x1, onX(x1));
+    pts = cut(pts, p => p[1] >= y0, onY(y0));
+    pts = cut(pts, p => p[1] <= y1, onY(y1));
+    return pts.length >= 3 ? [...pts, pts[0]] : null;
+  }
+  // Area of a tile's piece of a polygon, without the buffer it shares with neighbouring tiles
+  function pieceAreaKm2(geometry, bbox){
+    let a = 0;
+    for (const [outer, ...holes] of polygonsOf(geometry)){
+      const o = clipRing(outer, bbox);
+      if (!o) continue;
+      a += ringAreaKm2(o);
+      for (const h of holes){ const c = clipRing(h, bbox); if (c) a -= ringAreaKm2(c); }
+    }
+    return a;
+  }
+
+  // [{ id, props, geometry, area }]; vector tiles split polygons, so pieces are merged by id.
+  // Their area only sums the pieces of the loaded tiles, each clipped to its tile: the pieces
+  // overlap in the tiles' buffers.
+  function nbhdPolygons(){
+    if (rawNbhd?.features) {
+      return rawNbhd.features.filter(f => f.geometry).map(f => ({ id: nbhdId(f.properties), props: f.properties || {}, geometry: f.geometry, area: geometryAreaKm2(f.geometry) }));
+    }
+    if (!map.getSource('nbhd')) return [];
+    const pieces = map.querySourceFeatures('nbhd', { sourceLayer: sourceLayer('nbhd') });
+    // tiles of a zoom being replaced can linger beside their successors; count the finest only
+    const tileOf = (f) => f._vectorTileFeature;
+    const zMax = Math.max(...pieces.map(f => tileOf(f)?._z ?? -1));
+    const byId = new Map();
+    for (const f of pieces){
+      const id = nbhdId(f.properties);
+      const n = byId.get(id) || byId.set(id, { id, props: f.properties || {}, geometry: { type:'MultiPolygon', coordinates: [] }, area: 0 }).get(id);
+      n.geometry.coordinates.push(...polygonsOf(f.geometry));
+      const tile = tileOf(f);
+      if (!tile) n.area += geometryAreaKm2(f.geometry);
+      else if (tile._z === zMax) n.area += pieceAreaKm2(f.geometry, tileBBox(tile._z, tile._x, tile._y));
+    }
+    return Array.from(byId.values());
+  }
+
+  function median(values){
+    if (!values.length) return null;
+    const v = values.slice().sort((a,b)=> a - b), mid = v.length >> 1;
+    return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+  }
+  function shannonIndex(counts){
+    let total = 0, h = 0;
+    for (const n of counts.values()) total += n;
+    if (!total) return null;
+    for (const n of counts.values()) h -= (n / total) * Math.log(n / total);
+    return h;
+  }
+
+  // Metrics per neighbourhood id under a filter state (the active filters by default)
+  function nbhdMetricsFor(state = filters){
+    const polys = nbhdPolygons().map(n => ({
+      ...n, bbox: geometryBBox(n.geometry),
+      trees: 0, fellings: 0, species: new Map(), heights: [], causes: new Map(), judged: 0, replaced: 0, lags: []
+    }));
+    const locate = (c) => polys.find(({ bbox:b, geometry }) =>
+      c[0] >= b[0] && c[0] <= b[2] && c[1] >= b[1] && c[1] <= b[3] && pointInGeometry(c, geometry));
+    for (const f of filteredFeatures('trees', { state })){
+      const n = locate(f.geometry.coordinates); if (!n) continue;
+      n.trees++;
+      const key = speciesKey(f.properties);
+      if (key) n.species.set(key, (n.species.get(key) || 0) + 1);
+      const h = parseFloat(f.properties?.hauteur_m);
+      if (isFinite(h) && h > 0) n.heights.push(h);
+    }
+    for (const f of filteredFeatures('fellings', { state })){
+      const n = locate(f.geometry.coordinates); if (!n) continue;
+      n.fellings++;
+      const cause = f.properties?.cause;
+      if (cause) n.causes.set(cause, (n.causes.get(cause) || 0) + 1);
+      const lag = replanting?.byKey.get(fellingKey(f.geometry.coordinates, f.properties));
+      if (lag !== undefined){
+        n.judged++;
+        if (lag != null){ n.replaced++; n.lags.push(lag); }
+      }
+    }
+    const years = Math.max(1, state.fell[1] - state.fell[0] + 1);
+    return new Map(polys.map(n => [n.id, {
+      name: nbhdName(n.props),
+      props: n.props,
+      trees: n.trees,
+      fellings: n.fellings,
+      area_km2: n.area,
+      trees_per_km2: n.area > 0 ? n.trees / n.area : null,
+      fellings_per_year: n.fellings / years,
+      shannon: shannonIndex(n.species),
+      median_height: median(n.heights),
+      replacement_rate: n.judged ? 100 * n.replaced / n.judged : null,
+      replacement_lag: median(n.lags),
+      replanting: { judged: n.judged, replaced: n.replaced },
+      top_causes: Array.from(n.causes.entries()).sort((a,b)=> b[1] - a[1]).slice(0, TOP_CAUSES)
+    }]));
+  }
+  function computeNbhdMetrics(){
+    nbhdMetrics = nbhdMetricsFor();
+    nbhdMetricsDirty = false;
+  }
+  function ensureNbhdMetrics(){ if (nbhdMetricsDirty) computeNbhdMetrics(); }
+
+  function nbhdMetricsInUse(){
+    return ($('chk-overlay').checked && METRICS[$('overlay-metric').value].group === 'trees')
+      || $('pane-nbhd').classList.contains('active')
+      || selection?.kind === 'nbhd';
+  }
+  function refreshNbhdMetrics(){
+    computeNbhdMetrics();
+    if ($('chk-overlay').checked && METRICS[$('overlay-metric').value].group === 'trees') refreshChoropleth();
+    if ($('pane-nbhd').classList.contains('active')) drawScatter();
+    if (selection?.kind === 'nbhd') cardRenderer?.();
+  }
+  let nbhdMetricsTimer = null;
+  function scheduleNbhdMetrics(){
+    nbhdMetricsDirty = true;
+    clearTimeout(nbhdMetricsTimer);
+    if (nbhdMetricsInUse()) nbhdMetricsTimer = setTimeout(refreshNbhdMetrics, 300);
+  }
+
+  // ---- Scatter plot: tree metric (x) vs livability metric (y), brush to highlight
+  const scatter = { points: [], selected: new Set(), W: 300, H: 220, pad: { l:40, r:10, t:10, b:30 } };
+
+  function pearson(points){
+    const n = points.length;
+    if (n < 3) return null;
+    const mx = points.reduce((s,p)=> s + p.x, 0) / n, my = points.reduce((s,p)=> s + p.y, 0) / n;
+    let sxy = 0, sxx = 0, syy = 0;
+    for (const { x, y } of points){ sxy += (x - mx) * (y - my); sxx += (x - mx) ** 2; syy += (y - my) ** 2; }
+    return (sxx && syy) ? sxy / Math.sqrt(sxx * syy) : null;
+  }
+
+  function drawScatter(){
+    ensureNbhdMetrics();
+    const svg = $('scatter');
+    const xSel = $('scatter-x'), ySel = $('scatter-y');
+    const xm = METRICS[xSel.value], ym = METRICS[ySel.value];
+    scatter.points = [];
+    for (const [id, m] of nbhdMetrics){
+      const x = m[xm.prop], y = metricValue(m.props, ySel.value);
+      if (x != null && isFinite(x) && y != null) scatter.points.push({ id, name: m.name, x, y });
+    }
+    const { pad } = scatter;
+    const W = scatter.W = svg.clientWidth || 300, H = scatter.H;
+    const ext = (k) => {
+      const v = scatter.points.map(p => p[k]);
+      const lo = v.length ? Math.min(...v) : 0, hi = v.length ? Math.max(...v) : 1;
+      return hi > lo ? [lo, hi] : [lo - 1, hi + 1];
+    };
+    const [x0, x1] = ext('x'), [y0, y1] = ext('y');
+    const sx = (v) => pad.l + (v - x0) / (x1 - x0) * (W - pad.l - pad.r);
+    const sy = (v) => H - pad.b - (v - y0) / (y1 - y0) * (H - pad.t - pad.b);
+    for (const p of scatter.points){ p.px = sx(p.x); p.py = sy(p.y); }
+
+    svg.setAttribute('viewBox', `0 0 ${W} ${H}`);
+    svg.innerHTML = '';
+    svg.appendChild(svgEl('line', { x1: pad.l, y1: H - pad.b, x2: W - pad.r, y2: H - pad.b, class:'sc-axis-line' }));
+    svg.appendChild(svgEl('line', { x1: pad.l, y1: pad.t, x2: pad.l, y2: H - pad.b, class:'sc-axis-line' }));
+    const label = (text, attrs) => { const n = svgEl('text', attrs); n.textContent = text; svg.appendChild(n); };
+    const fx = (v) => fmtNumber(v, { maximumFractionDigits: xm.digits });
+    const fy = (v) => fmtNumber(v, { maximumFractionDigits: ym.digits });
+    label(fx(x0), { x: pad.l, y: H - pad.b + 12, class:'sc-tick' });
+    label(fx(x1), { x: W - pad.r, y: H - pad.b + 12, class:'sc-tick end' });
+    label(fy(y0), { x: pad.l - 4, y: H - pad.b, class:'sc-tick end' });
+    label(fy(y1), { x: pad.l - 4, y: pad.t + 8, class:'sc-tick end' });
+    label(xSel.selectedOptions[0].textContent, { x: (pad.l + W - pad.r) / 2, y: H - 4, class:'sc-title' });
+    label(ySel.selectedOptions[0].textContent, { x: 10, y: (pad.t + H - pad.b) / 2, class:'sc-title',
+      transform: `rotate(-90 10 ${(pad.t + H - pad.b) / 2})` });
+    for (const p of scatter.points){
+      const c = svgEl('circle', { cx: p.px, cy: p.py, r: 4, class: 'sc-dot' + (scatter.selected.has(p.id) ? ' selected' : ''), 'data-id': p.id });
+      const title = svgEl('title');
+      title.textContent = `${p.name}: ${fx(p.x)}${xm.unit ? ' ' + xm.unit : ''} / ${fy(p.y)}${ym.unit ? ' ' + ym.unit : ''}`;
+      c.appendChild(title);
+      svg.appendChild(c);
+    }
+    const r = pearson(scatter.points);
+    $('scatter-r').textContent = scatter.points.length
+      ? t('scatter.summary', { count: scatter.points.length, r: r == null ? '—' : fmtNumber(r, { maximumFractionDigits: 2 }) })
+      : t('scatter.empty');
+  }
+
+  function setBrushSelection(ids){
+    scatter.selected = new Set(ids);
+    $('scatter').querySelectorAll('.sc-dot').forEach(c => c.classList.toggle('selected', scatter.selected.has(c.dataset.id)));
+    if (map.getLayer('nbhd-brush')) map.setFilter('nbhd-brush', nbhdIdFilter(ids));
+    const ul = $('scatter-selected');
+    ul.innerHTML = '';
+    for (const id of ids){
+      const li = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'link-btn';
+      btn.textContent = nbhdMetrics.get(id)?.name ?? id;
+      btn.addEventListener('click', ()=> zoomToNbhd(id));
+      li.appendChild(btn);
+      ul.appendChild(li);
+    }
+    $('scatter-clear').hidden = !ids.length;
+  }
+
+  function zoomToNbhd(id){
+    const n = nbhdPolygons().find(p => p.id === id);
+    if (!n) return;
+    const b = geometryBBox(n.geometry);
+    map.fitBounds([[b[0], b[1]], [b[2], b[3]]], { padding: 40, maxZoom: 15 });
+    selectNbhdById(id);
+  }
+
+  (function initScatterBrush(){
+    const svg = $('scatter');
+    let start = null, rect = null;
+    const at = (e) => {
+      const b = svg.getBoundingClientRect();
+      return [(e.clientX - b.left) * scatter.W / b.width, (e.clientY - b.top) * scatter.H / b.height];
+    };
+    svg.addEventListener('pointerdown', (e)=>{
+      start = at(e);
+      rect = svgEl('rect', { class:'sc-brush', x: start[0], y: start[1], width: 0, height: 0 });
+      svg.appendChild(rect);
+      svg.setPointerCapture(e.pointerId);
+    });
+    svg.addEventListener('pointermove', (e)=>{
+      if (!start) return;
+      const [x, y] = at(e);
+      rect.setAttribute('x', Math.min(x, start[0])); rect.setAttribute('width', Math.abs(x - start[0]));
+      rect.setAttribute('y', Math.min(y, start[1])); rect.setAttribute('height', Math.abs(y - start[1]));
+    });
+    svg.addEventListener('pointerup', (e)=>{
+      if (!start) return;
+      const [x, y] = at(e);
+      const [xa, xb] = [Math.min(x, start[0]), Math.max(x, start[0])];
+      const [ya, yb] = [Math.min(y, start[1]), Math.max(y, start[1])];
+      rect.remove();
+      start = rect = null;
+      let ids;
+      if (xb - xa < 4 && yb - ya < 4){
+        // a click: toggle the nearest dot
+        const hit = scatter.points.find(p => Math.hypot(p.px - x, p.py - y) <= 6);
+        ids = Array.from(scatter.selected);
+        if (hit) ids = scatter.selected.has(hit.id) ? ids.filter(id => id !== hit.id) : ids.concat(hit.id);
+      } else {
+        ids = scatter.points.filter(p => p.px >= xa && p.px <= xb && p.py >= ya && p.py <= yb).map(p => p.id);
+      }
+      setBrushSelection(ids);
+    });
+  })();
+  $('scatter-x').addEventListener('change', drawScatter);
+  $('scatter-y').addEventListener('change', drawScatter);
+  $('scatter-clear').addEventListener('click', ()=> setBrushSelection([]));
+
+  // ---------------- Replanting ----------------
+  // Every felling, whatever the filters, is paired with a later planting nearby by the data
+  // worker (matchReplanting). Unmatched fellings that pass the filters get their own layer, and
+  // the replacement rate and median lag join the neighbourhood metrics. Vector tiles can only
+  // be matched against what is loaded.
+  const MATCH_UNMATCHED = -1, MATCH_PENDING = -3;   // codes from data-worker.js
+  // fellingKey → lag in years when replaced, null when not; fellings too recent to judge are absent
+  let replanting = null;   // { byKey, unreplaced: [{ f, pending }] }
+
+  const fellingKey = (coords, p = {}) =>
+    `${coords[0].toFixed(6)},${coords[1].toFixed(6)},${p.removal_date ?? p.removal_year ?? ''},${speciesKey(p) ?? ''}`;
+
+  // Distance in metres and window in years, from the inputs (their HTML values are the defaults)
+  function matchSettings(){
+    const num = (id, lo, hi) => {
+      const v = parseFloat($(id).value);
+      return Math.min(hi, Math.max(lo, isFinite(v) ? v : +$(id).defaultValue));
+    };
+    return { distance: num('match-distance', 1, 50), windowYears: num('match-window', 0, 15) };
+  }
+
+  function pointColumns(features, yearOf){
+    const n = features.length;
+    const cols = { n, year: new Float64Array(n), lng: new Float64Array(n), lat: new Float64Array(n) };
+    features.forEach((f, i)=>{
+      cols.year[i] = yearOf(f.properties);
+      [cols.lng[i], cols.lat[i]] = f.geometry.coordinates;
+    });
+    return cols;
+  }
+
+  async function runReplanting(){
+    const settings = matchSettings();
+    const tiled = isPMTiles('fellings') || isPMTiles('trees');
+    const fellings = isPMTiles('fellings') ? loadedFeatures('fellings') : fellAll.features;
+    const trees = isPMTiles('trees') ? loadedFeatures('trees') : treesAll.features;
+    const res = await workerRequest('match', tiled
+      ? { ...settings, fellings: pointColumns(fellings, fellYear), trees: pointColumns(trees, plantYear) }
+      : settings, 'match');
+    if (!res) return;   // superseded
+    const byKey = new Map(), unreplaced = [];
+    res.match.forEach((j, i)=>{
+      const f = fellings[i], key = fellingKey(f.geometry.coordinates, f.properties);
+      if (j >= 0) byKey.set(key, plantYear(trees[j].properties) - fellYear(f.properties));
+      else if (j === MATCH_UNMATCHED) byKey.set(key, null);
+      if (j === MATCH_UNMATCHED || j === MATCH_PENDING) unreplaced.push({ f, pending: j === MATCH_PENDING });
+    });
+    replanting = { byKey, unreplaced };
+    renderUnreplaced();
+    scheduleNbhdMetrics();
+    if (selection?.kind === 'felled') cardRenderer?.();
+  }
+  let replantingTimer = null;
+  function scheduleReplanting(){
+    clearTimeout(replantingTimer);
+    replantingTimer = setTimeout(runReplanting, 300);
+  }
+
+  function ensureUnreplacedLayer(){
+    if (map.getSource('unreplaced')) return;
+    map.addSource('unreplaced', { type:'geojson', data:{ type:'FeatureCollection', features: [] } });
+    map.addLayer({ id:'unreplaced-points', type:'circle', source:'unreplaced',
+      paint:{
+        'circle-radius':['interpolate',['linear'],['zoom'], 11,2.5, 16,6],
+        'circle-color':['case',['get','pending'],'#ffffff','#f28e2b'],
+        'circle-stroke-color':'#a0450c',
+        'circle-stroke-width':['case',['get','pending'],1.5,0.75]
+      } }, map.getLayer('highlight') ? 'highlight' : undefined);
+    map.on('click', 'unreplaced-points', (e)=>{
+      const f = e.features && e.features[0]; if (!f || mapPicking()) return;
+      selectTree(f, 'felled');
+    });
+    map.on('mouseenter', 'unreplaced-points', ()=> map.getCanvas().style.cursor = 'pointer');
+    map.on('mouseleave', 'unreplaced-points', ()=> map.getCanvas().style.cursor = '');
+  }
+
+  // Unreplaced fellings that pass the current filters
+  function renderUnreplaced(){
+    if (!map.getSource('highlight')){ map.once('load', renderUnreplaced); return; }
+    const on = $('chk-unreplaced').checked;
+    if (!on && !map.getSource('unreplaced')) return;
+    ensureUnreplacedLayer();
+    map.setLayoutProperty('unreplaced-points', 'visibility', on ? 'visible' : 'none');
+    const keep = filterPredicate('fellings');
+    const features = (on && replanting) ? replanting.unreplaced.filter(({ f }) => keep(f.properties)).map(({ f, pending }) => ({
+      type:'Feature', geometry: f.geometry, properties: { ...f.properties, pending }
+    })) : [];
+    map.getSource('unreplaced').setData({ type:'FeatureCollection', features });
+  }
+
+  $('chk-unreplaced').addEventListener('change', ()=>{
+    renderUnreplaced();
+    scheduleHashWrite(true);
+  });
+  for (const id of ['match-distance', 'match-window']){
+    $(id).addEventListener('change', ()=>{
+      scheduleReplanting();
+      scheduleHashWrite(false);
+    });
+  }
+
+  // ---------------- Zone overlays & planting gaps ----------------
+  // The city's planting-priority zones and 2023 heat islands, each a toggle beside the
+  // neighbourhood overlay with its own legend. Both are polygons carrying an ordinal class
+  // ("field" in sources.json, else guessed); "reverse" marks sources where 1 is the top class
+  // and "levels" orders text classes. The gap finder grids the priority zones in view and
+  // ranks cells by heat, priority and how few trees they hold.
+  const ZONE_OVERLAYS = {
+    priority: { label:'zones.priority', palette:'greens', field: /^(priorit[eé]|priority|rang|rank|niveau|level|classe?)$/i },
+    heat:     { label:'zones.heat',     palette:'ylorrd', field: /^(classe?|heat(_class)?|niveau|level|gridcode|value|temp)$/i }
+  };
+  const ZONE_CLASSES = 5;
+  const GAP_CELL_M = 100;
+  const GAP_MAX_CELLS = 40000;   // coarser cells beyond this so a wide view stays responsive
+  const GAP_TOP = 10;
+  const zones = {};              // name → Promise<{ field, numeric, classes, colors, rank(p) → 0..1 | null }>
+  const zoneCollections = {};    // in-memory sources; vector ones are read from loaded tiles
+
+  const zoneFeatures = (name) => isPMTiles(name)
+    ? map.querySourceFeatures(name, { sourceLayer: sourceLayer(name) })
+    : (zoneCollections[name]?.features || []);
+
+  // Ordinal classes: distinct values when there are few, else quantile breaks
+  function zoneClasses(name, features){
+    const src = SOURCES[name];
+    const def = ZONE_OVERLAYS[name];
+    const keys = Object.keys(features[0]?.properties || {});
+    const field = src.field || keys.find(k => def.field.test(k)) || null;
+    const raw = features.map(f => f.properties?.[field]).filter(v => v != null && v !== '');
+    const numeric = raw.length > 0 && raw.every(v => isFinite(parseFloat(v)));
+    let classes;   // ascending: [{ value, label }] lower bounds (numeric) or categories (text)
+    if (numeric){
+      const sorted = raw.map(Number).sort((a, b)=> a - b);
+      const distinct = Array.from(new Set(sorted));
+      const lows = distinct.length <= ZONE_CLASSES ? distinct
+        : [sorted[0], ...quantileBreaks(sorted, ZONE_CLASSES)].filter((v, i, a) => i === 0 || v > a[i - 1]);
+      classes = lows.map(v => ({ value: v, label: fmtNumber(v, { maximumFractionDigits: 1 }) }));
+    } else {
+      const distinct = Array.from(new Set(raw.map(String)));
+      const order = src.levels || distinct.sort((a, b)=> a.localeCompare(b));
+      classes = order.filter(v => distinct.includes(v)).map(v => ({ value: v, label: v }));
+    }
+    let colors = pickColors(PALETTES[def.palette], classes.length);
+    if (src.reverse) colors = colors.slice().reverse();
+    const rank = (p) => {
+      const v = p?.[field];
+      if (v == null || v === '') return null;
+      const i = numeric ? classes.findLastIndex(c => +v >= c.value) : classes.findIndex(c => c.value === String(v));
+      if (i < 0) return null;
+      const r = classes.length > 1 ? i / (classes.length - 1) : 1;
+      return src.reverse ? 1 - r : r;
+    };
+    return { field, numeric, classes, colors, rank };
+  }
+
+  function zoneFill({ field, numeric, classes, colors }){
+    if (!field || !classes.length) return colors[0] || NO_DATA_COLOR;
+    if (numeric){
+      return ['case', ['has', field],
+        ['step', ['to-number', ['get', field]], NO_DATA_COLOR, ...classes.flatMap((c, i) => [c.value, colors[i]])],
+        NO_DATA_COLOR];
+    }
+    return ['match', ['to-string', ['get', field]], ...classes.flatMap((c, i) => [c.value, colors[i]]), NO_DATA_COLOR];
+  }
+
+  function setZoneLegend(name, z){
+    const legend = $('legend-' + name);
+    legend.innerHTML = '';
+    z.classes.forEach((c, i)=>{
+      const item = document.createElement('div');
+      item.className = 'legend-item';
+      const sw = document.createElement('span');
+      sw.className = 'swatch';
+      sw.style.background = z.colors[i];
+      const tx = document.createElement('span');
+      tx.textContent = c.label;
+      item.appendChild(sw); item.appendChild(tx);
+      legend.appendChild(item);
+    });
+  }
+
+  // Adds the source and (visible) layers on first use; vector sources classify from the
+  // first tiles to arrive
+  function loadZone(name){
+    if (zones[name]) return zones[name];
+    zones[name] = (async ()=>{
+      if (!SOURCES[name]) return null;
+      if (isPMTiles(name)) map.addSource(name, vectorSource(name));
+      else {
+        const fc = zoneCollections[name] = await loadCollection(name);
+        if (!fc) return null;
+        map.addSource(name, { type:'geojson', data: fc });
+      }
+      const layer = isPMTiles(name) ? { 'source-layer': sourceLayer(name) } : {};
+      map.addLayer({ id: name + '-fill', type:'fill', source: name, ...layer,
+        paint:{ 'fill-color': NO_DATA_COLOR, 'fill-opacity': 0.4 } }, 'nbhd-brush');
+      map.addLayer({ id: name + '-line', type:'line', source: name, ...layer,
+        paint:{ 'line-color':'#0003', 'line-width': 0.5 } }, 'nbhd-brush');
+      if (isPMTiles(name)) await new Promise(resolve => map.once('idle', resolve));
+      const z = zoneClasses(name, zoneFeatures(name));
+      map.setPaintProperty(name + '-fill', 'fill-color', zoneFill(z));
+      setZoneLegend(name, z);
+      return z;
+    })().catch(e => { console.error('[zones]', name, e); return null; });
+    return zones[name];
+  }
+
+  async function setZone(name, on){
+    const box = $('chk-zone-' + name);
+    box.checked = on;
+    $('legend-' + name).hidden = !on;
+    if (!on){ setVisibility(name + '-fill', false); setVisibility(name + '-line', false); return; }
+    if (!map.getSource('highlight')){ map.once('load', ()=> setZone(name, box.checked)); return; }
+    const z = await loadZone(name);
+    if (!z){
+      box.checked = false;
+      box.disabled = true;
+      $('legend-' + name).hidden = true;
+      return;
+    }
+    setVisibility(name + '-fill', box.checked);
+    setVisibility(name + '-line', box.checked);
+  }
+
+  for (const name of Object.keys(ZONE_OVERLAYS)){
+    $('chk-zone-' + name).addEventListener('change', (e)=>{
+      setZone(name, e.target.checked);
+      scheduleHashWrite(true);
+    });
+  }
+
+  // ---- Gap finder
+  let gaps = [];   // ranked candidates: { center, bbox, trees, heat, priority, score }
+
+  function ensureGapLayers(){
+    if (map.getSource('gaps')) return;
+    map.addSource('gaps', { type:'geojson', data:{ type:'FeatureCollection', features: [] } });
+    map.addLayer({ id:'gaps-line', type:'line', source:'gaps', paint:{ 'line-color':'#a0450c', 'line-width':2 } });
+    map.addLayer({ id:'gaps-label', type:'symbol', source:'gaps',
+      layout:{ 'text-field':['to-string',['get','rank']], 'text-font': LABEL_FONT, 'text-size':12 },
+      paint:{ 'text-color':'#a0450c', 'text-halo-color':'#fff', 'text-halo-width':1.5 } });
+  }
+
+  const setGapsStatus = (text) => { $('gaps-status').textContent = text; };
+
+  // Cells of the current view whose centre lies in a priority zone; score grows with heat and
+  // priority and shrinks with every tree already there
+  async function findGaps(){
+    setGapsStatus(t('gaps.searching'));
+    // shown so the ranking can be read against them (and so vector tiles load)
+    await Promise.all(Object.keys(ZONE_OVERLAYS).map(name => setZone(name, true)));
+    scheduleHashWrite(true);
+    const [priority, heat] = await Promise.all([zones.priority, zones.heat]);
+    if (!priority){ setGapsStatus(t('gaps.noZones')); return; }
+    const b = map.getBounds();
+    const [w, s, e, n] = [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()];
+    const lat0 = (s + n) / 2, my = 111320, mx = 111320 * Math.cos(lat0 * Math.PI / 180);
+    const spanX = (e - w) * mx, spanY = (n - s) * my;
+    const cellM = Math.max(GAP_CELL_M, Math.sqrt(spanX * spanY / GAP_MAX_CELLS));
+    const dx = cellM / mx, dy = cellM / my;
+    const cols = Math.ceil((e - w) / dx), rows = Math.ceil((n - s) / dy);
+
+    const trees = new Uint32Array(cols * rows);
+    const treeFeatures = isPMTiles('trees') ? loadedFeatures('trees') : treesAll.features;
+    for (const f of treeFeatures){
+      const [x, y] = f.geometry.coordinates;
+      if (x < w || x >= e || y < s || y >= n) continue;
+      trees[Math.floor((y - s) / dy) * cols + Math.floor((x - w) / dx)]++;
+    }
+    const polys = (name) => zoneFeatures(name).filter(f => f.geometry).map(f => ({ f, bbox: geometryBBox(f.geometry) }))
+      .filter(({ bbox }) => bbox[2] >= w && bbox[0] <= e && bbox[3] >= s && bbox[1] <= n);
+    // Polygons bucketed by the cells their bbox overlaps: the heat layer holds tens of thousands,
+    // too many to scan for every cell
+    const bucketed = (list) => {
+      const cells = new Array(cols * rows);
+      const col = (x) => Math.max(0, Math.min(cols - 1, Math.floor((x - w) / dx)));
+      const row = (y) => Math.max(0, Math.min(rows - 1, Math.floor((y - s) / dy)));
+      for (const item of list){
+        const [x0, y0, x1, y1] = item.bbox;
+        for (let r = row(y0); r <= row(y1); r++) for (let c = col(x0); c <= col(x1); c++) (cells[r * cols + c] ||= []).push(item);
+      }
+      return cells;
+    };
+    const locate = (cells, i, c) => cells[i]?.find(({ f, bbox }) =>
+      c[0] >= bbox[0] && c[0] <= bbox[2] && c[1] >= bbox[1] && c[1] <= bbox[3] && pointInGeometry(c, f.geometry))?.f;
+    const priorityCells = bucketed(polys('priority')), heatCells = heat ? bucketed(polys('heat')) : [];
+
+    const found = [];
+    for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++){
+      const center = [w + (c + 0.5) * dx, s + (r + 0.5) * dy];
+      const zone = locate(priorityCells, r * cols + c, center);
+      if (!zone) continue;
+      const p = priority.rank(zone.properties) ?? 0;
+      const hz = heat ? locate(heatCells, r * cols + c, center) : null;
+      const h = hz ? (heat.rank(hz.properties) ?? 0) : 0;
+      const count = trees[r * cols + c];
+      found.push({
+        center,
+        bbox: [center[0] - dx / 2, center[1] - dy / 2, center[0] + dx / 2, center[1] + dy / 2],
+        trees: count,
+        priority: zone.properties?.[priority.field] ?? null,
+        heat: hz?.properties?.[heat.field] ?? null,
+        score: (1 + h) * (1 + p) / (1 + count)
+      });
+    }
+    gaps = found.sort((a, b)=> b.score - a.score || a.trees - b.trees).slice(0, GAP_TOP);
+    ensureGapLayers();
+    map.getSource('gaps').setData({ type:'FeatureCollection', features: gaps.map((g, i) => ({
+      type:'Feature', properties:{ rank: i + 1 },
+      geometry:{ type:'Polygon', coordinates:[[[g.bbox[0], g.bbox[1]], [g.bbox[2], g.bbox[1]], [g.bbox[2], g.bbox[3]], [g.bbox[0], g.bbox[3]], [g.bbox[0], g.bbox[1]]]] }
+    })) });
+    setGapsStatus(gaps.length ? t('gaps.found', { count: found.length, cell: Math.round(cellM) }) : t('gaps.none'));
+    renderGaps();
+  }
+
+  function gapDescription(g){
+    return t('gaps.suggestion', {
+      trees: g.trees,
+      priority: g.priority ?? '—',
+      heat: g.heat ?? '—'
+    });
+  }
+
+  function renderGaps(){
+    const ol = $('gaps-list');
+    ol.innerHTML = '';
+    gaps.forEach((g, i)=>{
+      const li = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'near-row';
+      btn.innerHTML = `<span class="near-name"></span><span class="near-dist">${t('gaps.trees', { count: g.trees })}</span>`;
+      btn.querySelector('.near-name').textContent = `${i + 1}. ${t('gaps.classes', { priority: g.priority ?? '—', heat: g.heat ?? '—' })}`;
+      btn.addEventListener('click', ()=>{
+        map.fitBounds([[g.bbox[0], g.bbox[1]], [g.bbox[2], g.bbox[3]]], { padding: 80, maxZoom: 18 });
+        openFeedback({ type: 'missing', lngLat: { lng: g.center[0], lat: g.center[1] }, description: gapDescription(g) });
+      });
+      li.appendChild(btn);
+      ol.appendChild(li);
+    });
+  }
+
+  $('gaps-find').addEventListener('click', findGaps);
+
+  // ---------------- Air quality ----------------
+  // RSQA monitoring stations ("stations", a CSV with coordinates) as a toggleable layer, and
+  // their hourly readings ("airquality") reduced to daily means by the data worker. A station
+  // opens a chart of one pollutant at a time with daily or monthly means and a summary table.
+  // Exceedances count days above the WHO 2021 24-hour guidelines, which only apply to the
+  // particulates (µg/m³); the manifest may add "thresholds" for the gases in their own units.
+  const AIR_THRESHOLDS = { 'PM2.5': 15, 'PM10': 45 };
+  const STATION_COLUMNS = {
+    id:      /^(numero_station|no_poste|station_?id|numero|id)$/i,
+    name:    /^(nom|nom_station|name)$/i,
+    address: /^(adresse|address)$/i,
+    status:  /^(statut|status)$/i
+  };
+  const NEAREST_STATIONS = 2;
+  // "003" in one file is "3" in the other (same rule as data-worker.js)
+  const stationId = (v) => String(v ?? '').trim().replace(/^0+(?=\d)/, '');
+  let stations = null;          // [{ id, name, address, status, coords }] once loaded
+  let stationsLoading = null;
+  let airSummary = null;        // { stations, pollutants } from the worker
+  const air = { station: null, series: null };
+
+  function loadStations(){
+    stationsLoading ||= (async ()=>{
+      const fc = await loadCollection('stations');
+      const header = Object.keys(fc?.features?.[0]?.properties || {});
+      const named = SOURCES.stations?.columns || {};
+      const col = Object.fromEntries(Object.entries(STATION_COLUMNS).map(([k, re]) => [k, named[k] ?? header.find(h => re.test(h))]));
+      stations = (fc?.features || []).filter(f => f.geometry?.coordinates.every(isFinite)).map(f => {
+        const p = f.properties || {};
+        return { id: stationId(p[col.id]), name: p[col.name] || p[col.id], address: p[col.address] || null,
+                 status: p[col.status] || null, coords: f.geometry.coordinates };
+      });
+      return stations;
+    })();
+    return stationsLoading;
+  }
+
+  async function setStationsLayer(on){
+    const box = $('chk-stations');
+    box.checked = on;
+    if (!on){ setVisibility('stations-points', false); setVisibility('stations-label', false); return; }
+    if (!map.getSource('highlight')){ map.once('load', ()=> setStationsLayer(box.checked)); return; }
+    await loadStations();
+    if (!stations.length){ box.checked = false; box.disabled = true; return; }
+    if (!map.getSource('stations')){
+      map.addSource('stations', { type:'geojson', data:{ type:'FeatureCollection', features: stations.map(s => ({
+        type:'Feature', geometry:{ type:'Point', coordinates: s.coords }, properties:{ id: s.id, name: s.name }
+      })) } });
+      map.addLayer({ id:'stations-points', type:'circle', source:'stations',
+        paint:{ 'circle-radius':7, 'circle-color':'#5e3c99', 'circle-stroke-color':'#fff', 'circle-stroke-width':2 } });
+      map.addLayer({ id:'stations-label', type:'symbol', source:'stations', minzoom: 12,
+        layout:{ 'text-field':['get','name'], 'text-font': LABEL_FONT, 'text-size':11, 'text-offset':[0, 1.2], 'text-anchor':'top' },
+        paint:{ 'text-color':'#5e3c99', 'text-halo-color':'#fff', 'text-halo-width':1.5 } });
+      map.on('click', 'stations-points', (e)=>{
+        const f = e.features && e.features[0]; if (!f || mapPicking()) return;
+        openStation(f.properties.id);
+      });
+      map.on('mouseenter', 'stations-points', ()=> map.getCanvas().style.cursor = 'pointer');
+      map.on('mouseleave', 'stations-points', ()=> map.getCanvas().style.cursor = '');
+    }
+    setVisibility('stations-points', box.checked);
+    setVisibility('stations-label', box.checked);
+  }
+  $('chk-stations').addEventListener('change', (e)=>{
+    setStationsLayer(e.target.checked);
+    scheduleHashWrite(true);
+  });
+
+  // Nearest stations to a point, closest first: [{ station, d }]
+  function nearestStations(center, n = NEAREST_STATIONS){
+    return (stations || []).map(station => ({ station, d: distanceM(center, station.coords) }))
+      .sort((a, b)=> a.d - b.d).slice(0, n);
+  }
+
+  async function openStation(id){
+    await loadStations();
+    const station = stations.find(s => s.id === stationId(id));
+    if (!station) return;
+    air.station = station;
+    air.series = null;
+    $('station-title').textContent = station.name;
+    $('station-sub').textContent = [station.address, station.status].filter(Boolean).join(' · ');
+    showFeedbackMsg('station-status', t('air.loading'));
+    $('station-summary').innerHTML = '';
+    $('station-chart').innerHTML = '';
+    openModal('modal-station');
+    airSummary ||= SOURCES.airquality ? await workerRequest('airLoad', { source: SOURCES.airquality }) : null;
+    if (air.station !== station) return;   // another station was opened meanwhile
+    // no readings source, or it failed to load (the worker logged why)
+    if (!airSummary){ showFeedbackMsg('station-status', t('air.unavailable')); return; }
+    const thresholds = { ...AIR_THRESHOLDS, ...(SOURCES.airquality?.thresholds || {}) };
+    const res = await workerRequest('airSeries', { station: station.id, thresholds }, 'air');
+    if (air.station !== station) return;
+    if (!res){ showFeedbackMsg('station-status', t('air.unavailable')); return; }
+    air.series = res.series;
+    const pollutants = Object.keys(air.series);
+    showFeedbackMsg('station-status', pollutants.length ? '' : t('air.noReadings'));
+    const sel = $('station-pollutant'), prev = sel.value;
+    sel.innerHTML = '';
+    for (const p of pollutants) sel.appendChild(new Option(p, p));
+    sel.value = pollutants.includes(prev) ? prev : (pollutants.includes('PM2.5') ? 'PM2.5' : pollutants[0] || '');
+    renderStation();
+  }
+
+  function renderStation(){
+    if (!air.series) return;
+    renderStationSummary();
+    drawStationChart();
+  }
+
+  function renderStationSummary(){
+    const num = (v, digits = 1) => v == null ? '—' : fmtNumber(v, { maximumFractionDigits: digits });
+    const rows = Object.entries(air.series).map(([p, s]) => `
+      <tr><th scope="row">${escapeHTML(p)}</th><td>${num(s.mean)}</td><td>${num(s.peak_daily)}</td>
+      <td>${s.exceedance_days == null ? '—' : num(s.exceedance_days, 0)}</td><td>${num(s.days.length, 0)}</td></tr>`).join('');
+    $('station-summary').innerHTML = rows ? `
+      <table class="area-compare-table">
+        <thead><tr><th scope="col">${t('air.pollutant')}</th><th scope="col">${t('air.mean')}</th><th scope="col">${t('air.peakDaily')}</th>
+          <th scope="col">${t('air.exceedDays')}</th><th scope="col">${t('air.daysWithData')}</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>` : '';
+  }
+
+  // Daily or monthly means as a line, with the guideline (if any) dashed across
+  function drawStationChart(){
+    const svg = $('station-chart');
+    const s = air.series?.[$('station-pollutant').value];
+    svg.innerHTML = '';
+    if (!s) return;
+    const monthly = $('station-period').value === 'monthly';
+    const keys = monthly ? s.months : s.days, values = monthly ? s.monthly : s.daily;
+    if (!keys.length) return;
+    const W = svg.clientWidth || 560, H = 200, pad = { l:36, r:8, t:8, b:20 };
+    const limit = { ...AIR_THRESHOLDS, ...(SOURCES.airquality?.thresholds || {}) }[$('station-pollutant').value];
+    let peak = limit || 0;
+    for (const v of values) if (v > peak) peak = v;
+    peak = peak || 1;
+    const x = (i) => pad.l + (keys.length > 1 ? i / (keys.length - 1) : 0.5) * (W - pad.l - pad.r);
+    const y = (v) => pad.t + (1 - v / peak) * (H - pad.t - pad.b);
+    const el = svgEl;
+    svg.setAttribute('viewBox', `0 0 ${W} ${H}`);
+    svg.appendChild(el('line', { x1: pad.l, y1: H - pad.b, x2: W - pad.r, y2: H - pad.b, class:'sc-axis-line' }));
+    svg.appendChild(el('line', { x1: pad.l, y1: pad.t, x2: pad.l, y2: H - pad.b, class:'sc-axis-line' }));
+    for (const v of [0, peak / 2, peak]){
+      const tick = el('text', { x: pad.l - 4, y: y(v) + 3, class:'sc-tick end' });
+      tick.textContent = fmtNumber(v, { maximumFractionDigits: 0 });
+      svg.appendChild(tick);
+    }
+    // a label at each change of year (daily) or every quarter (monthly)
+    let lastYear = null;
+    keys.forEach((k, i)=>{
+      const year = k.slice(0, 4);
+      const mark = monthly ? (+k.slice(5, 7) - 1) % 3 === 0 : (year !== lastYear || k.slice(5) === '07-01');
+      lastYear = year;
+      if (!mark) return;
+      const tick = el('text', { x: x(i), y: H - 6, class:'sc-tick' });
+      tick.textContent = monthly ? k : (k.slice(5) === '07-01' ? k.slice(0, 7) : year);
+      svg.appendChild(tick);
+    });
+    if (limit != null){
+      svg.appendChild(el('line', { x1: pad.l, y1: y(limit), x2: W - pad.r, y2: y(limit), class:'air-limit' }));
+      const label = el('text', { x: W - pad.r, y: y(limit) - 3, class:'sc-tick end' });
+      label.textContent = t('air.guideline', { value: limit });
+      svg.appendChild(label);
+    }
+    let d = '';
+    values.forEach((v, i)=>{ d += (i ? 'L' : 'M') + x(i).toFixed(1) + ',' + y(v).toFixed(1); });
+    svg.appendChild(el('path', { d, class:'air-line' }));
+    const title = el('title', {});
+    title.textContent = t(monthly ? 'air.monthlyMeans' : 'air.dailyMeans');
+    svg.appendChild(title);
+  }
+
+  $('station-pollutant').addEventListener('change', drawStationChart);
+  $('station-period').addEventListener('change', drawStationChart);
+
+  // Links under the neighbourhood card to the closest stations (from the bounding-box centre)
+  function appendNearestStations(card, p){
+    if (!stations){
+      const render = cardRenderer;
+      loadStations().then(()=>{ if (cardRenderer === render && stations.length) render(); });
+      return;
+    }
+    const poly = nbhdPolygons().find(n => n.id === nbhdId(p));
+    if (!poly || !stations.length) return;
+    const b = geometryBBox(poly.geometry);
+    const sub = document.createElement('div');
+    sub.className = 'subtitle';
+    sub.textContent = t('air.nearest');
+    const ul = document.createElement('ul');
+    ul.className = 'card-history';
+    for (const { station, d } of nearestStations([(b[0] + b[2]) / 2, (b[1] + b[3]) / 2])){
+      const li = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'pill small alt';
+      btn.textContent = station.name;
+      btn.addEventListener('click', ()=> openStation(station.id));
+      const dist = document.createElement('span');
+      dist.className = 'near-dist';
+      dist.textContent = ' ' + t('air.distance', { km: fmtNumber(d / 1000, { maximumFractionDigits: 1 }) });
+      li.append(btn, dist);
+      ul.appendChild(li);
+    }
+    card.append(sub, ul);
+  }
+
+  // ---------------- Attribution from CSV ----------------
+  let attributionSources = [];   // [{ data, format, source, link }], also written into exports
+
+  async function loadAttribution(){
+    try{
+      const res = await fetch(appUrl('dataset_sum.csv'));
+      if (!res.ok) return;
+      const text = await res.text();
+      const rows = text.trim().split(/\r?\n/).map(r=>r.split(','));
+      if (rows.length<=1) return;
+      const [header,...data] = rows;
+      const keys = header.map(h => h.replace(/^\ufeff/, '').trim().toLowerCase());
+      attributionSources = data.map(cells => Object.fromEntries(keys.map((k, i) => [k, cells[i]])));
+      const body = $('attrib-body'); if (!body) return;
+      const ul = document.createElement('ul');
+      ul.className = 'bullets';
+      data.forEach(cells=>{
+        const li = document.createElement('li');
+        li.textContent = cells.join(' — ');
+        ul.appendChild(li);
+      });
+      body.innerHTML = '';
+      body.appendChild(ul);
+    }catch(e){
+      // silent
+    }
+  }
+
+  // ---------------- Near me ----------------
+  const NEAR_N = 10;
+  let nearCenter = null;
+  const nearIndexCache = new WeakMap();
+
+  // Haversine distance in metres between two [lng, lat] pairs
+  function distanceM(a, b){
+    const R = 6371008.8, rad = Math.PI / 180;
+    const dLat = (b[1]-a[1]) * rad, dLng = (b[0]-a[0]) * rad;
+    const h = Math.sin(dLat/2)**2 + Math.cos(a[1]*rad) * Math.cos(b[1]*rad) * Math.sin(dLng/2)**2;
+    return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  function circlePolygon(center, radiusM, steps = 64){
+    const [lng, lat] = center;
+    const dy = radiusM / 111320, dx = radiusM / (111320 * Math.cos(lat * Math.PI / 180));
+    const ring = [];
+    for (let i = 0; i <= steps; i++){
+      const a = (i / steps) * 2 * Math.PI;
+      ring.push([lng + dx * Math.cos(a), lat + dy * Math.sin(a)]);
+    }
+    return { type:'Feature', properties:{}, geometry:{ type:'Polygon', coordinates:[ring] } };
+  }
+
+  // Uniform grid over point features; nearest() walks rings of cells outward from the query point
+  function createGridIndex(features, cellM = 50){
+    const lat0 = features[0]?.geometry.coordinates[1] ?? 45.5;
+    const dy = cellM / 111320, dx = cellM / (111320 * Math.cos(lat0 * Math.PI / 180));
+    const cells = new Map();
+    const keyOf = (ix, iy) => ix + ',' + iy;
+    for (const f of features){
+      const [x,y] = f.geometry.coordinates;
+      const k = keyOf(Math.floor(x/dx), Math.floor(y/dy));
+      const bucket = cells.get(k);
+      if (bucket) bucket.push(f); else cells.set(k, [f]);
+    }
+    function visitRing(cx, cy, r, fn){
+      for (let ix = cx - r; ix <= cx + r; ix++){
+        const step = (ix === cx - r || ix === cx + r) ? 1 : 2 * r;
+        for (let iy = cy - r; iy <= cy + r; iy += step){
+          const bucket = cells.get(keyOf(ix, iy));
+          if (bucket) bucket.forEach(fn);
+        }
+      }
+    }
+    return {
+      size: features.length,
+      nearest(center, n, maxM, accept = () => true){
+        const cx = Math.floor(center[0]/dx), cy = Math.floor(center[1]/dy);
+        const maxRing = Math.ceil(maxM / cellM) + 1;
+        const hits = [];
+        for (let r = 0; r <= maxRing; r++){
+          // Every point in ring r is at least (r - 1) cells away
+          if (hits.length >= n && (r - 1) * cellM > hits[n-1].d) break;
+          visitRing(cx, cy, r, (f)=>{
+            const d = distanceM(center, f.geometry.coordinates);
+            if (d <= maxM && accept(f.properties || {})) hits.push({ f, d });
+          });
+          hits.sort((a,b)=> a.d - b.d);
+        }
+        return hits.slice(0, n);
+      },
+      within(center, radiusM, accept = () => true){
+        return this.nearest(center, Infinity, radiusM, accept);
+      }
+    };
+  }
+
+  // In-memory collections are indexed once per filtered FeatureCollection;
+  // vector tiles only hold what is loaded, so those are indexed from the current view.
+  function nearIndex(kind){
+    if (isPMTiles(kind)) return createGridIndex(viewportFeatures(kind));
+    const fc = (kind === 'trees') ? treesFC : fellFC;
+    let idx = nearIndexCache.get(fc);
+    if (!idx){ idx = createGridIndex(fc.features); nearIndexCache.set(fc, idx); }
+    return idx;
+  }
+
+  function ensureNearLayers(){
+    if (map.getSource('nearme')) return;
+    map.addSource('nearme', { type:'geojson', data:{ type:'FeatureCollection', features: [] }});
+    const before = map.getLayer('highlight') ? 'highlight' : undefined;
+    map.addLayer({ id:'nearme-fill', type:'fill', source:'nearme', filter:['==',['geometry-type'],'Polygon'],
+      paint:{ 'fill-color':'#27572B', 'fill-opacity':0.08 } }, before);
+    map.addLayer({ id:'nearme-line', type:'line', source:'nearme', filter:['==',['geometry-type'],'Polygon'],
+      paint:{ 'line-color':'#27572B', 'line-width':1.5, 'line-dasharray':[2,2] } }, before);
+    map.addLayer({ id:'nearme-center', type:'circle', source:'nearme', filter:['==',['geometry-type'],'Point'],
+      paint:{ 'circle-radius':6, 'circle-color':'#1a73e8', 'circle-stroke-color':'#fff', 'circle-stroke-width':2 } }, before);
+  }
+
+  function setNearStatus(text){ $('near-status').textContent = text; }
+
+  function renderNearList(ul, hits, kind){
+    const lang = i18n.lang;
+    ul.innerHTML = '';
+    if (!hits.length){
+      const li = document.createElement('li');
+      li.className = 'near-empty';
+      li.textContent = t('near.none');
+      ul.appendChild(li);
+      return;
+    }
+    for (const { f, d } of hits){
+      const p = f.properties || {};
+      const li = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'near-row';
+      const year = kind === 'trees' ? plantYear(p) : fellYear(p);
+      btn.innerHTML = `<span class="near-name"></span><span class="near-dist">${t('near.distance', { meters: Math.round(d) })}</span>`;
+      btn.querySelector('.near-name').textContent = `${speciesName(p, lang)}${isFinite(year) ? ' · ' + year : ''}`;
+      btn.addEventListener('click', ()=>{
+        const [lng, lat] = f.geometry.coordinates;
+        map.flyTo({ center:[lng, lat], zoom: Math.max(map.getZoom(), 17) });
+        selectTree(f, kind === 'trees' ? 'alive' : 'felled');
+        openCard();
+      });
+      li.appendChild(btn);
+      ul.appendChild(li);
+    }
+  }
+
+  function runNearSearch(){
+    if (!nearCenter) return;
+    const radius = +$('near-radius').value;
+    const alive = nearIndex('trees').nearest(nearCenter, NEAR_N, radius);
+    const felled = nearIndex('fellings').nearest(nearCenter, NEAR_N, radius);
+    renderNearList($('near-alive'), alive, 'trees');
+    renderNearList($('near-felled'), felled, 'fellings');
+    setNearStatus(t('near.found', { count: alive.length + felled.length, radius }));
+  }
+
+  // Frame the circle; vector tiles must finish loading before they can be searched
+  function showNearArea(){
+    if (!nearCenter) return;
+    if (!map.getSource('highlight')) { map.once('load', showNearArea); return; }
+    ensureNearLayers();
+    const circle = circlePolygon(nearCenter, +$('near-radius').value);
+    map.getSource('nearme').setData({ type:'FeatureCollection', features: [
+      circle, { type:'Feature', properties:{}, geometry:{ type:'Point', coordinates: nearCenter } }
+    ]});
+    const ring = circle.geometry.coordinates[0];
+    const lngs = ring.map(c=>c[0]), lats = ring.map(c=>c[1]);
+    map.fitBounds([[Math.min(...lngs), Math.min(...lats)], [Math.max(...lngs), Math.max(...lats)]], { padding: 40 });
+    if (isPMTiles('trees') || isPMTiles('fellings')) map.once('idle', runNearSearch);
+    else runNearSearch();
+  }
+
+  function setNearCenter(lngLat){
+    nearCenter = [lngLat.lng, lngLat.lat];
+    showNearArea();
+  }
+
+  // Like the drawing tools: the map's other click handlers stand aside meanwhile (mapPicking),
+  // and Escape gives up
+  let nearPicking = false;
+  function pickNearOnMap(){
+    setNearStatus(t('near.clickMap'));
+    nearPicking = true;
+    appEl.classList.add('picking');
+  }
+  function endNearPick(){
+    nearPicking = false;
+    appEl.classList.remove('picking');
+  }
+  map.on('click', (e)=>{
+    if (!nearPicking) return;
+    setNearCenter(e.lngLat);
+    // once the other listeners of this click have seen the flag
+    queueMicrotask(endNearPick);
+  });
+  root.addEventListener('keydown', (e)=>{
+    if (!nearPicking || e.key !== 'Escape') return;
+    endNearPick();
+    if (nearCenter) runNearSearch();
+    else setNearStatus('');
+  }, bound);
+
+  function locateNearMe(){
+    showTab('near');
+    if (!('geolocation' in navigator)) { pickNearOnMap(); return; }
+    setNearStatus(t('near.locating'));
+    navigator.geolocation.getCurrentPosition(
+      (pos)=> setNearCenter({ lng: pos.coords.longitude, lat: pos.coords.latitude }),
+      (err)=>{
+        console.warn('[near-me]', err.message);
+        pickNearOnMap();
+      },
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+    );
+  }
+
+  let nearRadiusTimer = null;
+  $('btn-nearme')?.addEventListener('click', locateNearMe);
+  $('near-locate').addEventListener('click', locateNearMe);
+  $('near-pick').addEventListener('click', pickNearOnMap);
+  $('near-radius').addEventListener('input', ()=>{
+    $('near-radius-val').textContent = $('near-radius').value + ' m';
+    clearTimeout(nearRadiusTimer);
+    nearRadiusTimer = setTimeout(showNearArea, 200);
+  });
+
+  // ---------------- Areas ----------------
+  // Drawn (or imported) polygons, rectangles and circles live in the 'areas' GeoJSON source.
+  // Each gets a stats card over the points passing the active filters; ticking two of them
+  // lays their numbers side by side. Clicks go to the drawing tool while one is active.
+  const AREA_COLORS = ['#1f78b4', '#e66101', '#6a3d9a', '#1b9e77', '#b15928', '#d01c8b'];
+  const AREA_TOP = 5;
+  const SNAP_PX = 10;   // a click this close to the first vertex closes the polygon
+  const areas = [];     // { id, n, name, color, shape, geometry, center, radius_m, compare, stats }
+  let areaSeq = 0;
+  const draw = { tool: null, points: [], cursor: null };
+  const drawing = () => !!draw.tool;
+  // Drawing, or picking the near-me point or a feedback location: map clicks belong to that
+  const mapPicking = () => drawing() || nearPicking || !!pickHandler;
+
+  const areaName = (a) => a.name || t('areas.defaultName', { n: String(a.n) });
+  function setAreasStatus(text){ $('areas-status').textContent = text; }
+
+  function ensureAreaLayers(){
+    if (map.getSource('areas')) return;
+    const empty = { type:'FeatureCollection', features: [] };
+    map.addSource('areas', { type:'geojson', data: empty });
+    map.addSource('areas-draft', { type:'geojson', data: empty });
+    const before = map.getLayer('highlight') ? 'highlight' : undefined;
+    map.addLayer({ id:'areas-fill', type:'fill', source:'areas',
+      paint:{ 'fill-color':['get','color'], 'fill-opacity':0.12 } }, before);
+    map.addLayer({ id:'areas-line', type:'line', source:'areas',
+      paint:{ 'line-color':['get','color'], 'line-width':2 } }, before);
+    map.addLayer({ id:'areas-label', type:'symbol', source:'areas',
+      layout:{ 'text-field':['get','name'], 'text-font': LABEL_FONT, 'text-size':12 },
+      paint:{ 'text-color':['get','color'], 'text-halo-color':'#fff', 'text-halo-width':1.5 } });
+    map.addLayer({ id:'areas-draft-line', type:'line', source:'areas-draft',
+      paint:{ 'line-color':'#27572B', 'line-width':2, 'line-dasharray':[2,1] } });
+    map.addLayer({ id:'areas-draft-vertex', type:'circle', source:'areas-draft', filter:['==',['geometry-type'],'Point'],
+      paint:{ 'circle-radius':4, 'circle-color':'#fff', 'circle-stroke-color':'#27572B', 'circle-stroke-width':2 } });
+  }
+
+  function syncAreaSource(){
+    ensureAreaLayers();
+    map.getSource('areas').setData({ type:'FeatureCollection', features: areas.map(a => ({
+      type:'Feature', geometry: a.geometry, properties: { id: a.id, name: areaName(a), color: a.color }
+    })) });
+  }
+
+  // ---- Drawing: click-by-click so touch works too
+  function rectangleGeometry([a, b]){
+    const [x0, x1] = [Math.min(a[0], b[0]), Math.max(a[0], b[0])], [y0, y1] = [Math.min(a[1], b[1]), Math.max(a[1], b[1])];
+    return { type:'Polygon', coordinates: [[[x0,y0], [x1,y0], [x1,y1], [x0,y1], [x0,y0]]] };
+  }
+  function draftFeatures(){
+    const pts = draw.cursor ? [...draw.points, draw.cursor] : draw.points;
+    const feats = draw.points.map(c => ({ type:'Feature', properties:{}, geometry:{ type:'Point', coordinates: c } }));
+    if (pts.length < 2) return feats;
+    let ring;
+    if (draw.tool === 'polygon') ring = [...pts, pts[0]];
+    else if (draw.tool === 'rectangle') ring = rectangleGeometry(pts).coordinates[0];
+    else ring = circlePolygon(pts[0], distanceM(pts[0], pts[1])).geometry.coordinates[0];
+    feats.push({ type:'Feature', properties:{}, geometry:{ type:'LineString', coordinates: ring } });
+    return feats;
+  }
+  function renderDraft(){
+    map.getSource('areas-draft')?.setData({ type:'FeatureCollection', features: drawing() ? draftFeatures() : [] });
+  }
+
+  function startDraw(tool){
+    cancelDraw();
+    ensureAreaLayers();
+    draw.tool = tool;
+    appEl.classList.add('picking');
+    map.doubleClickZoom.disable();
+    root.querySelectorAll('[data-draw]').forEach(b => b.setAttribute('aria-pressed', String(b.dataset.draw === tool)));
+    setAreasStatus(t('areas.hint.' + tool));
+  }
+  function cancelDraw(){
+    if (!drawing()) return;
+    Object.assign(draw, { tool: null, points: [], cursor: null });
+    appEl.classList.remove('picking');
+    map.doubleClickZoom.enable();
+    root.querySelectorAll('[data-draw]').forEach(b => b.setAttribute('aria-pressed', 'false'));
+    renderDraft();
+    setAreasStatus(t('areas.intro'));
+  }
+  function finishDraw(){
+    const { tool, points } = draw;
+    if (tool === 'polygon' && points.length >= 3){
+      addArea({ shape: 'polygon', geometry: { type:'Polygon', coordinates: [[...points, points[0]]] } });
+    } else if (tool === 'rectangle' && points.length === 2){
+      addArea({ shape: 'rectangle', geometry: rectangleGeometry(points) });
+    } else if (tool === 'circle' && points.length === 2){
+      const radius_m = Math.round(distanceM(points[0], points[1]));
+      if (radius_m > 0) addArea({ shape: 'circle', center: points[0], radius_m, geometry: circlePolygon(points[0], radius_m).geometry });
+    }
+    cancelDraw();
+  }
+
+  map.on('click', (e)=>{
+    if (!drawing()) return;
+    const c = [e.lngLat.lng, e.lngLat.lat];
+    if (draw.tool === 'polygon' && draw.points.length >= 3){
+      const first = map.project(draw.points[0]);
+      if (Math.hypot(first.x - e.point.x, first.y - e.point.y) <= SNAP_PX){ finishDraw(); return; }
+    }
+    draw.points.push(c);
+    if (draw.tool !== 'polygon' && draw.points.length === 2) finishDraw();
+    else renderDraft();
+  });
+  map.on('dblclick', ()=>{
+    if (draw.tool !== 'polygon') return;
+    // the double click's own two clicks land on the same spot
+    draw.points.pop();
+    finishDraw();
+  });
+  map.on('mousemove', (e)=>{
+    if (!drawing() || !draw.points.length) return;
+    draw.cursor = [e.lngLat.lng, e.lngLat.lat];
+    renderDraft();
+  });
+  root.addEventListener('keydown', (e)=>{
+    if (!drawing()) return;
+    if (e.key === 'Escape') cancelDraw();
+    else if (e.key === 'Enter') finishDraw();
+  }, bound);
+
+  // ---- Areas and their stats
+  function addArea({ shape, geometry, center = null, radius_m = null, name = null }){
+    const n = ++areaSeq;
+    areas.push({ id: 'a' + n, n, name, color: AREA_COLORS[(n - 1) % AREA_COLORS.length],
+      shape, geometry, center, radius_m, compare: false, stats: null });
+    syncAreaSource();
+    refreshAreas();
+    showTab('areas');
+  }
+  function removeArea(id){
+    const i = areas.findIndex(a => a.id === id);
+    if (i >= 0) areas.splice(i, 1);
+    syncAreaSource();
+    renderAreas();
+  }
+
+  // Counts and mixes over the filtered points inside the shape; vector sources only know the
+  // tiles currently loaded
+  function areaStats(a){
+    const b = geometryBBox(a.geometry);
+    const bounds = new maplibregl.LngLatBounds([b[0], b[1]], [b[2], b[3]]);
+    const inside = (f) => pointInGeometry(f.geometry.coordinates, a.geometry);
+    const trees = filteredFeatures('trees', { bounds }).filter(inside);
+    const fellings = filteredFeatures('fellings', { bounds }).filter(inside);
+    const tally = (feats, keyOf) => {
+      const m = new Map();
+      for (const f of feats){
+        const k = keyOf(f.properties || {});
+        if (k != null && k !== '') m.set(k, (m.get(k) || 0) + 1);
+      }
+      return m;
+    };
+    const top = (m) => Array.from(m.entries()).sort((x, y)=> y[1] - x[1]).slice(0, AREA_TOP);
+    const species = tally(trees, speciesKey);
+    const heights = trees.map(f => parseFloat(f.properties?.hauteur_m)).filter(h => isFinite(h) && h > 0);
+    const area_km2 = geometryAreaKm2(a.geometry);
+    return {
+      alive: trees.length,
+      felled: fellings.length,
+      area_km2,
+      alive_per_km2: area_km2 ? trees.length / area_km2 : null,
+      mean_height: heights.length ? heights.reduce((s, h)=> s + h, 0) / heights.length : null,
+      species_count: species.size,
+      shannon: shannonIndex(species),
+      top_species: top(species),
+      top_causes: top(tally(fellings, p => p.cause))
+    };
+  }
+
+  function refreshAreas(){
+    for (const a of areas) a.stats = areaStats(a);
+    renderAreas();
+  }
+  let areasTimer = null;
+  function scheduleAreaStats(){
+    if (!areas.length) return;
+    clearTimeout(areasTimer);
+    areasTimer = setTimeout(refreshAreas, 300);
+  }
+
+  const fmtShare = (n, total) => fmtNumber(total ? n / total : 0, { style:'percent', maximumFractionDigits:0 });
+  // Rows shared by the cards and the comparison: [label, value(stats) → text]
+  function areaRows(){
+    const num = (v, digits = 0) => v == null ? '—' : fmtNumber(v, { maximumFractionDigits: digits });
+    const list = (rows, total) => rows.length
+      ? rows.map(([k, n]) => total != null ? `${speciesLabel(k)} ${fmtShare(n, total)}` : `${k} (${fmtNumber(n)})`).join(', ')
+      : '—';
+    return [
+      ['areas.alive',       s => num(s.alive)],
+      ['areas.felled',      s => num(s.felled)],
+      ['areas.area',        s => `${num(s.area_km2, 3)} km²`],
+      ['areas.density',     s => num(s.alive_per_km2)],
+      ['areas.meanHeight',  s => s.mean_height == null ? '—' : `${num(s.mean_height, 1)} m`],
+      ['areas.speciesCount',s => num(s.species_count)],
+      ['metric.shannon',    s => num(s.shannon, 2)],
+      ['areas.speciesMix',  s => list(s.top_species, s.alive)],
+      ['card.topCauses',    s => list(s.top_causes)]
+    ];
+  }
+
+  function areaCard(a){
+    const card = document.createElement('div');
+    card.className = 'card area-card';
+    card.style.borderLeftColor = a.color;
+    card.innerHTML = `
+      <div class="title"></div>
+      <ul>${areaRows().map(([label, fmt]) => `<li><strong>${t(label)}</strong>: ${fmt(a.stats)}</li>`).join('')}</ul>
+      <div class="row-inline area-actions">
+        <label class="checkbox-inline"><input type="checkbox" class="area-compare"> <span>${t('areas.compare')}</span></label>
+        <button class="pill small alt area-zoom" type="button">${t('areas.zoom')}</button>
+        <button class="pill small alt area-remove" type="button">${t('areas.remove')}</button>
+      </div>`;
+    card.querySelector('.title').textContent = areaName(a);
+    const chk = card.querySelector('.area-compare');
+    chk.checked = a.compare;
+    chk.addEventListener('change', ()=> setCompare(a, chk.checked));
+    card.querySelector('.area-zoom').addEventListener('click', ()=>{
+      const b = geometryBBox(a.geometry);
+      map.fitBounds([[b[0], b[1]], [b[2], b[3]]], { padding: 40, maxZoom: 18 });
+    });
+    card.querySelector('.area-remove').addEventListener('click', ()=> removeArea(a.id));
+    return card;
+  }
+
+  // At most two areas are compared; ticking a third drops the one ticked first
+  const compareOrder = [];
+  function setCompare(a, on){
+    const i = compareOrder.indexOf(a);
+    if (i >= 0) compareOrder.splice(i, 1);
+    if (on) compareOrder.push(a);
+    while (compareOrder.length > 2) compareOrder.shift();
+    for (const x of areas) x.compare = compareOrder.includes(x);
+    renderAreas();
+  }
+
+  function renderCompare(){
+    const box = $('area-compare');
+    for (let i = compareOrder.length - 1; i >= 0; i--) if (!areas.includes(compareOrder[i])) compareOrder.splice(i, 1);
+    box.hidden = compareOrder.length !== 2;
+    if (box.hidden){ box.innerHTML = ''; return; }
+    const [a, b] = compareOrder;
+    box.innerHTML = `
+      <table class="area-compare-table">
+        <caption>${t('areas.comparing')}</caption>
+        <thead><tr><th scope="col"></th><th scope="col"></th><th scope="col"></th></tr></thead>
+        <tbody>${areaRows().map(([label, fmt]) =>
+          `<tr><th scope="row">${t(label)}</th><td>${fmt(a.stats)}</td><td>${fmt(b.stats)}</td></tr>`).join('')}</tbody>
+      </table>`;
+    const heads = box.querySelectorAll('thead th');
+    [a, b].forEach((x, i)=>{
+      heads[i + 1].textContent = areaName(x);
+      heads[i + 1].style.color = x.color;
+    });
+  }
+
+  function renderAreas(){
+    const list = $('area-list');
+    list.innerHTML = '';
+    for (const a of areas){
+      a.stats ||= areaStats(a);
+      list.appendChild(areaCard(a));
+    }
+    if (areas.length && (isPMTiles('trees') || isPMTiles('fellings'))){
+      const note = document.createElement('p');
+      note.className = 'note';
+      note.textContent = t('areas.loadedOnly');
+      list.appendChild(note);
+    }
+    renderCompare();
+    $('areas-export').disabled = $('areas-clear').disabled = !areas.length;
+  }
+
+  // ---- GeoJSON in and out
+  function exportAreas(){
+    const features = areas.map(a => ({
+      type:'Feature',
+      geometry: a.geometry,
+      properties: {
+        name: areaName(a), shape: a.shape,
+        ...(a.shape === 'circle' ? { center: a.center, radius_m: a.radius_m } : {}),
+        alive: a.stats?.alive, felled: a.stats?.felled,
+        area_km2: a.stats?.area_km2, mean_height_m: a.stats?.mean_height
+      }
+    }));
+    const fc = { type:'FeatureCollection', metadata: { filters: filterSummary(), exported_at: new Date().toISOString() }, features };
+    downloadBlob(new Blob([JSON.stringify(fc, null, 2)], { type:'application/geo+json' }), exportFilename('areas', 'geojson'));
+  }
+
+  function importAreas(text){
+    const gj = JSON.parse(text);
+    const feats = gj.type === 'FeatureCollection' ? gj.features
+      : gj.type === 'Feature' ? [gj] : [{ type:'Feature', properties:{}, geometry: gj }];
+    let added = 0;
+    for (const f of feats || []){
+      const g = f?.geometry;
+      if (g?.type !== 'Polygon' && g?.type !== 'MultiPolygon') continue;
+      const p = f.properties || {};
+      const circle = p.shape === 'circle' && Array.isArray(p.center) && isFinite(p.radius_m);
+      addArea({ shape: circle ? 'circle' : (p.shape === 'rectangle' ? 'rectangle' : 'polygon'), geometry: g,
+        center: circle ? p.center : null, radius_m: circle ? +p.radius_m : null, name: p.name ? String(p.name) : null });
+      added++;
+    }
+    return added;
+  }
+
+  root.querySelectorAll('[data-draw]').forEach(btn => btn.addEventListener('click', ()=>{
+    if (draw.tool === btn.dataset.draw) cancelDraw();
+    else startDraw(btn.dataset.draw);
+  }));
+  $('areas-export').addEventListener('click', exportAreas);
+  $('areas-clear').addEventListener('click', ()=>{
+    areas.length = 0;
+    syncAreaSource();
+    renderAreas();
+  });
+  $('areas-import').addEventListener('click', ()=> $('areas-file').click());
+  $('areas-file').addEventListener('change', async (e)=>{
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try{
+      const n = importAreas(await file.text());
+      setAreasStatus(n ? t('areas.imported', { count: n }) : t('areas.importNone'));
+      if (n){
+        const b = areas.slice(-n).map(a => geometryBBox(a.geometry));
+        map.fitBounds([[Math.min(...b.map(x => x[0])), Math.min(...b.map(x => x[1]))],
+                       [Math.max(...b.map(x => x[2])), Math.max(...b.map(x => x[3]))]], { padding: 40 });
+      }
+    }catch(err){
+      console.error('[areas-import]', err);
+      setAreasStatus(t('areas.importFailed'));
+    }
+  });
+  renderAreas();
+
+  // ---------------- List view & keyboard access ----------------
+  // The trees, fellings or neighbourhoods in view under the active filters as a sortable table,
+  // for anyone not using the canvas. Only the rows scrolled into view are in the DOM. The arrow
+  // keys on the map step through the same rows in the same order, ringed on 'highlight'.
+  const LIST_ROW_PX = 30;
+  const LIST_OVERSCAN = 8;
+  const LIST_COLUMNS = {
+    trees:    ['species', 'planted', 'height', 'distance'],
+    fellings: ['species', 'felled', 'cause', 'distance'],
+    nbhd:     ['name', 'trees', 'fellings', 'distance']
+  };
+  const LIST_LAYERS = { trees: 'chk-show-alive', fellings: 'chk-show-fell' };
+  const ARROW_STEPS = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+  const PAN_PX = 100;
+  const list = { kind: 'trees', rows: [], sort: { key: 'distance', dir: 1 }, active: -1, dirty: true };
+  let listTimer = null, announceTimer = null;
+
+  const listKey = (kind, f) => `${kind}:${f.geometry.coordinates.map(v => v.toFixed(6)).join(',')}:${speciesKey(f.properties) || ''}`;
+  const listShown = () => $('pane-list').classList.contains('active');
+
+  // Polite status for screen readers; emptied first so the same text is read again
+  function announce(text){
+    const el = $('sr-status');
+    el.textContent = '';
+    requestAnimationFrame(()=>{ el.textContent = text; });
+  }
+  function scheduleMatchAnnouncement(){
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(()=>{
+      const parts = FILTER_KINDS.filter(k => $(LIST_LAYERS[k])?.checked)
+        .map(k => t('a11y.match.' + k, { count: filteredFeatures(k).length }));
+      if (parts.length) announce(parts.join(', '));
+    }, 1000);
+  }
+
+  function listRows(){
+    const kind = list.kind, c = map.getCenter(), center = [c.lng, c.lat], lang = i18n.lang;
+    if (kind === 'nbhd'){
+      ensureNbhdMetrics();
+      const b = map.getBounds(), w = b.getWest(), s = b.getSouth(), e = b.getEast(), n = b.getNorth();
+      return nbhdPolygons().flatMap(({ id, props, geometry }) => {
+        const bb = geometryBBox(geometry);
+        if (bb[0] > e || bb[2] < w || bb[1] > n || bb[3] < s) return [];
+        const m = nbhdMetrics.get(id);
+        const anchor = [(bb[0] + bb[2]) / 2, (bb[1] + bb[3]) / 2];
+        return [{
+          key: 'nbhd:' + id, props, geometry,
+          name: m?.name ?? nbhdName(props), trees: m?.trees ?? null, fellings: m?.fellings ?? null,
+          distance: pointInGeometry(center, geometry) ? 0 : distanceM(center, anchor)
+        }];
+      });
+    }
+    if (!$(LIST_LAYERS[kind])?.checked) return [];
+    return filteredFeatures(kind, { bounds: map.getBounds() }).map(f => {
+      const p = f.properties || {}, h = parseFloat(p.hauteur_m);
+      const year = kind === 'trees' ? plantYear(p) : fellYear(p);
+      return {
+        key: listKey(kind, f), f, props: p, geometry: f.geometry,
+        species: speciesName(p, lang),
+        [kind === 'trees' ? 'planted' : 'felled']: isFinite(year) ? year : null,
+        height: isFinite(h) && h > 0 ? h : null,
+        cause: p.cause || null,
+        distance: distanceM(center, f.geometry.coordinates)
+      };
+    });
+  }
+
+  // Blanks sink to the bottom whichever way the column is sorted; ties go to the nearest
+  function sortList(){
+    const { key, dir } = list.sort;
+    const focused = list.rows[list.active]?.key;
+    const collator = new Intl.Collator(i18n.lang);
+    const text = typeof list.rows.find(r => r[key] != null)?.[key] === 'string';
+    list.rows.sort((a, b) => {
+      const x = a[key], y = b[key];
+      if (x == null || y == null) return (x == null) - (y == null) || a.distance - b.distance;
+      return dir * (text ? collator.compare(x, y) : x - y) || a.distance - b.distance;
+    });
+    list.active = focused ? list.rows.findIndex(r => r.key === focused) : -1;
+  }
+
+  function refreshList(){
+    const focused = list.rows[list.active]?.key;
+    list.rows = listRows();
+    list.active = focused ? list.rows.findIndex(r => r.key === focused) : -1;
+    sortList();
+    list.dirty = false;
+    if (list.active < 0) setHighlight('focus', null);
+    if (listShown()) renderList();
+  }
+  // Rows are only rebuilt while someone is looking at them: the pane, or a focus ring on the map
+  function scheduleList(){
+    list.dirty = true;
+    if (!listShown() && list.active < 0) return;
+    clearTimeout(listTimer);
+    listTimer = setTimeout(refreshList, 250);
+  }
+
+  function listCell(row, col){
+    const v = row[col];
+    if (v == null || v === '') return '—';
+    if (col === 'distance') return t('near.distance', { meters: Math.round(v) });
+    if (col === 'height') return `${fmtNumber(v, { maximumFractionDigits:1 })} m`;
+    if (col === 'trees' || col === 'fellings') return fmtNumber(v);
+    return String(v);
+  }
+  const listDescription = (row) => LIST_COLUMNS[list.kind].map(col => `${t('list.col.' + col)}: ${listCell(row, col)}`).join(', ');
+
+  function renderList(){
+    const n = list.rows.length;
+    $('list-status').textContent = n ? t('list.count.' + list.kind, { count: n })
+      : t(LIST_LAYERS[list.kind] && !$(LIST_LAYERS[list.kind]).checked ? 'list.hidden' : 'list.empty');
+    $('list-table').setAttribute('aria-rowcount', n + 1);
+    const tr = document.createElement('tr');
+    tr.setAttribute('aria-rowindex', 1);
+    for (const col of LIST_COLUMNS[list.kind]){
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.setAttribute('aria-sort', list.sort.key !== col ? 'none' : list.sort.dir > 0 ? 'ascending' : 'descending');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'list-sort';
+      btn.dataset.sort = col;
+      btn.textContent = t('list.col.' + col);
+      th.appendChild(btn);
+      tr.appendChild(th);
+    }
+    $('list-head').replaceChildren(tr);
+    renderListWindow();
+  }
+
+  // The rows under the scroll position plus some overscan, between two spacers that keep the
+  // scroll height of the full table
+  function renderListWindow(){
+    const box = $('list-scroll'), body = $('list-body');
+    const cols = LIST_COLUMNS[list.kind], n = list.rows.length;
+    const hadFocus = body.contains(root.activeElement);
+    const first = Math.max(0, Math.floor(box.scrollTop / LIST_ROW_PX) - LIST_OVERSCAN);
+    const last = Math.min(n, Math.ceil((box.scrollTop + box.clientHeight) / LIST_ROW_PX) + LIST_OVERSCAN);
+    // one tab stop for the whole table: the focused row, else the first one drawn
+    const tabRow = (list.active >= first && list.active < last) ? list.active : first;
+    const spacer = (rows) => {
+      const tr = document.createElement('tr'), td = document.createElement('td');
+      tr.className = 'list-spacer';
+      tr.setAttribute('aria-hidden', 'true');
+      td.colSpan = cols.length;
+      td.style.height = `${rows * LIST_ROW_PX}px`;
+      tr.appendChild(td);
+      return tr;
+    };
+    const out = [];
+    if (first > 0) out.push(spacer(first));
+    for (let i = first; i < last; i++){
+      const row = list.rows[i], tr = document.createElement('tr');
+      tr.dataset.row = i;
+      tr.setAttribute('aria-rowindex', i + 2);
+      tr.tabIndex = i === tabRow ? 0 : -1;
+      if (i === list.active) tr.classList.add('active');
+      for (const col of cols){
+        const td = document.createElement('td');
+        td.textContent = listCell(row, col);
+        tr.appendChild(td);
+      }
+      out.push(tr);
+    }
+    if (last < n) out.push(spacer(n - last));
+    body.replaceChildren(...out);
+    if (hadFocus) body.querySelector('tr[tabindex="0"]')?.focus({ preventScroll: true });
+  }
+
+  // Scroll just enough to bring row i out from under the sticky header or the bottom edge
+  function revealListRow(i){
+    const box = $('list-scroll'), head = $('list-head').offsetHeight;
+    box.scrollTop = Math.min(i * LIST_ROW_PX, Math.max(box.scrollTop, head + (i + 1) * LIST_ROW_PX - box.clientHeight));
+    renderListWindow();
+  }
+  function focusListRow(){
+    if (!list.rows.length){ $('list-kind').focus(); return; }
+    const i = Math.max(0, list.active);
+    revealListRow(i);
+    $('list-body').querySelector(`tr[data-row="${i}"]`)?.focus({ preventScroll: true });
+  }
+
+  function setListFocus(i){
+    list.active = i;
+    setHighlight('focus', list.rows[i]?.geometry || null);
+    $('list-body').querySelectorAll('tr[data-row]').forEach(tr => {
+      const on = +tr.dataset.row === i;
+      tr.classList.toggle('active', on);
+      tr.tabIndex = on ? 0 : -1;
+    });
+  }
+  function activateListRow(i){
+    const row = list.rows[i]; if (!row) return;
+    setListFocus(i);
+    if (list.kind === 'nbhd') handleNbhdClick({ features: [{ properties: row.props }] });
+    else selectTree(row.f, list.kind === 'trees' ? 'alive' : 'felled');
+    openCard();
+  }
+
+  // Map keyboard: arrows step through the rows, Enter opens the focused one, Escape lets go.
+  // MapLibre's own arrow handling (pan, Shift to rotate) listens further up, so it is stopped
+  // here and Shift+arrows pan instead.
+  function stepFeature(step){
+    if (list.dirty) refreshList();
+    const n = list.rows.length;
+    if (!n){ announce(t('list.empty')); return; }
+    const i = list.active < 0 ? (step > 0 ? 0 : n - 1) : (list.active + step + n) % n;
+    setListFocus(i);
+    if (listShown()) revealListRow(i);
+    announce(`${listDescription(list.rows[i])} — ${t('list.position', { index: i + 1, count: n })}`);
+  }
+  map.getCanvas().setAttribute('aria-describedby', 'map-keys');
+  map.getCanvas().addEventListener('keydown', (e)=>{
+    if (mapPicking() || e.altKey || e.ctrlKey || e.metaKey) return;
+    const step = ARROW_STEPS[e.key];
+    if (step){
+      e.preventDefault();
+      e.stopPropagation();
+      if (!e.shiftKey) stepFeature(step);
+      else map.panBy((e.key === 'ArrowLeft' || e.key === 'ArrowRight') ? [step * PAN_PX, 0] : [0, step * PAN_PX]);
+    } else if (e.key === 'Enter' && list.active >= 0){
+      e.preventDefault();
+      activateListRow(list.active);
+    } else if (e.key === 'Escape' && list.active >= 0){
+      setListFocus(-1);
+      announce(t('list.focusCleared'));
+    }
+  });
+
+  $('list-kind').addEventListener('change', (e)=>{
+    list.kind = e.target.value;
+    if (!LIST_COLUMNS[list.kind].includes(list.sort.key)) list.sort = { key: 'distance', dir: 1 };
+    list.rows = [];
+    setListFocus(-1);
+    $('list-scroll').scrollTop = 0;
+    refreshList();
+  });
+  $('list-head').addEventListener('click', (e)=>{
+    const col = e.target.closest('[data-sort]')?.dataset.sort; if (!col) return;
+    list.sort = { key: col, dir: list.sort.key === col ? -list.sort.dir : 1 };
+    sortList();
+    renderList();
+    $('list-head').querySelector(`[data-sort="${col}"]`).focus();
+  });
+  let listScrollFrame = 0;
+  $('list-scroll').addEventListener('scroll', ()=>{
+    cancelAnimationFrame(listScrollFrame);
+    listScrollFrame = requestAnimationFrame(renderListWindow);
+  });
+  $('list-body').addEventListener('click', (e)=>{
+    const tr = e.target.closest('tr[data-row]');
+    if (tr) activateListRow(+tr.dataset.row);
+  });
+  // Tabbing into the table puts the map's focus ring on that row too
+  $('list-body').addEventListener('focusin', (e)=>{
+    const i = +e.target.closest('tr[data-row]')?.dataset.row;
+    if (isFinite(i) && i !== list.active) setListFocus(i);
+  });
+  $('list-body').addEventListener('keydown', (e)=>{
+    const n = list.rows.length;
+    const tr = e.target.closest('tr[data-row]'); if (!n || !tr) return;
+    const cur = +tr.dataset.row;
+    const page = Math.max(1, Math.floor($('list-scroll').clientHeight / LIST_ROW_PX) - 2);
+    const next = { ArrowDown: cur + 1, ArrowUp: cur - 1, PageDown: cur + page, PageUp: cur - page, Home: 0, End: n - 1 }[e.key];
+    if (next != null){
+      e.preventDefault();
+      setListFocus(Math.max(0, Math.min(n - 1, next)));
+      focusListRow();
+    } else if (e.key === 'Enter' || e.key === ' '){
+      e.preventDefault();
+      activateListRow(cur);
+    }
+  });
+  map.on('moveend', scheduleList);
+
+  // ---------------- Modals ----------------
+  function openModal(id){
+    const m = $(id); if (!m) return;
+    m.hidden = false;
+    m.querySelector('input, select, textarea, button:not(.modal-close)')?.focus();
+  }
+  function closeModal(id){
+    const m = $(id); if (!m) return;
+    m.hidden = true;
+    if (id === 'modal-feedback') clearPickMarker();
+  }
+  root.querySelectorAll('.modal').forEach(m=>{
+    m.querySelectorAll('[data-close]').forEach(b=> b.addEventListener('click', ()=> closeModal(m.id)));
+    // Backdrop click closes
+    m.addEventListener('click', (e)=>{ if (e.target === m) closeModal(m.id); });
+  });
+  root.addEventListener('keydown', (e)=>{
+    if (e.key !== 'Escape') return;
+    if (pickHandler) { endPick(); return; }
+    root.querySelectorAll('.modal:not([hidden])').forEach(m=> closeModal(m.id));
+  }, bound);
+  $('btn-attrib')?.addEventListener('click', ()=> openModal('modal-attrib'));
+
+  function downloadBlob(blob, filename){
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url; a.download = filename;
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(()=> URL.revokeObjectURL(url), 1000);
+  }
+
+  // ---------------- Feedback ----------------
+  const FEEDBACK_ENDPOINT = options.feedbackEndpoint
+    ?? document.querySelector('meta[name="feedback-endpoint"]')?.content.trim() ?? '';
+  const FB_REQUIRES_DESC = ['incorrect', 'other'];
+  let pickMarker = null;
+
+  // "lat, lng" (or "lng, lat" when the first value can't be a latitude)
+  function parseLatLng(text){
+    const m = String(text||'').match(/^\s*(-?\d+(?:\.\d+)?)\s*[,; ]\s*(-?\d+(?:\.\d+)?)\s*$/);
+    if (!m) return null;
+    let lat = +m[1], lng = +m[2];
+    if (Math.abs(lat) > 90) [lat, lng] = [lng, lat];
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lng, lat };
+  }
+  const formatLatLng = (ll) => `${ll.lat.toFixed(6)}, ${ll.lng.toFixed(6)}`;
+
+  function setPickMarker(ll){
+    if (!pickMarker){
+      pickMarker = new maplibregl.Marker({ color: '#27572B', draggable: true });
+      pickMarker.on('dragend', ()=>{ $('fb-location').value = formatLatLng(pickMarker.getLngLat()); });
+    }
+    pickMarker.setLngLat(ll).addTo(map);
+    $('fb-location').value = formatLatLng(pickMarker.getLngLat());
+  }
+  function clearPickMarker(){
+    pickMarker?.remove();
+    pickMarker = null;
+    appEl.classList.remove('picking');
+  }
+
+  // Hide the modal so the next map click lands on the map, then bring it back
+  let pickHandler = null;
+  function pickOnMap(){
+    $('modal-feedback').hidden = true;
+    appEl.classList.add('picking');
+    pickHandler = (e)=>{
+      setPickMarker(e.lngLat);
+      // once the other listeners of this click have seen pickHandler (mapPicking)
+      queueMicrotask(endPick);
+    };
+    map.once('click', pickHandler);
+  }
+  function endPick(){
+    if (pickHandler) map.off('click', pickHandler);
+    pickHandler = null;
+    appEl.classList.remove('picking');
+    $('modal-feedback').hidden = false;
+    $('fb-location').focus();
+  }
+
+  function syncFeedbackForm(){
+    const type = $('fb-type').value;
+    $('fb-issue-wrap').hidden = (type !== 'issue');
+    $('fb-desc').required = FB_REQUIRES_DESC.includes(type);
+  }
+
+  function showFeedbackMsg(id, text){
+    const el = $(id);
+    el.textContent = text || '';
+    el.hidden = !text;
+  }
+
+  function fillSpeciesOptions(){
+    const dl = $('fb-species-options');
+    dl.innerHTML = '';
+    for (const [sigle, name] of speciesEntries(i18n.lang)){
+      const opt = document.createElement('option');
+      opt.value = `${name} (${sigle})`;
+      dl.appendChild(opt);
+    }
+  }
+
+  function openFeedback(prefill){
+    fillSpeciesOptions();
+    if (prefill?.type) $('fb-type').value = prefill.type;
+    if (prefill?.lngLat) setPickMarker(prefill.lngLat);
+    if (prefill?.species) $('fb-species').value = prefill.species;
+    if (prefill?.description) $('fb-desc').value = prefill.description;
+    syncFeedbackForm();
+    showFeedbackMsg('fb-error', '');
+    showFeedbackMsg('fb-status', '');
+    refreshQueueButton();
+    openModal('modal-feedback');
+  }
+
+  function resetFeedbackForm(){
+    ['fb-location','fb-species','fb-desc','fb-contact','fb-photo'].forEach(id=>{ $(id).value = ''; $(id).classList.remove('invalid'); });
+    $('fb-type').value = 'missing';
+    $('fb-issue').selectedIndex = 0;
+    clearPickMarker();
+    syncFeedbackForm();
+  }
+
+  function readFeedbackForm(){
+    const type = $('fb-type').value;
+    const location = $('fb-location').value.trim();
+    const description = $('fb-desc').value.trim();
+    const ll = pickMarker?.getLngLat() || parseLatLng(location);
+    const errors = [];
+    $('fb-location').classList.toggle('invalid', !location && type !== 'other');
+    $('fb-desc').classList.toggle('invalid', !description && FB_REQUIRES_DESC.includes(type));
+    if (!location && type !== 'other') errors.push(t('fb.err.location'));
+    if (!description && FB_REQUIRES_DESC.includes(type)) errors.push(t('fb.err.desc'));
+    const photo = $('fb-photo').files?.[0] || null;
+    return {
+      errors,
+      report: {
+        type,
+        issue: type === 'issue' ? $('fb-issue').value : null,
+        location,
+        lng: ll ? ll.lng : null,
+        lat: ll ? ll.lat : null,
+        species: $('fb-species').value.trim() || null,
+        description: description || null,
+        contact: $('fb-contact').value.trim() || null,
+        lang: i18n.lang,
+        created_at: new Date().toISOString(),
+        photo,
+        photo_name: photo ? photo.name : null
+      }
+    };
+  }
+
+  // ---- IndexedDB queue ----
+  function openFeedbackDB(){
+    return new Promise((resolve, reject)=>{
+      const req = indexedDB.open('tree-mtl', 1);
+      req.onupgradeneeded = () => req.result.createObjectStore('feedback', { keyPath:'id', autoIncrement:true });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  async function feedbackStore(mode, fn){
+    const db = await openFeedbackDB();
+    return new Promise((resolve, reject)=>{
+      const tx = db.transaction('feedback', mode);
+      const req = fn(tx.objectStore('feedback'));
+      tx.oncomplete = () => { db.close(); resolve(req?.result); };
+      tx.onerror = () => { db.close(); reject(tx.error); };
+    });
+  }
+  const queueFeedback = (report) => feedbackStore('readwrite', s => s.add(report));
+  const queuedFeedback = () => feedbackStore('readonly', s => s.getAll());
+  const dequeueFeedback = (id) => feedbackStore('readwrite', s => s.delete(id));
+
+  async function postFeedback(report){
+    const body = new FormData();
+    for (const [k, v] of Object.entries(report)){
+      if (k === 'id' || v == null) continue;
+      if (k === 'photo') body.append('photo', v, report.photo_name || 'photo');
+      else body.append(k, String(v));
+    }
+    const res = await fetch(FEEDBACK_ENDPOINT, { method:'POST', body });
+    if (!res.ok) throw new Error(res.status + ' ' + res.statusText);
+  }
+
+  // Send anything queued while offline; stops at the first failure
+  async function flushFeedbackQueue(){
+    if (!FEEDBACK_ENDPOINT || !navigator.onLine) return;
+    try{
+      for (const report of await queuedFeedback()){
+        await postFeedback(report);
+        await dequeueFeedback(report.id);
+      }
+    }catch(e){
+      console.warn('[feedback] flush stopped', e);
+    }
+    refreshQueueButton();
+  }
+
+  async function refreshQueueButton(){
+    const btn = $('fb-export');
+    try{
+      const n = (await queuedFeedback()).length;
+      btn.textContent = t('fb.exportQueue', { count: n });
+      btn.hidden = n === 0;
+    }catch(e){
+      btn.hidden = true;
+    }
+  }
+
+  function blobToDataURL(blob){
+    return new Promise((resolve, reject)=>{
+      const r = new FileReader();
+      r.onload = () => resolve(r.result);
+      r.onerror = () => reject(r.error);
+      r.readAsDataURL(blob);
+    });
+  }
+
+  async function exportFeedbackQueue(){
+    const features = [];
+    for (const { photo, ...props } of await queuedFeedback()){
+      const hasPoint = props.lng != null && props.lat != null;
+      features.push({
+        type: 'Feature',
+        geometry: hasPoint ? { type:'Point', coordinates:[props.lng, props.lat] } : null,
+        properties: { ...props, photo: photo ? await blobToDataURL(photo) : null }
+      });
+    }
+    const fc = { type:'FeatureCollection', features };
+    const stamp = new Date().toISOString().slice(0,10);
+    downloadBlob(new Blob([JSON.stringify(fc, null, 2)], { type:'application/geo+json' }), `tree-mtl-feedback-${stamp}.geojson`);
+  }
+
+  async function submitFeedback(){
+    const { errors, report } = readFeedbackForm();
+    showFeedbackMsg('fb-error', errors.join(' '));
+    if (errors.length) return;
+    const btn = $('fb-submit');
+    btn.disabled = true;
+    try{
+      if (FEEDBACK_ENDPOINT && navigator.onLine){
+        try{
+          await postFeedback(report);
+          showFeedbackMsg('fb-status', t('fb.sent'));
+          resetFeedbackForm();
+          return;
+        }catch(e){
+          console.warn('[feedback] post failed, queueing', e);
+        }
+      }
+      await queueFeedback(report);
+      showFeedbackMsg('fb-status', t('fb.queued'));
+      resetFeedbackForm();
+    }catch(e){
+      console.error('[feedback]', e);
+      showFeedbackMsg('fb-error', t('fb.saveFailed'));
+    }finally{
+      btn.disabled = false;
+      refreshQueueButton();
+    }
+  }
+
+  $('btn-feedback')?.addEventListener('click', ()=> openFeedback());
+  $('fb-type').addEventListener('change', syncFeedbackForm);
+  $('fb-pick').addEventListener('click', pickOnMap);
+  $('fb-location').addEventListener('change', ()=>{
+    const ll = parseLatLng($('fb-location').value);
+    if (ll) setPickMarker(ll);
+  });
+  $('fb-cancel').addEventListener('click', ()=>{ resetFeedbackForm(); closeModal('modal-feedback'); });
+  $('fb-submit').addEventListener('click', submitFeedback);
+  $('fb-export').addEventListener('click', exportFeedbackQueue);
+  window.addEventListener('online', flushFeedbackQueue, bound);
+
+  // ---------------- Time-lapse ----------------
+  const TL_STEP_MS = 1000;   // one year per second at 1×
+  const timelapse = { playing:false, year:null, timer:null, saved:null, counts:null, recorder:null };
+
+  // Planted/felled counts per year in the current view, ignoring the year filters; null when
+  // a newer count superseded this one
+  async function yearHistogram(){
+    const bounds = map.getBounds();
+    const histogram = async (kind) => {
+      if (!isPMTiles(kind)){
+        const res = await workerRequest('aggregate',
+          { kind, by:'year', filters, years:false, bounds: bounds.toArray().flat() }, 'years:' + kind);
+        return res && new Map(Array.from(res.keys, (y, i) => [y, res.counts[i]]));
+      }
+      const m = new Map(), yearOf = (kind === 'trees') ? plantYear : fellYear;
+      for (const f of viewportFeatures(kind, true)){
+        const y = yearOf(f.properties);
+        if (isFinite(y)) m.set(y, (m.get(y) || 0) + 1);
+      }
+      return m;
+    };
+    const [planted, felled] = await Promise.all([histogram('trees'), histogram('fellings')]);
+    return (planted && felled) ? { planted, felled } : null;
+  }
+
+  // Year domain: the span that has data, clamped to what the year inputs accept
+  function timelapseDomain(counts){
+    const years = [...counts.planted.keys(), ...counts.felled.keys()];
+    const lo = +$('plant-year-min').min, hi = +$('plant-year-max').max;
+    if (!years.length) return [+$('fell-year-min').min, hi];
+    return [Math.max(lo, Math.min(...years)), Math.min(hi, Math.max(...years))];
+  }
+
+  function drawTimelineChart(){
+    const svg = $('tl-chart');
+    if (!timelapse.counts) return;   // first counts still on their way from the worker
+    const { planted, felled } = timelapse.counts;
+    const min = +$('tl-slider').min, max = +$('tl-slider').max, n = max - min + 1;
+    const W = svg.clientWidth || 600, H = 64, axis = 14;
+    const bw = W / n;
+    let peak = 1;
+    for (let y = min; y <= max; y++) peak = Math.max(peak, planted.get(y) || 0, felled.get(y) || 0);
+    const h = (v) => (v / peak) * (H - 4);
+    const cur = timelapse.year;
+    const cumulative = $('tl-mode').value === 'cumulative';
+    const el = svgEl;
+    svg.setAttribute('viewBox', `0 0 ${W} ${H + axis}`);
+    svg.innerHTML = '';
+    if (cur != null){
+      const from = cumulative ? min : cur;
+      svg.appendChild(el('rect', { x:(from - min) * bw, y:0, width:(cur - from + 1) * bw, height:H, class:'tl-window' }));
+    }
+    const tick = n > 40 ? 10 : 5;
+    for (let y = min; y <= max; y++){
+      const x = (y - min) * bw;
+      const g = el('g', { 'data-year': y });
+      const p = planted.get(y) || 0, f = felled.get(y) || 0;
+      const title = el('title', {});
+      title.textContent = t('timeline.barTitle', { year: String(y), planted: p, felled: f });
+      g.appendChild(title);
+      g.appendChild(el('rect', { x, y:0, width:bw, height:H, class:'tl-hit' }));
+      g.appendChild(el('rect', { x: x + bw*0.08, y: H - h(p), width: bw*0.4, height: h(p), class:'tl-bar planted' }));
+      g.appendChild(el('rect', { x: x + bw*0.52, y: H - h(f), width: bw*0.4, height: h(f), class:'tl-bar felled' }));
+      svg.appendChild(g);
+      if (y % tick === 0){
+        const label = el('text', { x: x + bw/2, y: H + axis - 2, class:'tl-axis' });
+        label.textContent = y;
+        svg.appendChild(label);
+      }
+    }
+  }
+
+  async function refreshTimelineCounts(){
+    const counts = await yearHistogram();
+    if (!counts) return;
+    timelapse.counts = counts;
+    const [min, max] = timelapseDomain(timelapse.counts);
+    const slider = $('tl-slider');
+    slider.min = min; slider.max = max;
+    // the felled inputs start at the fellings' first year (1989); widen them to take years of the
+    // planted side of the domain, which only ever match no felling
+    for (const id of ['fell-year-min', 'fell-year-max']) $(id).min = Math.min(+$(id).min, min);
+    drawTimelineChart();
+  }
+
+  function setTimelapseYear(y){
+    const slider = $('tl-slider');
+    y = Math.max(+slider.min, Math.min(+slider.max, y));
+    timelapse.year = y;
+    slider.value = y;
+    $('tl-year').textContent = y;
+    const from = $('tl-mode').value === 'cumulative' ? +slider.min : y;
+    withoutHistory(()=>{
+      $('plant-year-min').value = from; $('plant-year-max').value = y;
+      $('fell-year-min').value  = from; $('fell-year-max').value  = y;
+      applyFilters();
+    });
+    drawTimelineChart();
+    map.triggerRepaint();
+  }
+
+  function setPlayButton(){
+    const btn = $('tl-play');
+    btn.dataset.i18n = timelapse.playing ? 'timeline.pause' : 'timeline.play';
+    btn.textContent = t(btn.dataset.i18n);
+  }
+
+  function playTimelapse(){
+    const max = +$('tl-slider').max;
+    if (timelapse.year == null || timelapse.year >= max) setTimelapseYear(+$('tl-slider').min);
+    timelapse.playing = true;
+    setPlayButton();
+    const step = ()=>{
+      if (timelapse.year >= +$('tl-slider').max){ pauseTimelapse(); return; }
+      setTimelapseYear(timelapse.year + 1);
+      timelapse.timer = setTimeout(step, TL_STEP_MS / +$('tl-speed').value);
+    };
+    timelapse.timer = setTimeout(step, TL_STEP_MS / +$('tl-speed').value);
+  }
+
+  function pauseTimelapse(){
+    clearTimeout(timelapse.timer);
+    timelapse.playing = false;
+    setPlayButton();
+    if (timelapse.recorder) timelapse.recorder.stop();
+  }
+
+  function openTimelapse(){
+    timelapse.saved = ['plant-year-min','plant-year-max','fell-year-min','fell-year-max'].map(id=> $(id).value);
+    $('timeline').hidden = false;
+    timelapse.year = null;
+    $('tl-year').textContent = '–';
+    refreshTimelineCounts();
+  }
+
+  // Closing puts the year filters back the way they were before the animation
+  function closeTimelapse(){
+    pauseTimelapse();
+    $('timeline').hidden = true;
+    if (!timelapse.saved) return;
+    const [pMin, pMax, fMin, fMax] = timelapse.saved;
+    withoutHistory(()=>{
+      $('plant-year-min').value = pMin; $('plant-year-max').value = pMax;
+      $('fell-year-min').value  = fMin; $('fell-year-max').value  = fMax;
+      applyFilters();
+    });
+    timelapse.saved = null;
+    timelapse.year = null;
+  }
+
+  // The map canvas is copied into a 2D canvas on every render so the year can be stamped on each frame
+  function startRecording(){
+    const src = map.getCanvas();
+    const out = document.createElement('canvas');
+    out.width = src.width; out.height = src.height;
+    const ctx = out.getContext('2d');
+    const ratio = src.width / src.clientWidth || 1;
+    const draw = ()=>{
+      ctx.drawImage(src, 0, 0);
+      if (timelapse.year == null) return;
+      const from = $('tl-mode').value === 'cumulative' ? $('tl-slider').min : timelapse.year;
+      const label = from == timelapse.year ? String(timelapse.year) : `${from}–${timelapse.year}`;
+      ctx.font = `600 ${24 * ratio}px Inter, sans-serif`;
+      const w = ctx.measureText(label).width + 24 * ratio;
+      ctx.fillStyle = 'rgba(255,255,255,.85)';
+      ctx.fillRect(12 * ratio, 12 * ratio, w, 40 * ratio);
+      ctx.fillStyle = '#27572B';
+      ctx.fillText(label, 24 * ratio, 41 * ratio);
+    };
+    const type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(m=> MediaRecorder.isTypeSupported(m));
+    const rec = new MediaRecorder(out.captureStream(30), type ? { mimeType: type } : undefined);
+    const chunks = [];
+    rec.ondataavailable = (e)=>{ if (e.data.size) chunks.push(e.data); };
+    rec.onstop = ()=>{
+      map.off('render', draw);
+      timelapse.recorder = null;
+      setRecordButton();
+      const range = `${$('tl-slider').min}-${$('tl-slider').max}`;
+      downloadBlob(new Blob(chunks, { type:'video/webm' }), `tree-mtl-timelapse-${range}.webm`);
+    };
+    map.on('render', draw);
+    draw();
+    rec.start(250);
+    timelapse.recorder = rec;
+    setRecordButton();
+    timelapse.year = null;
+    playTimelapse();
+  }
+
+  function setRecordButton(){
+    const btn = $('tl-record');
+    btn.dataset.i18n = timelapse.recorder ? 'timeline.stopRecording' : 'timeline.record';
+    btn.textContent = t(btn.dataset.i18n);
+  }
+
+  const canRecord = typeof MediaRecorder !== 'undefined' && !!HTMLCanvasElement.prototype.captureStream;
+  if (!canRecord){
+    $('tl-record').disabled = true;
+    $('tl-record').setAttribute('data-i18n-title', 'timeline.recordUnsupported');
+  }
+
+  $('btn-timeline').addEventListener('click', ()=> $('timeline').hidden ? openTimelapse() : closeTimelapse());
+  $('tl-close').addEventListener('click', closeTimelapse);
+  $('tl-play').addEventListener('click', ()=> timelapse.playing ? pauseTimelapse() : playTimelapse());
+  $('tl-slider').addEventListener('input', ()=>{
+    if (timelapse.playing) pauseTimelapse();
+    setTimelapseYear(+$('tl-slider').value);
+  });
+  $('tl-mode').addEventListener('change', ()=>{
+    if (timelapse.year != null) setTimelapseYear(timelapse.year);
+    else drawTimelineChart();
+  });
+  $('tl-record').addEventListener('click', ()=> timelapse.recorder ? pauseTimelapse() : startRecording());
+  $('tl-chart').addEventListener('click', (e)=>{
+    const y = e.target.closest('[data-year]')?.dataset.year;
+    if (!y) return;
+    if (timelapse.playing) pauseTimelapse();
+    setTimelapseYear(+y);
+  });
+  let timelineTimer = null;
+  map.on('moveend', ()=>{
+    if ($('timeline').hidden || timelapse.playing) return;
+    clearTimeout(timelineTimer);
+    timelineTimer = setTimeout(refreshTimelineCounts, 300);
+  });
+
+  // ---------------- Compare ----------------
+  // A second map for side B (right), linked to the main one (side A, left) by camera and
+  // selection. B starts as a copy of A's base, neighbourhood, point and density layers and
+  // gets its own year ranges, species and overlay metric; height, causes and unknown years
+  // stay shared. Swipe stacks B over A behind a draggable divider, side by side halves the
+  // view. The panel between them sets B and sums up counts and net change (planted minus
+  // felled) per neighbourhood.
+  const COMPARE_SOURCES = ['basemap', 'basemap-local', 'nbhd', 'hexbin', 'highlight', ...FILTER_KINDS.flatMap(k => [k, k + '-agg'])];
+  const COMPARE_STEP = 5;   // % of the width per arrow key on the divider
+  const compare = { map: null, ready: false, layout: 'swipe', swipe: 50, side: null, syncing: false, timer: null, densityTimer: null };
+
+  // B's filters: its own years and species (null follows A), the rest shared
+  function compareFilters(){
+    const { plant, fell, species } = compare.side;
+    return { ...filters, plant, fell, species: species ?? filters.species };
+  }
+
+  function writeCompareControls(){
+    const { plant, fell, species, metric } = compare.side;
+    for (const [id, v] of [['plant-year-min', plant[0]], ['plant-year-max', plant[1]], ['fell-year-min', fell[0]], ['fell-year-max', fell[1]]]){
+      const inp = $('cmp-' + id);
+      inp.min = $(id).min; inp.max = $(id).max;
+      inp.value = v;
+    }
+    const opt = (value, key) => { const o = new Option(t(key), value); o.dataset.i18n = key; return o; };
+    const sel = $('cmp-species');
+    sel.replaceChildren(opt('', 'compare.sameSpecies'), opt('*', 'species.all'),
+      ...speciesEntries(i18n.lang).map(([sigle, name]) => new Option(`${name} (${sigle})`, sigle)));
+    sel.value = species == null ? '' : species.size ? Array.from(species)[0] : '*';
+    $('cmp-metric').value = metric;
+    $('compare-layout').value = compare.layout;
+  }
+  function readCompareControls(){
+    const side = compare.side;
+    const range = (prefix, cur) => {
+      const lo = parseInt($(`cmp-${prefix}-year-min`).value, 10), hi = parseInt($(`cmp-${prefix}-year-max`).value, 10);
+      const a = isFinite(lo) ? lo : cur[0], b = isFinite(hi) ? hi : cur[1];
+      return [Math.min(a, b), Math.max(a, b)];
+    };
+    side.plant = range('plant', side.plant);
+    side.fell = range('fell', side.fell);
+    const sp = $('cmp-species').value;
+    side.species = sp === '' ? null : new Set(sp === '*' ? [] : [sp]);
+    side.metric = $('cmp-metric').value;
+    refreshCompare();
+  }
+
+  function createCompareMap(){
+    const style = map.getStyle();
+    const empty = { type:'FeatureCollection', features: [] };
+    // points and density sources are refilled with B's features below
+    const refilled = (id) => FILTER_KINDS.some(k => id === k || id === k + '-agg') || id === 'hexbin';
+    style.sources = Object.fromEntries(Object.entries(style.sources)
+      .filter(([id]) => COMPARE_SOURCES.includes(id))
+      .map(([id, src]) => [id, src.type === 'geojson' && refilled(id) ? { ...src, data: empty } : src]));
+    style.layers = style.layers.filter(l => COMPARE_SOURCES.includes(l.source) && l.id !== 'nbhd-brush');
+    const m = new maplibregl.Map({
+      container: $('map-compare'), style,
+      center: map.getCenter(), zoom: map.getZoom(), bearing: map.getBearing(), pitch: map.getPitch()
+    });
+    compare.map = m;
+    m.on('load', ()=>{ compare.ready = true; refreshCompare(); });
+    m.on('move', ()=> followCamera(m, map));
+    m.on('moveend', ()=>{
+      clearTimeout(compare.densityTimer);
+      compare.densityTimer = setTimeout(()=>{ if (compare.map === m) refreshDensity(m, compareFilters()); }, 200);
+    });
+    const layers = new Set(style.layers.map(l => l.id));
+    const on = (id, fn) => {
+      if (!layers.has(id)) return;
+      m.on('click', id, (e)=>{ const f = e.features && e.features[0]; if (f && !mapPicking()) fn(f, e); });
+      m.on('mouseenter', id, ()=> m.getCanvas().style.cursor = 'pointer');
+      m.on('mouseleave', id, ()=> m.getCanvas().style.cursor = '');
+    };
+    for (const kind of FILTER_KINDS){
+      const type = kind === 'trees' ? 'alive' : 'felled';
+      on(kind + '-points', f => selectTree(f, type));
+      on(kind + '-agg-points', f => selectTree(f, type));
+      on(kind + '-clusters', f => m.easeTo({ center: f.geometry.coordinates, zoom: Math.min(m.getZoom() + 2, POINTS_ZOOM) }));
+    }
+    on('nbhd-fill', (f)=> handleNbhdClick({ features: [f] }));
+  }
+
+  function followCamera(from, to){
+    if (compare.syncing || !to) return;
+    compare.syncing = true;
+    to.jumpTo({ center: from.getCenter(), zoom: from.getZoom(), bearing: from.getBearing(), pitch: from.getPitch() });
+    compare.syncing = false;
+  }
+  map.on('move', ()=> followCamera(map, compare.map));
+
+  // B mirrors A's density mode and layer toggles; its overlay is its own
+  function syncCompareLayers(){
+    const m = compare.map;
+    for (const { id } of m.getStyle().layers){
+      const a = map.getLayer(id);
+      if (!a || id.startsWith('nbhd-')) continue;
+      m.setLayoutProperty(id, 'visibility', map.getLayoutProperty(id, 'visibility') ?? 'visible');
+      m.setLayerZoomRange(id, a.minzoom ?? 0, a.maxzoom ?? 24);
+    }
+  }
+
+  function refreshCompare(){
+    const m = compare.map;
+    if (!m || !compare.ready) return;
+    const state = compareFilters(), metric = compare.side.metric;
+    syncCompareLayers();
+    for (const kind of FILTER_KINDS){
+      if (isPMTiles(kind)){
+        const expr = filterExpression(kind, { state });
+        for (const id of [kind + '-points', kind + '-heat']) if (m.getLayer(id)) m.setFilter(id, expr);
+        continue;
+      }
+      workerRequest('filter', { kind, filters: state }, 'compare:' + kind).then(res => {
+        if (!res || compare.map !== m) return;
+        const all = ((kind === 'trees') ? treesAll : fellAll).features;
+        m.getSource(kind)?.setData({ type:'FeatureCollection', features: Array.from(res.indices, i => all[i]) });
+      });
+    }
+    refreshDensity(m, state);
+
+    const metricsB = nbhdMetricsFor(state);
+    for (const id of ['nbhd-fill', 'nbhd-line']) m.setLayoutProperty(id, 'visibility', metric ? 'visible' : 'none');
+    $('cmp-legend').hidden = !metric;
+    if (metric){
+      setNbhdMetric(metric, m, metricsB);
+      setLegend(metric, $('cmp-legend'));
+    }
+    ensureNbhdMetrics();
+    renderCompareSummary(
+      { state: filters, metrics: nbhdMetrics, totals: countsFor(filters) },
+      { state, metrics: metricsB, totals: countsFor(state) });
+  }
+  function scheduleCompare(){
+    if (!compare.map) return;
+    clearTimeout(compare.timer);
+    compare.timer = setTimeout(refreshCompare, 300);
+  }
+
+  const countsFor = (state) => ({
+    trees: filteredFeatures('trees', { state }).length,
+    fellings: filteredFeatures('fellings', { state }).length
+  });
+  function sideSummary(state){
+    const span = ([lo, hi]) => `${lo}–${hi}`;
+    const species = state.species.size ? speciesSummary(2, state.species) : t('species.all');
+    return t('compare.sideFilters', { plant: span(state.plant), fell: span(state.fell), species });
+  }
+
+  // Totals for both sides, then every neighbourhood by how much its net change moved
+  function renderCompareSummary(a, b){
+    const box = $('compare-summary');
+    const signed = (v) => (v > 0 ? '+' : '') + fmtNumber(v);
+    const net = (x) => x.trees - x.fellings;
+    const row = (cells, tag = 'td') => {
+      const tr = document.createElement('tr');
+      cells.forEach((text, i) => {
+        const el = document.createElement(i === 0 && tag === 'td' ? 'th' : tag);
+        if (el.tagName === 'TH') el.scope = tag === 'th' ? 'col' : 'row';
+        el.textContent = text;
+        tr.appendChild(el);
+      });
+      return tr;
+    };
+    const table = (caption, head, rows) => {
+      const tbl = document.createElement('table');
+      tbl.className = 'area-compare-table';
+      tbl.createCaption().textContent = caption;
+      tbl.createTHead().appendChild(row(head, 'th'));
+      tbl.createTBody().append(...rows.map(r => row(r)));
+      return tbl;
+    };
+    const head = (first) => [first, t('compare.left'), t('compare.right'), t('compare.change')];
+
+    const sides = document.createElement('ul');
+    sides.className = 'compare-sides';
+    for (const [label, side] of [['compare.left', a], ['compare.right', b]]){
+      const li = document.createElement('li');
+      li.textContent = `${t(label)}: ${sideSummary(side.state)}`;
+      sides.appendChild(li);
+    }
+    const totals = table(t('compare.totals'), head(''), [
+      ['compare.trees', x => x.trees], ['compare.fellings', x => x.fellings], ['compare.net', net]
+    ].map(([label, f]) => [t(label), fmtNumber(f(a.totals)), fmtNumber(f(b.totals)), signed(f(b.totals) - f(a.totals))]));
+
+    const rows = [];
+    for (const [id, ma] of a.metrics){
+      const mb = b.metrics.get(id); if (!mb) continue;
+      rows.push({ name: String(ma.name), a: net(ma), b: net(mb) });
+    }
+    rows.sort((x, y) => Math.abs(y.b - y.a) - Math.abs(x.b - x.a) || x.name.localeCompare(y.name, i18n.lang));
+    const details = document.createElement('details');
+    details.className = 'compare-nbhd';
+    details.open = !!box.querySelector('details')?.open;
+    const summary = document.createElement('summary');
+    summary.textContent = t('compare.byNbhd', { count: rows.length });
+    details.append(summary, rows.length
+      ? table(t('compare.netCaption'), head(t('list.col.name')), rows.map(r => [r.name, signed(r.a), signed(r.b), signed(r.b - r.a)]))
+      : Object.assign(document.createElement('p'), { className: 'note', textContent: t('compare.noNbhd') }));
+    box.replaceChildren(sides, totals, details);
+  }
+
+  // ---- Layout: swipe divider or two halves
+  function setCompareLayout(layout){
+    compare.layout = layout;
+    const swipe = layout === 'swipe';
+    appEl.classList.toggle('compare-side', !swipe);
+    $('compare-divider').hidden = !swipe;
+    setSwipe(compare.swipe);
+    map.resize();
+    compare.map?.resize();
+  }
+  function setSwipe(pct){
+    compare.swipe = Math.max(0, Math.min(100, pct));
+    const divider = $('compare-divider');
+    divider.style.left = `${compare.swipe}%`;
+    divider.setAttribute('aria-valuenow', Math.round(compare.swipe));
+    $('map-compare').style.clipPath = compare.layout === 'swipe' ? `inset(0 0 0 ${compare.swipe}%)` : '';
+  }
+  // The divider works in percentages of the maps' shared width
+  $('compare-divider').addEventListener('pointerdown', (e)=>{
+    const divider = e.currentTarget;
+    divider.setPointerCapture(e.pointerId);
+    const box = $('map-compare').getBoundingClientRect();
+    const move = (ev)=> setSwipe(100 * (ev.clientX - box.left) / box.width);
+    const up = ()=>{
+      divider.removeEventListener('pointermove', move);
+      divider.removeEventListener('pointerup', up);
+      divider.removeEventListener('pointercancel', up);
+    };
+    divider.addEventListener('pointermove', move);
+    divider.addEventListener('pointerup', up);
+    divider.addEventListener('pointercancel', up);
+  });
+  $('compare-divider').addEventListener('keydown', (e)=>{
+    const step = { ArrowLeft: -COMPARE_STEP, ArrowRight: COMPARE_STEP }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    setSwipe(compare.swipe + step);
+  });
+
+  function openCompare(){
+    compare.side ||= {
+      plant: filters.plant.slice(), fell: filters.fell.slice(), species: null,
+      metric: $('chk-overlay').checked ? $('overlay-metric').value : ''
+    };
+    writeCompareControls();
+    $('map-compare').hidden = false;
+    $('compare').hidden = false;
+    if (!compare.map) createCompareMap();
+    setCompareLayout(compare.layout);
+  }
+  function closeCompare(){
+    $('compare').hidden = true;
+    $('map-compare').hidden = true;
+    $('compare-divider').hidden = true;
+    appEl.classList.remove('compare-side');
+    clearTimeout(compare.timer);
+    compare.map?.remove();
+    compare.map = null;
+    compare.ready = false;
+    map.resize();
+  }
+  $('btn-compare').addEventListener('click', ()=> $('compare').hidden ? openCompare() : closeCompare());
+  $('compare-close').addEventListener('click', closeCompare);
+  $('compare-layout').addEventListener('change', (e)=> setCompareLayout(e.target.value));
+  ['cmp-plant-year-min', 'cmp-plant-year-max', 'cmp-fell-year-min', 'cmp-fell-year-max', 'cmp-species', 'cmp-metric']
+    .forEach(id => $(id).addEventListener('change', readCompareControls));
+  $('compare-copy').addEventListener('click', ()=>{
+    Object.assign(compare.side, { plant: filters.plant.slice(), fell: filters.fell.slice(), species: null });
+    writeCompareControls();
+    refreshCompare();
+  });
+  // A's layer toggles land after these run, so B picks them up on the debounced refresh
+  ['density-mode', 'chk-show-alive', 'chk-show-fell'].forEach(id => $(id).addEventListener('change', scheduleCompare));
+
+  // ---------------- Export ----------------
+  // Filtered points as CSV/GeoJSON, or a PNG snapshot of the map. Every file records the
+  // filters that produced it: a "metadata" member (GeoJSON), "#" header lines (CSV) or an
+  // iTXt chunk (PNG). Vector sources can only give what is rendered in the viewport.
+  const EXPORT_COLUMNS = ['kind','lng','lat','sigle','essence_fr','essence_ang','plant_year','hauteur_m','removal_year','cause'];
+  const exportKinds = () => $('export-kind').value === 'both' ? ['trees','fellings'] : [$('export-kind').value];
+  const exportFeatures = (kind) => isPMTiles(kind) ? viewportFeatures(kind) : filteredFeatures(kind);
+  const exportLabel = (kind) => kind === 'trees' ? 'alive' : 'felled';
+
+  // Human-readable filter lines, shared by the dialog and the PNG
+  function filterSummary(){
+    const range = (a, b) => `${$(a).value}–${$(b).value}`;
+    const lines = [
+      t('export.sumPlant', { range: range('plant-year-min', 'plant-year-max') }),
+      t('export.sumFell', { range: range('fell-year-min', 'fell-year-max') }),
+      t('export.sumSpecies', { species: filters.species.size ? speciesSummary(3) : t('species.all') })
+    ];
+    if ($('chk-overlay').checked){
+      const metric = $('overlay-metric').value;
+      lines.push(t('export.sumOverlay', { metric: t(METRICS[metric].label), method: t('class.' + $('overlay-class').value) }));
+    }
+    return lines;
+  }
+
+  function exportMetadata(counts){
+    const b = map.getBounds();
+    const range = (a, z) => [+$(a).value, +$(z).value];
+    const metric = $('overlay-metric').value;
+    return {
+      title: $('app-title').textContent,
+      exported_at: new Date().toISOString(),
+      link: shareLink(),
+      filters: {
+        plant_years: range('plant-year-min', 'plant-year-max'),
+        fell_years: range('fell-year-min', 'fell-year-max'),
+        species: filters.species.size ? Array.from(filters.species) : null,
+        overlay: $('chk-overlay').checked
+          ? { metric, classification: $('overlay-class').value, palette: paletteFor(metric) }
+          : null
+      },
+      scope: Object.fromEntries(Object.keys(counts).map(k => [exportLabel(k), isPMTiles(k) ? 'viewport' : 'filtered'])),
+      bbox: [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()].map(v => +v.toFixed(6)),
+      counts: Object.fromEntries(Object.entries(counts).map(([k, n]) => [exportLabel(k), n])),
+      sources: attributionSources
+    };
+  }
+
+  function exportRow(f, kind){
+    const p = f.properties || {};
+    const [lng, lat] = f.geometry.coordinates;
+    const py = plantYear(p), fy = fellYear(p);
+    return {
+      kind: exportLabel(kind),
+      lng: +lng.toFixed(6), lat: +lat.toFixed(6),
+      sigle: speciesKey(p),
+      essence_fr: p.essence_fr ?? p.sp_essence_fr,
+      essence_ang: p.essence_ang ?? p.sp_essence_ang,
+      plant_year: isFinite(py) ? py : null,
+      hauteur_m: p.hauteur_m,
+      removal_year: isFinite(fy) ? fy : null,
+      cause: p.cause
+    };
+  }
+
+  const csvCell = (v) => {
+    if (v == null) return '';
+    const s = String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  // Plain rows only: the metadata goes in a sidecar .json, where spreadsheet apps and CSV
+  // parsers won't take it for data
+  function toCSV(rows){
+    const body = rows.map(r => EXPORT_COLUMNS.map(c => csvCell(r[c])).join(','));
+    // BOM so spreadsheet apps read the accented species names as UTF-8
+    return '\ufeff' + [EXPORT_COLUMNS.join(','), ...body].join('\r\n') + '\r\n';
+  }
+
+  const exportFilename = (what, ext) => `tree-mtl-${what}-${new Date().toISOString().slice(0,10)}.${ext}`;
+
+  function exportData(format){
+    const kinds = exportKinds();
+    const byKind = Object.fromEntries(kinds.map(k => [k, exportFeatures(k)]));
+    const meta = exportMetadata(Object.fromEntries(kinds.map(k => [k, byKind[k].length])));
+    const what = kinds.length > 1 ? 'trees-fellings' : kinds[0];
+    if (format === 'csv'){
+      const rows = kinds.flatMap(k => byKind[k].map(f => exportRow(f, k)));
+      downloadBlob(new Blob([toCSV(rows)], { type:'text/csv;charset=utf-8' }), exportFilename(what, 'csv'));
+      downloadBlob(new Blob([JSON.stringify(meta, null, 2)], { type:'application/json' }), exportFilename(what, 'csv.json'));
+    } else {
+      const features = kinds.flatMap(k => byKind[k].map(f => ({
+        type:'Feature', geometry: f.geometry, properties: { ...f.properties, kind: exportLabel(k) }
+      })));
+      const fc = { type:'FeatureCollection', metadata: meta, features };
+      downloadBlob(new Blob([JSON.stringify(fc)], { type:'application/geo+json' }), exportFilename(what, 'geojson'));
+    }
+  }
+
+  // ---- PNG snapshot
+  let crcTable = null;
+  function crc32(bytes){
+    if (!crcTable){
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++){
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (const b of bytes) crc = crcTable[(crc ^ b) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+  // Inserts an uncompressed UTF-8 iTXt chunk right after IHDR
+  async function pngWithText(blob, keyword, text){
+    const png = new Uint8Array(await blob.arrayBuffer());
+    const enc = new TextEncoder();
+    const kw = enc.encode(keyword), body = enc.encode(text);
+    // keyword \0, compression flag + method, empty language tag \0, empty translated keyword \0
+    const data = new Uint8Array(kw.length + 5 + body.length);
+    data.set(kw, 0); data.set(body, kw.length + 5);
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(enc.encode('iTXt'), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    const IHDR_END = 8 + 25;
+    return new Blob([png.subarray(0, IHDR_END), chunk, png.subarray(IHDR_END)], { type:'image/png' });
+  }
+
+  // Draws the frame right after MapLibre renders it, while the WebGL buffer is still valid
+  function grabMapFrame(ctx){
+    return new Promise(resolve=>{
+      map.once('render', ()=>{ ctx.drawImage(map.getCanvas(), 0, 0); resolve(); });
+      map.triggerRepaint();
+    });
+  }
+
+  function drawSnapshotOverlay(ctx, W, H, ratio){
+    const px = (v) => v * ratio;
+    const pad = px(12);
+    const lines = filterSummary();
+    const overlay = $('chk-overlay').checked ? $('overlay-metric').value : null;
+    const layers = [['trees', $('chk-show-alive').checked, '#228B22', 'export.legendAlive'],
+                    ['fellings', $('chk-show-fell').checked, '#BB2A34', 'export.legendFelled']].filter(l => l[1]);
+    const title = $('app-title').textContent;
+    // panel: title, filter lines, point layers, choropleth classes
+    const rows = 1 + lines.length + (layers.length ? 1 : 0) + (overlay ? 1 : 0);
+    ctx.font = `600 ${px(12)}px Inter, sans-serif`;
+    const width = Math.max(px(220), ...lines.map(l => ctx.measureText(l).width)) + 2 * pad;
+    const height = px(26) + (rows - 1) * px(18) + pad;
+    ctx.fillStyle = 'rgba(255,255,255,.9)';
+    ctx.fillRect(pad, pad, width, height);
+    let y = pad + px(24);
+    ctx.fillStyle = '#27572B';
+    ctx.font = `700 ${px(18)}px "Playfair Display", Georgia, serif`;
+    ctx.fillText(title, 2 * pad, y);
+    ctx.font = `500 ${px(12)}px Inter, sans-serif`;
+    for (const line of lines){ y += px(18); ctx.fillText(line, 2 * pad, y); }
+    if (layers.length){
+      y += px(18);
+      let x = 2 * pad;
+      for (const [, , color, key] of layers){
+        ctx.fillStyle = color;
+        ctx.beginPath(); ctx.arc(x + px(5), y - px(4), px(5), 0, 2 * Math.PI); ctx.fill();
+        ctx.fillStyle = '#27572B';
+        ctx.fillText(t(key), x + px(14), y);
+        x += px(14) + ctx.measureText(t(key)).width + px(14);
+      }
+    }
+    if (overlay){
+      y += px(18);
+      const { colors, lows } = classify(overlay);
+      const fmt = (v) => v == null ? '—' : fmtNumber(v, { maximumFractionDigits: METRICS[overlay].digits });
+      let x = 2 * pad;
+      colors.forEach((color, i)=>{
+        ctx.fillStyle = color;
+        ctx.fillRect(x, y - px(10), px(12), px(12));
+        ctx.fillStyle = '#27572B';
+        ctx.fillText(fmt(lows[i]), x + px(15), y);
+        x += px(15) + ctx.measureText(fmt(lows[i])).width + px(10);
+      });
+    }
+    // attribution, bottom right
+    const attrib = `© OpenStreetMap © CARTO · ${t('export.data')}: ${
+      [...new Set(attributionSources.map(s => s.source).filter(Boolean))].join(', ') || 'Ville de Montréal'} · ${fmtDate(new Date())}`;
+    ctx.font = `500 ${px(10)}px Inter, sans-serif`;
+    const aw = ctx.measureText(attrib).width + px(12);
+    ctx.fillStyle = 'rgba(255,255,255,.85)';
+    ctx.fillRect(W - aw, H - px(18), aw, px(18));
+    ctx.fillStyle = '#333';
+    ctx.fillText(attrib, W - aw + px(6), H - px(5));
+  }
+
+  async function exportPNG(){
+    const src = map.getCanvas();
+    const out = document.createElement('canvas');
+    out.width = src.width; out.height = src.height;
+    const ctx = out.getContext('2d');
+    const ratio = src.width / src.clientWidth || 1;
+    await grabMapFrame(ctx);
+    drawSnapshotOverlay(ctx, out.width, out.height, ratio);
+    const blob = await new Promise(resolve => out.toBlob(resolve, 'image/png'));
+    const kinds = ['trees','fellings'].filter(k => $(k === 'trees' ? 'chk-show-alive' : 'chk-show-fell').checked);
+    const meta = exportMetadata(Object.fromEntries(kinds.map(k => [k, viewportFeatures(k).length])));
+    downloadBlob(await pngWithText(blob, 'Comment', JSON.stringify(meta)), exportFilename('map', 'png'));
+  }
+
+  function refreshExportDialog(){
+    const ul = $('export-summary');
+    ul.innerHTML = '';
+    for (const line of filterSummary()){
+      const li = document.createElement('li');
+      li.textContent = line;
+      ul.appendChild(li);
+    }
+    $('export-count').textContent = exportKinds().map(k => t(isPMTiles(k) ? 'export.countViewport' : 'export.countFiltered',
+      { count: exportFeatures(k).length, kind: t(k === 'trees' ? 'export.legendAlive' : 'export.legendFelled') })).join(' · ');
+  }
+  function openExport(){
+    const alive = $('chk-show-alive').checked, felled = $('chk-show-fell').checked;
+    $('export-kind').value = (alive && !felled) ? 'trees' : (felled && !alive) ? 'fellings' : 'both';
+    showFeedbackMsg('export-status', '');
+    refreshExportDialog();
+    openModal('modal-export');
+  }
+  async function runExport(format){
+    showFeedbackMsg('export-status', '');
+    try{
+      if (format === 'png') await exportPNG();
+      else exportData(format);
+    }catch(e){
+      console.error('[export]', e);
+      showFeedbackMsg('export-status', t('export.failed'));
+    }
+  }
+  $('btn-export')?.addEventListener('click', openExport);
+  $('export-kind').addEventListener('change', refreshExportDialog);
+  $('export-csv').addEventListener('click', ()=> runExport('csv'));
+  $('export-geojson').addEventListener('click', ()=> runExport('geojson'));
+  $('export-png').addEventListener('click', ()=> runExport('png'));
+
+  // ---------------- Neighbourhood report ----------------
+  // One printable page per neighbourhood, built from the loaded data alone: an SVG map of the
+  // polygon and its filtered points, metrics ranked against the other neighbourhoods, species
+  // and felling-cause charts, and the sources listed in dataset_sum.csv. The page is a single
+  // self-contained HTML file; the dialog previews and prints it through an iframe, and
+  // "Download HTML" saves it as is.
+  const REPORT_MAP = { W: 640, H: 360, pad: 16 };
+  const REPORT_MAX_POINTS = 8000;   // per kind; more are thinned evenly
+  const REPORT_SPECIES = 10;        // bars before "other"
+  const REPORT_CAUSES = 5;          // stacked causes before "other"
+  const REPORT_COLORS = { trees: '#2e7d32', fellings: '#c62828' };
+  const CAUSE_COLORS = ['#a50f15', '#e6550d', '#fdae6b', '#756bb1', '#3182bd', '#bdbdbd'];   // REPORT_CAUSES + "other"
+  const REPORT_CSS = `
+    @page{ size: letter portrait; margin: 12mm; }
+    *{ box-sizing: border-box; }
+    body{ font: 11px/1.4 system-ui, -apple-system, 'Segoe UI', Roboto, Arial, sans-serif; color: #333; max-width: 190mm; margin: 16px auto;
+      -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    h1{ font: 700 20px Georgia, serif; color: #27572B; margin: 0; }
+    h2{ font: 600 11px system-ui, sans-serif; color: #27572B; text-transform: uppercase; letter-spacing: .04em; margin: 12px 0 4px; }
+    .sub, .note, footer{ color: #666; }
+    .note{ margin: 4px 0 0; }
+    .filters, .legend{ display: flex; flex-wrap: wrap; gap: 2px 12px; list-style: none; margin: 4px 0 0; padding: 0; }
+    .top{ display: grid; grid-template-columns: 3fr 1fr; gap: 12px; align-items: start; }
+    .cols{ display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+    figure{ margin: 0; }
+    svg{ display: block; width: 100%; height: auto; }
+    svg text{ font: 10px system-ui, sans-serif; fill: #333; }
+    .map{ border: 1px solid #e5e5e5; }
+    .map text{ font-size: 14px; }
+    .swatch{ display: inline-block; width: 9px; height: 9px; border-radius: 2px; margin-right: 4px; vertical-align: -1px; }
+    dl{ display: grid; gap: 6px; margin: 0; }
+    dt{ color: #666; }
+    dd{ font: 600 16px system-ui, sans-serif; color: #27572B; margin: 0; }
+    table{ width: 100%; border-collapse: collapse; }
+    th, td{ text-align: left; padding: 3px 4px; border-bottom: 1px solid #e5e5e5; }
+    td.num{ text-align: right; font-variant-numeric: tabular-nums; }
+    .pct{ display: inline-block; width: 70px; height: 6px; background: #eee; border-radius: 3px; margin-left: 6px; vertical-align: middle; }
+    .pct span{ display: block; height: 100%; background: #8BA877; border-radius: 3px; }
+    .sources{ margin: 0; padding-left: 16px; }
+    a{ color: #27572B; }
+    footer{ margin-top: 12px; border-top: 1px solid #e5e5e5; padding-top: 4px; }
+    .print{ position: fixed; top: 8px; right: 8px; font: 600 12px system-ui, sans-serif; color: #fff; background: #27572B;
+      border: none; border-radius: 999px; padding: 8px 12px; cursor: pointer; }
+    @media print{
+      body{ margin: 0; }
+      .print{ display: none; }
+      section, figure{ break-inside: avoid; }
+      a{ text-decoration: none; }
+    }`;
+  const report = { id: null, name: '', html: '', camera: null };
+
+  // Resolves once the map has drawn everything it was asked to
+  function mapSettled(){
+    return new Promise(resolve => { map.once('idle', resolve); map.triggerRepaint(); });
+  }
+
+  async function openReport(id){
+    report.id = id;
+    report.html = '';
+    showFeedbackMsg('report-status', t('report.building'));
+    $('report-frame').hidden = true;
+    $('report-print').disabled = $('report-download').disabled = true;
+    openModal('modal-report');
+    // the camera moves to the neighbourhood while the report is built; a report started meanwhile
+    // keeps the one from before the first
+    report.camera ||= { center: map.getCenter(), zoom: map.getZoom(), bearing: map.getBearing(), pitch: map.getPitch() };
+    try{
+      // Vector neighbourhoods only hold loaded tiles, so every one seen before the camera moves
+      // counts towards the percentiles as well
+      const city = new Map(nbhdPolygons().map(n => [n.id, n]));
+      if (!city.has(id)) throw new Error('neighbourhood not loaded: ' + id);
+      const b = geometryBBox(city.get(id).geometry);
+      map.fitBounds([[b[0], b[1]], [b[2], b[3]]], { padding: 40, duration: 0 });
+      await mapSettled();
+      if (report.id !== id) return;
+      // the polygon itself is whole once its tiles are in view
+      for (const n of nbhdPolygons()) if (n.id === id || !city.has(n.id)) city.set(n.id, n);
+      const data = reportData(city.get(id), Array.from(city.values()));
+      report.name = data.name;
+      report.html = reportHTML(data);
+      $('report-frame').srcdoc = report.html;
+      $('report-frame').hidden = false;
+      showFeedbackMsg('report-status', '');
+      $('report-print').disabled = $('report-download').disabled = false;
+    }catch(e){
+      console.error('[report]', e);
+      if (report.id === id) showFeedbackMsg('report-status', t('report.failed'));
+    }finally{
+      if (report.id === id && report.camera){
+        map.jumpTo(report.camera);
+        report.camera = null;
+      }
+    }
+  }
+
+  // Mid-rank percentile: the share of values below, plus half of those tied
+  function percentileRank(value, values){
+    if (value == null || !values.length) return null;
+    let below = 0, tied = 0;
+    for (const v of values){ if (v < value) below++; else if (v === value) tied++; }
+    return 100 * (below + tied / 2) / values.length;
+  }
+  function metricRow(key, value, values){
+    const known = values.filter(v => v != null && isFinite(v));
+    return { key, value: value ?? null, percentile: percentileRank(value ?? null, known), median: median(known), count: known.length };
+  }
+
+  // Fellings per year, one count per cause; causes past REPORT_CAUSES are pooled as "other"
+  function causeSeries(fellings){
+    const causeOf = (p) => p?.cause || t('report.causeUnknown');
+    const totals = new Map();
+    for (const f of fellings) totals.set(causeOf(f.properties), (totals.get(causeOf(f.properties)) || 0) + 1);
+    const ranked = Array.from(totals).sort((a,b)=> b[1] - a[1]).map(([cause]) => cause);
+    const top = ranked.slice(0, REPORT_CAUSES);
+    const causes = ranked.length > REPORT_CAUSES ? [...top, t('report.other')] : top;
+    const byYear = new Map();
+    for (const f of fellings){
+      const y = fellYear(f.properties);
+      if (!isFinite(y)) continue;
+      const i = top.indexOf(causeOf(f.properties));
+      if (!byYear.has(y)) byYear.set(y, new Array(causes.length).fill(0));
+      byYear.get(y)[i < 0 ? REPORT_CAUSES : i]++;
+    }
+    return { causes, byYear };
+  }
+
+  // n is the neighbourhood, all every one known (n included)
+  function reportData(n, all){
+    const bbox = geometryBBox(n.geometry);
+    const within = (kind) => filteredFeatures(kind).filter(f => {
+      const [x, y] = f.geometry.coordinates;
+      return x >= bbox[0] && x <= bbox[2] && y >= bbox[1] && y <= bbox[3] && pointInGeometry([x, y], n.geometry);
+    });
+    const trees = within('trees'), fellings = within('fellings');
+    const species = new Map();
+    for (const f of trees){
+      const key = speciesKey(f.properties);
+      if (key) species.set(key, (species.get(key) || 0) + 1);
+    }
+    // Tree metrics are only ranked when every point is in memory; tiles cover the view alone
+    const metrics = nbhdMetricsFor();
+    const ranked = !isPMTiles('trees') && !isPMTiles('fellings');
+    const treeValues = (key) => ranked ? Array.from(metrics.values(), m => m[METRICS[key].prop]) : [];
+    return {
+      name: nbhdName(n.props), geometry: n.geometry, bbox, area: n.area,
+      zoom: map.getZoom(),
+      neighbours: all.filter(m => m.id !== n.id),
+      trees, fellings, species, causes: causeSeries(fellings),
+      replanting: metrics.get(n.id)?.replanting,
+      livability: metricsIn('livability').filter(metricAvailable)
+        .map(key => metricRow(key, metricValue(n.props, key), all.map(m => metricValue(m.props, key)))),
+      treeMetrics: metricsIn('trees').map(key => metricRow(key, metrics.get(n.id)?.[METRICS[key].prop], treeValues(key))),
+      ranked
+    };
+  }
+
+  // ---- Report pieces, as markup strings
+  function reportMapSVG({ bbox, geometry, neighbours, trees, fellings }){
+    const { W, H, pad } = REPORT_MAP;
+    const kx = Math.cos((bbox[1] + bbox[3]) / 2 * Math.PI / 180);
+    const spanX = Math.max((bbox[2] - bbox[0]) * kx, 1e-6), spanY = Math.max(bbox[3] - bbox[1], 1e-6);
+    const scale = Math.min((W - 2 * pad) / spanX, (H - 2 * pad) / spanY);   // px per degree of latitude
+    const ox = (W - spanX * scale) / 2, oy = (H - spanY * scale) / 2;
+    const px = ([lng, lat]) => [ox + (lng - bbox[0]) * kx * scale, oy + (bbox[3] - lat) * scale];
+    const path = (g) => polygonsOf(g).map(rings => rings.map(ring =>
+      'M' + ring.map(c => px(c).map(v => v.toFixed(1)).join(' ')).join('L') + 'Z').join('')).join('');
+    // What the drawing covers, to leave out neighbours entirely outside it
+    const west = bbox[0] - ox / (kx * scale), east = bbox[0] + (W - ox) / (kx * scale);
+    const north = bbox[3] + oy / scale, south = bbox[3] - (H - oy) / scale;
+    const around = neighbours.filter(m => {
+      const b = geometryBBox(m.geometry);
+      return b[0] < east && b[2] > west && b[1] < north && b[3] > south;
+    });
+    const dots = (features) => {
+      const step = Math.ceil(features.length / REPORT_MAX_POINTS);
+      let d = '';
+      for (let i = 0; i < features.length; i += step){
+        const [x, y] = px(features[i].geometry.coordinates);
+        d += `M${x.toFixed(1)} ${y.toFixed(1)}h0`;
+      }
+      return d;
+    };
+    // Scale bar of a round length near a fifth of the width
+    const mPerPx = 111320 / scale;
+    const target = mPerPx * W / 5, mag = 10 ** Math.floor(Math.log10(target));
+    const meters = [5, 2, 1].map(k => k * mag).find(v => v <= target) || mag;
+    const barPx = meters / mPerPx;
+    const barLabel = meters >= 1000 ? `${fmtNumber(meters / 1000)} km` : `${fmtNumber(meters)} m`;
+    return `<svg class="map" viewBox="0 0 ${W} ${H}" role="img" aria-label="${escapeHTML(t('report.map'))}">
+      <rect width="${W}" height="${H}" fill="#f4f1ea"/>
+      <path d="${around.map(m => path(m.geometry)).join('')}" fill="#ebe7df" stroke="#c9c2b5" stroke-width="1"/>
+      <path d="${path(geometry)}" fill="#e3efdc"/>
+      <path d="${dots(trees)}" stroke="${REPORT_COLORS.trees}" stroke-width="3" stroke-linecap="round" opacity=".7"/>
+      <path d="${dots(fellings)}" stroke="${REPORT_COLORS.fellings}" stroke-width="3.5" stroke-linecap="round" opacity=".85"/>
+      <path d="${path(geometry)}" fill="none" stroke="#27572B" stroke-width="2"/>
+      <rect x="${pad - 4}" y="${H - pad - 22}" width="${(barPx + 8).toFixed(1)}" height="26" fill="#fff" opacity=".8"/>
+      <path d="M${pad} ${H - pad - 4}v4h${barPx.toFixed(1)}v-4" fill="none" stroke="#333" stroke-width="1.5"/>
+      <text x="${pad}" y="${H - pad - 8}">${barLabel}</text>
+    </svg>`;
+  }
+
+  function reportSpeciesSVG(species){
+    const W = 320, row = 18, label = 130;
+    const sorted = Array.from(species).sort((a,b)=> b[1] - a[1]);
+    const total = sorted.reduce((s, [, n]) => s + n, 0);
+    const rows = sorted.slice(0, REPORT_SPECIES).map(([key, n]) => [speciesLabel(key), n]);
+    const rest = sorted.slice(REPORT_SPECIES).reduce((s, [, n]) => s + n, 0);
+    if (rest) rows.push([t('report.other'), rest]);
+    const room = W - label - 64, peak = Math.max(1, ...rows.map(r => r[1]));
+    const short = (s) => s.length > 22 ? s.slice(0, 21) + '…' : s;
+    return `<svg viewBox="0 0 ${W} ${rows.length * row}" role="img" aria-label="${escapeHTML(t('report.species'))}">${rows.map(([name, n], i) => {
+      const y = i * row, w = Math.max(1, n / peak * room);
+      return `<g><title>${escapeHTML(name)}: ${fmtNumber(n)}</title>
+        <text x="${label - 6}" y="${y + 13}" text-anchor="end">${escapeHTML(short(name))}</text>
+        <rect x="${label}" y="${y + 4}" width="${w.toFixed(1)}" height="${row - 7}" fill="${REPORT_COLORS.trees}"/>
+        <text x="${(label + w + 4).toFixed(1)}" y="${y + 13}">${fmtNumber(n / total, { style: 'percent', maximumFractionDigits: 0 })}</text></g>`;
+    }).join('')}</svg>`;
+  }
+
+  function reportCausesSVG({ causes, byYear }){
+    const years = Array.from(byYear.keys()).sort((a,b)=> a - b);
+    const min = years[0], max = years[years.length - 1], n = max - min + 1;
+    const W = 320, H = 120, axis = 14, left = 28;
+    const bw = (W - left) / n;
+    const peak = Math.max(1, ...Array.from(byYear.values(), v => v.reduce((s, x) => s + x, 0)));
+    const tick = n > 40 ? 10 : n > 12 ? 5 : n > 6 ? 2 : 1;
+    let bars = '';
+    for (let y = min; y <= max; y++){
+      const x = left + (y - min) * bw;
+      let top = H;
+      (byYear.get(y) || []).forEach((v, i) => {
+        if (!v) return;
+        const h = v / peak * (H - 4);
+        top -= h;
+        bars += `<rect x="${(x + bw * 0.1).toFixed(1)}" y="${top.toFixed(1)}" width="${(bw * 0.8).toFixed(1)}" height="${h.toFixed(1)}" fill="${CAUSE_COLORS[i]}"><title>${y} · ${escapeHTML(causes[i])}: ${fmtNumber(v)}</title></rect>`;
+      });
+      if (y % tick === 0) bars += `<text x="${(x + bw / 2).toFixed(1)}" y="${H + axis - 2}" text-anchor="middle">${y}</text>`;
+    }
+    return `<svg viewBox="0 0 ${W} ${H + axis}" role="img" aria-label="${escapeHTML(t('report.causes'))}">
+      <text x="${left - 4}" y="10" text-anchor="end">${fmtNumber(peak)}</text>
+      <path d="M${left} 0V${H}H${W}" fill="none" stroke="#999"/>${bars}</svg>
+      <ul class="legend">${causes.map((c, i) => `<li><span class="swatch" style="background:${CAUSE_COLORS[i]}"></span>${escapeHTML(c)}</li>`).join('')}</ul>`;
+  }
+
+  function reportMetricRows(rows){
+    const num = (v, key) => v == null ? '—' : fmtNumber(v, { maximumFractionDigits: METRICS[key].digits });
+    return rows.map(({ key, value, percentile, median: mid }) => `<tr>
+      <th scope="row">${escapeHTML(t(METRICS[key].label))}</th>
+      <td class="num">${num(value, key)}</td>
+      <td class="num">${num(mid, key)}</td>
+      <td>${percentile == null ? '—' : `${fmtNumber(percentile, { maximumFractionDigits: 0 })}<span class="pct"><span style="width:${percentile.toFixed(0)}%"></span></span>`}</td>
+    </tr>`).join('');
+  }
+
+  function reportHTML(d){
+    const title = `${t('report.title')} — ${d.name}`;
+    const num = (v, digits = 0) => v == null ? '—' : fmtNumber(v, { maximumFractionDigits: digits });
+    const count = d.livability.reduce((m, r) => Math.max(m, r.count), 0);
+    const sources = attributionSources.map(s => {
+      const name = escapeHTML([s.data, s.source].filter(Boolean).join(' — '));
+      const link = /^https?:\/\//.test(s.link || '') ? ` <a href="${escapeHTML(s.link)}">${escapeHTML(s.link)}</a>` : '';
+      return `<li>${name}${s.format ? ` (${escapeHTML(s.format)})` : ''}${link}</li>`;
+    }).join('');
+    const partial = ['trees', 'fellings', 'nbhd'].some(isPMTiles);
+    // vector points counted below their archive's last zoom, where tiles may thin them out
+    const thinned = ['trees', 'fellings'].filter(k => isPMTiles(k) && d.zoom < (SOURCES[k].maxzoom ?? POINTS_ZOOM));
+    const pointCount = (kind, list) => thinned.includes(kind) && !list.length ? '—' : num(list.length);
+    const none = (kind) => `<p class="note">${escapeHTML(t(thinned.includes(kind) ? 'report.notLoaded' : 'report.none'))}</p>`;
+    return `<!doctype html>
+<html lang="${i18n.lang}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<button class="print" type="button" onclick="print()">${escapeHTML(t('report.print'))}</button>
+<header>
+  <h1>${escapeHTML(title)}</h1>
+  <p class="sub">${escapeHTML(t('report.generated', { date: fmtDate(new Date()) }))}</p>
+  <ul class="filters">${filterSummary().map(line => `<li>${escapeHTML(line)}</li>`).join('')}</ul>
+</header>
+<section class="top">
+  <figure>
+    ${reportMapSVG(d)}
+    <figcaption><ul class="legend">
+      <li><span class="swatch" style="background:${REPORT_COLORS.trees}"></span>${escapeHTML(t('export.legendAlive'))}</li>
+      <li><span class="swatch" style="background:${REPORT_COLORS.fellings}"></span>${escapeHTML(t('export.legendFelled'))}</li>
+    </ul></figcaption>
+  </figure>
+  <dl>
+    <dt>${escapeHTML(t('export.legendAlive'))}</dt><dd>${pointCount('trees', d.trees)}</dd>
+    <dt>${escapeHTML(t('export.legendFelled'))}</dt><dd>${pointCount('fellings', d.fellings)}</dd>
+    <dt>${escapeHTML(t('report.area'))}</dt><dd>${num(d.area, 2)}</dd>
+    <dt>${escapeHTML(t('card.replanting'))}</dt><dd>${d.replanting?.judged
+      ? escapeHTML(t('card.replantingValue', { replaced: d.replanting.replaced, count: d.replanting.judged })) : '—'}</dd>
+  </dl>
+  ${thinned.length ? `<p class="note">${escapeHTML(t('report.thinned', { zoom: fmtNumber(d.zoom, { maximumFractionDigits: 1 }) }))}</p>` : ''}
+</section>
+<section>
+  <h2>${escapeHTML(t('report.metrics'))}</h2>
+  <table>
+    <thead><tr><th></th><th>${escapeHTML(t('report.value'))}</th><th>${escapeHTML(t('report.median'))}</th><th>${escapeHTML(t('report.percentile'))}</th></tr></thead>
+    <tbody>${reportMetricRows(d.livability)}${reportMetricRows(d.treeMetrics)}</tbody>
+  </table>
+  <p class="note">${escapeHTML(t('report.percentileNote', { count }))}${d.ranked ? '' : ' ' + escapeHTML(t('report.unranked'))}</p>
+</section>
+<section class="cols">
+  <div>
+    <h2>${escapeHTML(t('report.species'))}</h2>
+    ${d.species.size ? reportSpeciesSVG(d.species) : none('trees')}
+  </div>
+  <div>
+    <h2>${escapeHTML(t('report.causes'))}</h2>
+    ${d.causes.byYear.size ? reportCausesSVG(d.causes) : none('fellings')}
+  </div>
+</section>
+<section>
+  <h2>${escapeHTML(t('report.sources'))}</h2>
+  ${sources ? `<ul class="sources">${sources}</ul>` : '<p class="note">—</p>'}
+</section>
+<footer>${escapeHTML(t('report.footer'))}${partial ? ' ' + escapeHTML(t('report.partial')) : ''}</footer>
+</body>
+</html>`;
+  }
+
+  $('report-print').addEventListener('click', ()=> $('report-frame').contentWindow?.print());
+  $('report-download').addEventListener('click', ()=>{
+    if (!report.html) return;
+    const slug = fold(report.name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'nbhd';
+    downloadBlob(new Blob([report.html], { type:'text/html;charset=utf-8' }), exportFilename('report-' + slug, 'html'));
+  });
+
+  // ---------------- Offline ----------------
+  // sw.js caches the app shell, basemap tiles and PMTiles byte ranges as they are used; saving
+  // an area fetches everything the current view needs a few zoom levels deeper, through it.
+  const OFFLINE_EXTRA_ZOOMS = 3;
+  const OFFLINE_MAX_TILES = 3000;
+  const OFFLINE_CONCURRENCY = 6;
+  const offline = { running: false, cancelled: false };
+
+  if (!embedded && 'serviceWorker' in navigator && location.protocol.startsWith('http')){
+    navigator.serviceWorker.register(appUrl('sw.js')).catch(e => console.warn('[sw]', e));
+  }
+
+  function tileAt(lngLat, z){
+    const [x, y] = lngLatToWorld([lngLat.lng, Math.max(-85.05, Math.min(85.05, lngLat.lat))]);
+    const n = 2 ** z, clamp = (v) => Math.max(0, Math.min(n - 1, Math.floor(v * n)));
+    return [clamp(x), clamp(y)];
+  }
+  function tilesIn(bounds, minz, maxz){
+    const out = [];
+    for (let z = minz; z <= maxz; z++){
+      const [x0, y0] = tileAt(bounds.getNorthWest(), z), [x1, y1] = tileAt(bounds.getSouthEast(), z);
+      for (let x = x0; x <= x1; x++) for (let y = y0; y <= y1; y++) out.push([z, x, y]);
+    }
+    return out;
+  }
+
+  // One job per tile. Raster tiles are 256 px, so they run a zoom level ahead of the map's;
+  // archives stop at their own maxzoom, past which MapLibre overzooms.
+  function offlineJobs(){
+    const bounds = map.getBounds(), z = Math.floor(map.getZoom());
+    const template = map.getSource('basemap')?.tiles?.[0];
+    const basemap = template ? tilesIn(bounds, Math.max(0, z - 1), Math.min(z + 1 + OFFLINE_EXTRA_ZOOMS, 19))
+      .map(([tz, x, y]) => () => fetch(template.replace('{z}', tz).replace('{x}', x).replace('{y}', y))) : [];
+    const data = [], seen = new Set();
+    for (const [name, archive] of Object.entries(pmtilesArchives)){
+      if (seen.has(archive)) continue;   // shared by two sources
+      seen.add(archive);
+      const { minzoom = 0, maxzoom = z } = SOURCES[name];
+      for (const [tz, x, y] of tilesIn(bounds, minzoom, Math.min(maxzoom, z + OFFLINE_EXTRA_ZOOMS))){
+        data.push(() => archive.getZxy(tz, x, y));
+      }
+    }
+    return { basemap, data };
+  }
+
+  function refreshOfflineDialog(){
+    const { basemap, data } = offlineJobs();
+    const total = basemap.length + data.length;
+    $('offline-summary').textContent = t('offline.summary', { tiles: basemap.length, data: data.length });
+    const problem = !navigator.serviceWorker?.controller ? t('offline.unsupported')
+      : total > OFFLINE_MAX_TILES ? t('offline.tooMany', { max: OFFLINE_MAX_TILES }) : '';
+    showFeedbackMsg('offline-status', problem);
+    $('offline-start').disabled = !!problem || offline.running;
+  }
+  function openOffline(){
+    if (!offline.running){
+      $('offline-progress').hidden = true;
+      $('offline-done').hidden = true;
+    }
+    refreshOfflineDialog();
+    openModal('modal-offline');
+  }
+
+  async function saveAreaOffline(){
+    const { basemap, data } = offlineJobs();
+    const jobs = [...basemap, ...data];
+    const bar = $('offline-progress');
+    let done = 0, failed = 0, next = 0;
+    Object.assign(offline, { running: true, cancelled: false });
+    bar.max = jobs.length; bar.value = 0; bar.hidden = false;
+    $('offline-done').hidden = true;
+    $('offline-start').disabled = true;
+    $('offline-cancel').hidden = false;
+    const worker = async () => {
+      while (next < jobs.length && !offline.cancelled){
+        const job = jobs[next++];
+        try{
+          const res = await job();
+          if (res && res.ok === false) failed++;
+        }catch(e){
+          failed++;
+        }
+        bar.value = ++done;
+      }
+    };
+    await Promise.all(Array.from({ length: OFFLINE_CONCURRENCY }, worker));
+    offline.running = false;
+    $('offline-cancel').hidden = true;
+    $('offline-done').textContent = offline.cancelled ? t('offline.cancelled', { count: done })
+      : failed ? t('offline.failed', { count: failed }) : t('offline.done', { count: done });
+    $('offline-done').hidden = false;
+    refreshOfflineDialog();
+  }
+  $('btn-offline')?.addEventListener('click', openOffline);
+  $('offline-start').addEventListener('click', saveAreaOffline);
+  $('offline-cancel').addEventListener('click', ()=>{ offline.cancelled = true; });
+
+  // ---------------- URL state ----------------
+  // #map=zoom/lat/lng[/bearing/pitch]&plant=1990-2010&fell=2019-2022&layers=alive,felled
+  //   &sp=FRPE,FRAM&h=5-20&cause=…&unk=1&mode=hexbin&overlay=heat&cls=jenks&pal=viridis&lang=fr&sel=felled:-73.61,45.55 | sel=nbhd:12
+  // Filter, layer and selection changes push a history entry; camera moves only replace it.
+  let restoringState = true;
+  let hashTimer = null, hashPush = false;
+
+  function readHashState(){
+    const params = new URLSearchParams(location.hash.slice(1));
+    const range = (v) => { const m = /^(\d{4})-(\d{4})$/.exec(v || ''); return m ? [+m[1], +m[2]] : null; };
+    const cam = (params.get('map') || '').split('/').map(Number);
+    const hasCam = cam.length >= 3 && cam.slice(0,3).every(isFinite);
+    let sel = null;
+    const m = /^(alive|felled|nbhd):(.+)$/.exec(params.get('sel') || '');
+    if (m && m[1] === 'nbhd') sel = { kind:'nbhd', id: m[2] };
+    else if (m){
+      const [lng, lat] = m[2].split(',').map(Number);
+      if (isFinite(lng) && isFinite(lat)) sel = { kind: m[1], lngLat: [lng, lat] };
+    }
+    return {
+      camera: hasCam ? { zoom: cam[0], center: [cam[2], cam[1]], bearing: cam[3] || 0, pitch: cam[4] || 0 } : null,
+      plant: range(params.get('plant')),
+      fell: range(params.get('fell')),
+      layers: params.has('layers') ? params.get('layers').split(',').filter(Boolean) : null,
+      species: (params.get('sp') || '').split(',').filter(Boolean),
+      height: /^(\d*\.?\d*)-(\d*\.?\d*)$/.test(params.get('h') || '')
+        ? params.get('h').split('-').map(v => v === '' ? null : +v) : null,
+      causes: params.has('cause') ? params.get('cause').split(',').map(decodeURIComponent).filter(Boolean) : [],
+      unknownYear: params.get('unk') === '1',
+      match: /^(\d+\.?\d*)-(\d+)$/.test(params.get('match') || '') ? params.get('match').split('-').map(Number) : null,
+      mode: params.get('mode') || null,
+      pointStyle: params.get('pst') || null,
+      overlay: params.get('overlay') || null,
+      zones: (params.get('zones') || '').split(',').filter(Boolean),
+      classification: params.get('cls') || null,
+      palette: params.get('pal') || null,
+      lang: params.get('lang') || null,
+      sel
+    };
+  }
+
+  // The same state from TreeMTL.create options (see Embedding); anything left out is the default
+  function stateFromOptions(o){
+    const range = (r) => Array.isArray(r) && r.length === 2 && r.every(Number.isFinite) ? r.slice() : null;
+    const f = o.filters || {}, v = o.view;
+    return {
+      camera: v?.center ? { center: v.center, zoom: v.zoom ?? 14, bearing: v.bearing || 0, pitch: v.pitch || 0 } : null,
+      plant: range(f.planted),
+      fell: range(f.felled),
+      layers: Array.isArray(o.layers) ? o.layers.slice() : null,
+      species: Array.from(f.species || []),
+      height: Array.isArray(f.height) ? f.height.slice(0, 2) : null,   // either end may be null
+      causes: Array.from(f.causes || []),
+      unknownYear: !!f.unknownYear,
+      match: null,
+      mode: o.mode || null,
+      pointStyle: o.pointStyle || null,
+      overlay: o.overlay || null,
+      zones: Array.from(o.zones || []),
+      classification: null,
+      palette: null,
+      lang: o.lang || null,
+      sel: null
+    };
+  }
+
+  function serializeState(){
+    const parts = [];
+    const c = map.getCenter(), z = map.getZoom(), br = map.getBearing(), pt = map.getPitch();
+    let cam = `${z.toFixed(2)}/${c.lat.toFixed(5)}/${c.lng.toFixed(5)}`;
+    if (br || pt) cam += `/${br.toFixed(1)}/${pt.toFixed(0)}`;
+    parts.push('map=' + cam);
+    const range = (a, b) => {
+      const lo = $(a), hi = $(b);
+      return (lo.value === lo.defaultValue && hi.value === hi.defaultValue) ? null : `${lo.value}-${hi.value}`;
+    };
+    const plant = range('plant-year-min', 'plant-year-max');
+    const fell = range('fell-year-min', 'fell-year-max');
+    if (plant) parts.push('plant=' + plant);
+    if (fell) parts.push('fell=' + fell);
+    const alive = $('chk-show-alive'), felled = $('chk-show-fell'), unreplaced = $('chk-unreplaced'), stationsBox = $('chk-stations');
+    if (alive.checked !== alive.defaultChecked || felled.checked !== felled.defaultChecked || unreplaced.checked || stationsBox.checked){
+      parts.push('layers=' + [alive.checked && 'alive', felled.checked && 'felled', unreplaced.checked && 'unreplaced',
+        stationsBox.checked && 'stations'].filter(Boolean).join(','));
+    }
+    const dist = $('match-distance'), win = $('match-window');
+    if (dist.value !== dist.defaultValue || win.value !== win.defaultValue){
+      const { distance, windowYears } = matchSettings();
+      parts.push(`match=${distance}-${windowYears}`);
+    }
+    if (filters.species.size) parts.push('sp=' + Array.from(filters.species, encodeURIComponent).join(','));
+    if (filters.height) parts.push('h=' + filters.height.map(v => v ?? '').join('-'));
+    if (filters.causes.size) parts.push('cause=' + encodeURIComponent(Array.from(filters.causes, encodeURIComponent).join(',')));
+    if (filters.unknownYear) parts.push('unk=1');
+    if ($('density-mode').value !== 'clusters') parts.push('mode=' + $('density-mode').value);
+    if (pointStyle.mode !== 'plain') parts.push('pst=' + pointStyle.mode);
+    if ($('chk-overlay').checked) parts.push('overlay=' + $('overlay-metric').value);
+    const zonesOn = Object.keys(ZONE_OVERLAYS).filter(name => $('chk-zone-' + name).checked);
+    if (zonesOn.length) parts.push('zones=' + zonesOn.join(','));
+    for (const [key, id] of [['cls', 'overlay-class'], ['pal', 'overlay-palette']]){
+      const sel = $(id);
+      if (!sel.selectedOptions[0]?.defaultSelected) parts.push(`${key}=${sel.value}`);
+    }
+    parts.push('lang=' + i18n.lang);
+    if (selection?.kind === 'nbhd') parts.push('sel=nbhd:' + encodeURIComponent(selection.id));
+    else if (selection) parts.push(`sel=${selection.kind}:${selection.lngLat.map(v=>v.toFixed(6)).join(',')}`);
+    return parts.join('&');
+  }
+
+  // Embeds have no hash of their own; their links open the full page
+  function shareLink(){
+    return (useHash ? location.href.split('#')[0] : appUrl('./')) + '#' + serializeState();
+  }
+
+  function scheduleHashWrite(push){
+    if (restoringState || !useHash) return;
+    hashPush = hashPush || push;
+    clearTimeout(hashTimer);
+    hashTimer = setTimeout(()=>{
+      const hash = '#' + serializeState();
+      if (hash !== location.hash) history[hashPush ? 'pushState' : 'replaceState'](null, '', hash);
+      hashPush = false;
+    }, 250);
+  }
+
+  // Form controls only; safe to run before the map has loaded
+  function applyStateToControls(st){
+    const setRange = (a, b, r) => {
+      $(a).value = r ? r[0] : $(a).defaultValue;
+      $(b).value = r ? r[1] : $(b).defaultValue;
+    };
+    setRange('plant-year-min', 'plant-year-max', st.plant);
+    setRange('fell-year-min', 'fell-year-max', st.fell);
+    const alive = $('chk-show-alive'), felled = $('chk-show-fell');
+    alive.checked  = st.layers ? st.layers.includes('alive')  : alive.defaultChecked;
+    felled.checked = st.layers ? st.layers.includes('felled') : felled.defaultChecked;
+    $('chk-unreplaced').checked = !!st.layers?.includes('unreplaced');
+    for (const [i, id] of [[0, 'match-distance'], [1, 'match-window']]) $(id).value = st.match ? st.match[i] : $(id).defaultValue;
+    const modeSel = $('density-mode');
+    modeSel.value = Array.from(modeSel.options).some(o=> o.value === st.mode) ? st.mode : 'clusters';
+    $('point-style').value = STYLE_KINDS[st.pointStyle] ? st.pointStyle : 'plain';
+    const metricSel = $('overlay-metric');
+    const known = st.overlay && Array.from(metricSel.options).some(o=> o.value === st.overlay);
+    $('chk-overlay').checked = !!known;
+    metricSel.value = known ? st.overlay : Array.from(metricSel.options).find(o=> o.defaultSelected)?.value || 'heat';
+    for (const [id, v] of [['overlay-class', st.classification], ['overlay-palette', st.palette]]){
+      const sel = $(id);
+      sel.value = Array.from(sel.options).some(o=> o.value === v) ? v : Array.from(sel.options).find(o=> o.defaultSelected).value;
+    }
+    $('lang-select').value = i18n.catalogs[st.lang] ? st.lang : detectLanguage();
+    filters.species = new Set(st.species);
+    filters.height = st.height?.some(v => v != null) ? st.height : null;
+    filters.causes = new Set(st.causes);
+    filters.unknownYear = st.unknownYear;
+    writeFilterControls();
+    updateSpeciesListUI();
+  }
+
+  // Layer filters, visibility and selection; needs the map's layers
+  function applyStateToMap(st){
+    applyFilters();
+    syncSpeciesChecks();
+    if (!st.sel) clearSelection();
+    updateDensityLayers();
+    setPointStyle($('point-style').value);
+    setOverlay($('chk-overlay').checked);
+    for (const name of Object.keys(ZONE_OVERLAYS)) setZone(name, st.zones.includes(name));
+    setStationsLayer(!!st.layers?.includes('stations'));
+    scheduleReplanting();
+    applyLanguage();
+    selection = st.sel;
+    if (st.sel) map.once('idle', ()=> restoreSelection(st.sel));
+  }
+
+  // Run fn without recording its filter/selection changes in the history
+  function withoutHistory(fn){
+    const wasRestoring = restoringState;
+    restoringState = true;
+    try{ fn(); } finally { restoringState = wasRestoring; }
+  }
+
+  // Re-select without pushing a new history entry
+  function restoreSelection(sel){
+    withoutHistory(()=>{
+      if (sel.kind === 'nbhd') selectNbhdById(sel.id);
+      else {
+        const kind = sel.kind === 'alive' ? 'trees' : 'fellings';
+        const hit = nearIndex(kind).nearest(sel.lngLat, 1, 3)[0];
+        selectTree(hit ? hit.f : { type:'Feature', properties:{}, geometry:{ type:'Point', coordinates: sel.lngLat } }, sel.kind);
+      }
+    });
+  }
+
+  function selectNbhdById(id){
+    const match = (f) => String(f.properties?.gid ?? f.properties?.nbhd_name) === String(id);
+    const f = rawNbhd?.features?.find(match) || map.querySourceFeatures('nbhd', { sourceLayer: sourceLayer('nbhd') }).find(match);
+    if (f) handleNbhdClick({ features:[f] });
+  }
+
+  if (useHash) window.addEventListener('popstate', ()=>{
+    const st = readHashState();
+    restoringState = true;
+    applyStateToControls(st);
+    applyStateToMap(st);
+    if (st.camera) map.jumpTo(st.camera);
+    restoringState = false;
+  }, bound);
+  map.on('moveend', ()=> scheduleHashWrite(false));
+
+  // ---------- Controls wiring ----------
+  function showTab(name){
+    root.querySelectorAll('.tabs .tab').forEach(t=> t.classList.toggle('active', t.dataset.tab === name));
+    root.querySelectorAll('.tabpanes .pane').forEach(p=> p.classList.toggle('active', p.id === 'pane-' + name));
+    $('sidebar').classList.remove('collapsed');
+    if (name === 'life') updateLifeStats();
+    if (name === 'nbhd') drawScatter();
+    if (name === 'list') list.dirty ? refreshList() : renderList();
+  }
+  root.querySelectorAll('.tabs .tab').forEach(tab=>{
+    tab.addEventListener('click', ()=> showTab(tab.dataset.tab));
+  });
+
+  $('chk-show-alive')?.addEventListener('change', (e)=>{
+    updateDensityLayers();
+    scheduleList();
+    scheduleHashWrite(true);
+  });
+  $('chk-show-fell')?.addEventListener('change', (e)=>{
+    updateDensityLayers();
+    scheduleList();
+    scheduleHashWrite(true);
+  });
+
+  // Language
+  $('lang-select')?.addEventListener('change', ()=>{
+    localStorage.setItem('tree-mtl:lang', $('lang-select').value);
+    applyLanguage();
+    scheduleHashWrite(true);
+  });
+
+  // Re-render everything language-dependent in place; filters and selection are untouched
+  function applyLanguage(){
+    setLanguage($('lang-select').value);
+    updateSpeciesListUI();
+    if (!$('species-panel').hidden) renderSpeciesList();
+    renderFilterChips();
+    if ($('filters-more').open) renderCauseOptions();
+    // Refresh legend language
+    const metricVal = $('overlay-metric')?.value || 'heat';
+    setLegend(metricVal);
+    updateLegendEdgeLabels($('chk-overlay')?.checked ?? false);
+    if (pointStyle.mode === 'sigle') pointStyle.classes = styleClasses('sigle');   // labels carry species names
+    renderPointLegend();
+    cardRenderer?.();
+    updateLifeStats();
+    if (nearCenter) runNearSearch();
+    setPlayButton();
+    setRecordButton();
+    if (!$('timeline').hidden) drawTimelineChart();
+    if ($('pane-nbhd').classList.contains('active')) drawScatter();
+    if (areas.length){ syncAreaSource(); renderAreas(); }
+    if (gaps.length) renderGaps();
+    if (listShown()) refreshList();
+    if (compare.map){ writeCompareControls(); refreshCompare(); }
+    if (!$('modal-station').hidden) renderStation();
+    if (!$('modal-feedback').hidden) fillSpeciesOptions();
+    if (!$('modal-export').hidden) refreshExportDialog();
+    if (!$('modal-report').hidden && report.id != null) openReport(report.id);
+    refreshQueueButton();
+  }
+
+  // ---------------- Public API ----------------
+  // What TreeMTL.create resolves to, and what the iframe bridge relays. The instance is an
+  // EventTarget: treeselect, nbhdselect and filterchange arrive as CustomEvents whose detail
+  // is plain data. Setters go through the same controls as the UI and resolve once the
+  // filtered data has been redrawn.
+  const API_LAYERS = { alive:'chk-show-alive', felled:'chk-show-fell', unreplaced:'chk-unreplaced', stations:'chk-stations' };
+  const FLY_ZOOM = 17;
+  const FLY_RADIUS_M = 25;
+
+  function filterSnapshot(){
+    return {
+      planted: filters.plant.slice(), felled: filters.fell.slice(),
+      species: Array.from(filters.species), height: filters.height?.slice() ?? null,
+      causes: Array.from(filters.causes), unknownYear: filters.unknownYear
+    };
+  }
+  // Changes a control the way a user would, so its own listener does the work
+  function setControl(id, prop, value){
+    const el = $(id);
+    if (el[prop] === value) return;
+    el[prop] = value;
+    el.dispatchEvent(new Event('change'));
+  }
+
+  const api = Object.assign(events, {
+    map,
+    // kind is 'planted' or 'felled'; the range is clamped to the inputs' own bounds
+    setYearRange(kind, from, to){
+      const prefix = { planted:'plant', felled:'fell' }[kind];
+      if (!prefix) throw new Error(`setYearRange: unknown kind "${kind}"`);
+      const lo = $(prefix + '-year-min'), hi = $(prefix + '-year-max');
+      const clamp = (v, el) => Math.max(+el.min, Math.min(+el.max, Number.isFinite(+v) ? +v : +el.defaultValue));
+      lo.value = Math.min(clamp(from, lo), clamp(to, hi));
+      hi.value = Math.max(clamp(from, lo), clamp(to, hi));
+      syncYearLabels();
+      return applyFilters();
+    },
+    // Sigles; an empty list shows every species
+    setSpecies(sigles = []){
+      return filterSpecies(sigles);
+    },
+    // A metric of the overlay select, or null to hide the overlay
+    setOverlay(metric){
+      if (metric && !Array.from($('overlay-metric').options).some(o => o.value === metric)){
+        throw new Error(`setOverlay: unknown metric "${metric}"`);
+      }
+      if (metric) setControl('overlay-metric', 'value', metric);
+      setControl('chk-overlay', 'checked', !!metric);
+    },
+    // { alive, felled, unreplaced, stations }: booleans; names left out keep their state
+    setLayers(layers = {}){
+      for (const [name, on] of Object.entries(layers)){
+        if (API_LAYERS[name]) setControl(API_LAYERS[name], 'checked', !!on);
+      }
+    },
+    // 'plain', 'genus', 'sigle', 'age', 'height' or 'cause'
+    setPointStyle(mode){
+      if (!STYLE_KINDS[mode] && mode !== 'plain') throw new Error(`setPointStyle: unknown style "${mode}"`);
+      setControl('point-style', 'value', mode);
+    },
+    setLanguage(code){
+      if (!i18n.catalogs[code]) throw new Error(`setLanguage: no catalog for "${code}"`);
+      setControl('lang-select', 'value', code);
+    },
+    // Flies to [lng, lat] and selects the nearest tree (or felling) shown there; resolves to its
+    // properties, or null when nothing passes the filters within FLY_RADIUS_M
+    async flyToTree(lngLat, kind = 'alive'){
+      const dataKind = kind === 'felled' ? 'fellings' : 'trees';
+      map.flyTo({ center: lngLat, zoom: Math.max(map.getZoom(), FLY_ZOOM) });
+      await new Promise(resolve => map.once('idle', resolve));
+      const hit = nearIndex(dataKind).nearest(lngLat, 1, FLY_RADIUS_M)[0];
+      if (!hit) return null;
+      selectTree(hit.f, kind);
+      return { ...hit.f.properties };
+    },
+    // Counts behind the active filters, city-wide and in view. Vector sources only count what
+    // their loaded tiles hold, as everywhere else in the app.
+    getStats(){
+      const count = (kind, bounds = null) => filteredFeatures(kind, { bounds }).length;
+      const bounds = map.getBounds();
+      return {
+        filters: filterSnapshot(),
+        trees: count('trees'), fellings: count('fellings'),
+        inView: { trees: count('trees', bounds), fellings: count('fellings', bounds) },
+        view: { center: map.getCenter().toArray(), zoom: map.getZoom() },
+        selection: selection && { ...selection }
+      };
+    },
+    on(type, listener){ events.addEventListener(type, listener); return api; },
+    off(type, listener){ events.removeEventListener(type, listener); return api; },
+    destroy(){
+      closeCompare();
+      map.remove();
+      dataWorker.terminate();
+      lifetime.abort();
+      if (embedded) root.replaceChildren();
+    }
+  });
 
   // Init
-  applyYearFilters();
+  applyFilters();
   loadAttribution();
-});
+  flushFeedbackQueue();
+  if (options.frame) serveFrame(api, options.frame, options.frameParent);
+  return api;
+}
+
+// ---------------- Embedding ----------------
+// Partner pages load maplibre-gl.js, pmtiles.js and this script, then:
+//   const trees = await TreeMTL.create(element, {
+//     sources: { trees: 'https://…/trees.pmtiles' },    // over sources.json, relative to the page
+//     view: { center: [-73.57, 45.50], zoom: 13 },      // else the data's bounds
+//     lang: 'fr', ui: false,                            // ui:false keeps only the map
+//     layers: ['alive', 'felled'], overlay: 'heat', mode: 'hexbin', pointStyle: 'genus',
+//     filters: { planted: [2000, 2020], felled: [2019, 2024], species: ['FRPE'], causes: [], unknownYear: false }
+//   });
+//   trees.addEventListener('treeselect', (e) => console.log(e.detail));
+// Each instance gets a shadow root holding its own copy of index.html's markup and styles, so
+// element ids never meet the page's or another instance's. With iframe: true the app runs in
+// an iframe of index.html instead; the instance is then a stand-in whose methods all return
+// promises, with calls, results and events crossing over postMessage.
+const FRAME_METHODS = ['setYearRange', 'setSpecies', 'setOverlay', 'setLayers', 'setPointStyle', 'setLanguage', 'flyToTree', 'getStats'];
+const FRAME_EVENTS = ['treeselect', 'nbhdselect', 'filterchange'];
+const FRAME_TIMEOUT_MS = 60000;   // for the iframe to load its data and say it is ready
+let sharedProtocol = null;
+let appMarkup = null;   // promise of the parsed index.html, fetched once for every embed
+let frameSeq = 0;
+
+function sharedPMTilesProtocol(){
+  if (!sharedProtocol && typeof pmtiles !== 'undefined'){
+    sharedProtocol = new pmtiles.Protocol();
+    maplibregl.addProtocol('pmtiles', sharedProtocol.tile);
+  }
+  return sharedProtocol;
+}
+
+// Workers have to come from the page's origin; elsewhere a same-origin stub imports the script.
+// Relative URLs in there would resolve against the stub's blob: URL, so it leaves the real one
+// in self.scriptUrl.
+function workerAt(url){
+  if (new URL(url).origin === location.origin) return new Worker(url);
+  const stub = new Blob([`self.scriptUrl = ${JSON.stringify(url)}; importScripts(self.scriptUrl);`], { type: 'text/javascript' });
+  return new Worker(URL.createObjectURL(stub));
+}
+
+function loadScript(src){
+  return new Promise((resolve, reject) => {
+    const script = Object.assign(document.createElement('script'), { src, onload: resolve, onerror: reject });
+    document.head.append(script);
+  });
+}
+
+async function create(container, options = {}){
+  const host = (typeof container === 'string') ? document.querySelector(container) : container;
+  if (!host) throw new Error(`TreeMTL.create: no element for ${container}`);
+  if (options.iframe) return createFrame(host, options);
+  appMarkup ||= fetch(appUrl('index.html'))
+    .then(res => { if (!res.ok) throw new Error(res.status + ' ' + res.statusText); return res.text(); })
+    .then(html => new DOMParser().parseFromString(html, 'text/html'));
+  const doc = await appMarkup;
+  // The page may not have loaded MapLibre or PMTiles itself
+  const present = (src) => /maplibre-gl/.test(src) ? typeof maplibregl !== 'undefined'
+    : /pmtiles/.test(src) ? typeof pmtiles !== 'undefined'
+    : src === appUrl('app.js') || Array.from(document.scripts).some(s => s.src === src);
+  for (const script of doc.querySelectorAll('script[src]')){
+    const src = new URL(script.getAttribute('src'), APP_BASE).href;
+    if (!present(src)) await loadScript(src);
+  }
+  // a destroyed instance leaves its (emptied) shadow root behind, and hosts only ever get one
+  if (host.shadowRoot?.hasChildNodes()) throw new Error('TreeMTL.create: the element already holds an instance; destroy() it first');
+  const shadow = host.shadowRoot || host.attachShadow({ mode: 'open' });
+  for (const link of doc.querySelectorAll('link[rel="stylesheet"]')){
+    const href = new URL(link.getAttribute('href'), APP_BASE).href;
+    const sheet = Object.assign(document.createElement('link'), { rel: 'stylesheet', href });
+    // @font-face rules only register from the document
+    if (/fonts\.googleapis\.com/.test(href)){
+      if (!document.querySelector(`link[href="${href}"]`)) document.head.append(sheet);
+    } else shadow.append(sheet);
+  }
+  const app = Object.assign(document.createElement('div'), { className: 'app-embed' });
+  app.append(...Array.from(doc.body.children, el => document.importNode(el, true)).filter(el => el.tagName !== 'SCRIPT'));
+  shadow.append(app);
+  const feedbackEndpoint = doc.querySelector('meta[name="feedback-endpoint"]')?.content.trim() || '';
+  return startApp(shadow, { feedbackEndpoint, ...options, hash: options.hash ?? false });
+}
+
+// The page's side of iframe mode. Sources are resolved here, against the embedding page.
+function createFrame(host, { iframe, ...options }){
+  const id = 'treemtl-' + (++frameSeq);
+  if (options.sources){
+    options.sources = Object.fromEntries(Object.entries(options.sources).map(([name, def]) => {
+      const src = (typeof def === 'string') ? { url: def } : { ...def };
+      src.url = new URL(String(src.url).replace(/^pmtiles:\/\//, ''), location.href).href;
+      return [name, src];
+    }));
+  }
+  const url = new URL(appUrl('index.html'));
+  url.searchParams.set('embed', id);
+  url.searchParams.set('options', JSON.stringify(options));
+  // the only origin the frame will take calls from and send results and events to
+  url.searchParams.set('parent', location.origin);
+  const frame = Object.assign(document.createElement('iframe'), { src: url.href, title: 'Tree MTL', allow: 'geolocation' });
+  frame.style.cssText = 'border:0; width:100%; height:100%; display:block;';
+
+  const instance = new EventTarget();
+  const calls = new Map();   // seq → { resolve, reject }
+  let seq = 0;
+  const call = (method, args) => new Promise((resolve, reject) => {
+    calls.set(++seq, { resolve, reject });
+    frame.contentWindow.postMessage({ treemtl: id, seq, call: method, args }, url.origin);
+  });
+  for (const method of FRAME_METHODS) instance[method] = (...args) => call(method, args);
+  instance.frame = frame;
+  instance.on = (type, listener) => { instance.addEventListener(type, listener); return instance; };
+  instance.off = (type, listener) => { instance.removeEventListener(type, listener); return instance; };
+
+  return new Promise((resolve, reject) => {
+    // a frame that never loads (or never finishes starting) sends nothing at all
+    const timer = setTimeout(()=>{
+      instance.destroy();
+      reject(new Error(`TreeMTL.create: the frame did not start within ${FRAME_TIMEOUT_MS / 1000} s`));
+    }, FRAME_TIMEOUT_MS);
+    const onMessage = ({ source, origin, data }) => {
+      if (source !== frame.contentWindow || origin !== url.origin || data?.treemtl !== id) return;
+      if (data.ready || data.failed) clearTimeout(timer);
+      if (data.ready) resolve(instance);
+      else if (data.failed) reject(new Error(data.failed));
+      else if (data.event) instance.dispatchEvent(new CustomEvent(data.event, { detail: data.detail }));
+      else if (calls.has(data.seq)){
+        const { resolve: done, reject: fail } = calls.get(data.seq);
+        calls.delete(data.seq);
+        'error' in data ? fail(new Error(data.error)) : done(data.result);
+      }
+    };
+    window.addEventListener('message', onMessage);
+    instance.destroy = () => {
+      clearTimeout(timer);
+      window.removeEventListener('message', onMessage);
+      // nothing will answer calls still in flight
+      for (const { reject: fail } of calls.values()) fail(new Error('TreeMTL: the instance was destroyed'));
+      calls.clear();
+      frame.remove();
+    };
+    host.append(frame);
+  });
+}
+
+// The iframe's side: only its parent, at the origin createFrame passed along, may call in, and
+// only the listed methods. Results and events go to that origin alone; without one, to this
+// frame's own.
+const frameParentOrigin = (origin) => origin || location.origin;
+function serveFrame(api, id, parentOrigin){
+  const target = frameParentOrigin(parentOrigin);
+  const reply = (msg) => window.parent.postMessage({ treemtl: id, ...msg }, target);
+  window.addEventListener('message', async ({ source, origin, data }) => {
+    if (source !== window.parent || origin !== target || data?.treemtl !== id || !data.call) return;
+    try{
+      if (!FRAME_METHODS.includes(data.call)) throw new Error(`Unknown method "${data.call}"`);
+      reply({ seq: data.seq, result: await api[data.call](...(data.args || [])) });
+    }catch(e){
+      reply({ seq: data.seq, error: String(e?.message || e) });
+    }
+  });
+  for (const type of FRAME_EVENTS) api.addEventListener(type, (e) => reply({ event: type, detail: e.detail }));
+  reply({ ready: true });
+}
+
+window.TreeMTL = { create };
+
+if (AUTOSTART){
+  document.addEventListener('DOMContentLoaded', () => {
+    // iframe mode loads index.html?embed=<id>&options=<json>
+    const params = new URLSearchParams(location.search);
+    const frame = params.get('embed'), frameParent = params.get('parent');
+    if (!frame){ startApp(document); return; }
+    let options = {};
+    try{ options = JSON.parse(params.get('options') || '{}'); }catch(e){ console.warn('[embed] unreadable options', e); }
+    startApp(document, { ...options, hash: false, frame, frameParent }).catch(e => {
+      window.parent.postMessage({ treemtl: frame, failed: String(e?.message || e) }, frameParentOrigin(frameParent));
+      throw e;
+    });
+  });
+}
+})();
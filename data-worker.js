@@ -0,0 +1,534 @@
+// Data worker for the in-memory point sources: fetches and parses the inventories (GeoJSON,
+// FlatGeobuf or CSV), flattens them, indexes them by year, species and space, and answers
+// filter and aggregate queries for app.js. Results are feature indices (or counts) in
+// transferable typed arrays; the main thread keeps its own copy of the features, which 'load'
+// hands over as columns (see packFeatures). 'read' parses any other source (the
+// neighbourhoods) without indexing it, and 'table' reads a reference table (the species
+// profiles) as plain rows.
+//
+// Messages in:  { id, type:'load', kind, source }      source: a sources.json entry
+//               { id, type:'read', name, source }
+//               { id, type:'table', name, source }
+//               { id, type:'filter', kind, filters, years, bounds }
+//               { id, type:'aggregate', kind, by:'year', filters, years, bounds }
+//               { id, type:'match', distance, windowYears, fellings?, trees? }   see matchReplanting
+//               { id, type:'airLoad', source }                 hourly RSQA readings, once
+//               { id, type:'airSeries', station, thresholds }  daily/monthly means for one station
+//               { type:'cancel', id }   drops a query that has not started yet
+// Messages out: { id, ...result } or { id, error }
+
+const GRID_DEG = 0.005;   // spatial index cell, roughly 400 × 550 m at Montréal's latitude
+
+// flatgeobuf 3.38.0, vendored (BSD-3-Clause, see vendor/) so it works offline. Resolved against
+// this script, which may be running under workerAt's blob: stub in app.js.
+const FLATGEOBUF_JS = new URL('vendor/flatgeobuf-geojson.min.js', self.scriptUrl || self.location.href).href;
+
+const datasets = {};      // kind → { features, index }
+const queue = [];
+let draining = false;
+
+// ------------- Helpers (same rules as app.js) -------------
+function speciesKey(p){ return p?.sigle || p?.sp_sigle || null; }
+function plantYear(p){ return +(p?.plant_year || NaN); }   // 0, '' and missing are unknown
+function fellYear(p){ return +(p?.removal_year || String(p?.removal_date||'').slice(0,4) || NaN); }
+
+function flattenPoints(fc) {
+  if (!fc || !fc.features) return { type:'FeatureCollection', features: [] };
+  const out = [];
+  for (const f of fc.features) {
+    const g = f && f.geometry;
+    if (!g) continue;
+    if (g.type === 'Point') {
+      const [x,y] = g.coordinates || [];
+      if (isFinite(x)&&isFinite(y)) out.push(f);
+    } else if (g.type === 'MultiPoint') {
+      for (const c of g.coordinates || []) {
+        if (!Array.isArray(c)) continue;
+        const [x,y]=c; if (!isFinite(x)||!isFinite(y)) continue;
+        out.push({ type:'Feature', properties:{...(f.properties||{})}, geometry:{ type:'Point', coordinates:[x,y] }});
+      }
+    } else if (g.type === 'GeometryCollection') {
+      for (const gg of g.geometries || []) {
+        if (!gg || gg.type !== 'Point') continue;
+        const [x,y] = gg.coordinates || [];
+        if (isFinite(x)&&isFinite(y)) out.push({ type:'Feature', properties:{...(f.properties||{})}, geometry:gg });
+      }
+    }
+  }
+  return { type:'FeatureCollection', features: out };
+}
+
+// ------------- Formats -------------
+// RFC 4180 rows; the delimiter is whichever of , ; or tab splits the header most
+function parseCSV(text){
+  text = text.replace(/^\uFEFF/, '');
+  const header = text.split('\n', 1)[0];
+  const delim = [',', ';', '\t'].reduce((a, b) => header.split(b).length > header.split(a).length ? b : a);
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++){
+    const c = text[i];
+    if (quoted){
+      if (c !== '"') field += c;
+      else if (text[i + 1] === '"'){ field += '"'; i++; }
+      else quoted = false;
+    } else if (c === '"') quoted = true;
+    else if (c === delim){ row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r'){
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else field += c;
+  }
+  if (field || row.length){ row.push(field); rows.push(row); }
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// Points from the "lat"/"lon" columns the manifest names, else the usual suspects
+function csvToCollection(text, { lat, lon } = {}){
+  const [header = [], ...rows] = parseCSV(text);
+  const find = (name, re) => name ? header.indexOf(name) : header.findIndex(h => re.test(h.trim()));
+  const iy = find(lat, /^(lat|latitude|y)$/i), ix = find(lon, /^(lon|lng|long|longitude|x)$/i);
+  if (ix < 0 || iy < 0) throw new Error('no lat/lon columns in ' + header.join(', '));
+  const num = (v) => parseFloat(String(v).replace(',', '.'));
+  const features = [];
+  for (const r of rows){
+    const properties = {};
+    header.forEach((h, i) => { properties[h] = (r[i] == null || r[i] === '') ? null : r[i]; });
+    features.push({ type:'Feature', properties, geometry:{ type:'Point', coordinates:[num(r[ix]), num(r[iy])] } });
+  }
+  return { type:'FeatureCollection', features };
+}
+
+// Rows keyed by the header, empty cells as null
+function csvToRows(text){
+  const [header = [], ...rows] = parseCSV(text);
+  const keys = header.map(h => h.trim());
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] == null || r[i] === '') ? null : r[i]])));
+}
+
+function fgbToCollection(buffer){
+  if (typeof flatgeobuf === 'undefined') importScripts(FLATGEOBUF_JS);
+  return flatgeobuf.deserialize(new Uint8Array(buffer));
+}
+
+async function readCollection({ url, format, ...options }){
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(res.status + ' ' + res.statusText);
+  if (format === 'csv') return csvToCollection(await res.text(), options);
+  if (format === 'fgb') return fgbToCollection(await res.arrayBuffer());
+  return res.json();
+}
+
+// A JSON table is either an array of rows or a FeatureCollection whose properties are the rows
+async function readTable({ url, format }){
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(res.status + ' ' + res.statusText);
+  if (format === 'csv') return csvToRows(await res.text());
+  const json = await res.json();
+  return Array.isArray(json) ? json : (json.features || []).map(f => f.properties || {});
+}
+
+// ------------- Index -------------
+const cellKey = (cx, cy) => cx + ',' + cy;
+
+// Column arrays per feature, plus:
+//   order      feature indices sorted by year, unknown years at the end (from `known`)
+//   bySpecies  species code → feature indices
+//   grid       GRID_DEG cell → feature indices
+//   species    sigle → { fr, en, latin, count, byYear } for the species browser
+//   causes     cause → count
+function buildIndex(kind, features){
+  const n = features.length;
+  const yearOf = (kind === 'trees') ? plantYear : fellYear;
+  const year = new Float64Array(n), height = new Float64Array(n);
+  const lng = new Float64Array(n), lat = new Float64Array(n);
+  const speciesCode = new Int32Array(n), causeCode = new Int32Array(n);
+  const speciesCodes = new Map(), causeCodes = new Map();
+  const bySpecies = [], grid = new Map(), species = new Map(), causes = new Map();
+  const code = (codes, v) => {
+    if (v == null || v === '') return -1;
+    let c = codes.get(v);
+    if (c === undefined) codes.set(v, c = codes.size);
+    return c;
+  };
+
+  for (let i = 0; i < n; i++){
+    const p = features[i].properties || {};
+    const [x, y] = features[i].geometry.coordinates;
+    year[i] = yearOf(p);
+    height[i] = parseFloat(p.hauteur_m);
+    lng[i] = x; lat[i] = y;
+
+    const key = speciesKey(p);
+    const s = speciesCode[i] = code(speciesCodes, key);
+    if (s >= 0){
+      (bySpecies[s] ||= []).push(i);
+      let e = species.get(key);
+      if (!e) species.set(key, e = { fr: null, en: null, latin: null, count: 0, byYear: new Map() });
+      e.fr ||= p.essence_fr || p.sp_essence_fr || null;
+      e.en ||= p.essence_ang || p.sp_essence_ang || null;
+      e.latin ||= p.essence_latin || p.sp_essence_latin || null;
+      e.count++;
+      if (isFinite(year[i])) e.byYear.set(year[i], (e.byYear.get(year[i]) || 0) + 1);
+    }
+
+    const cause = (p.cause == null) ? '' : String(p.cause);
+    causeCode[i] = code(causeCodes, cause);
+    if (cause) causes.set(cause, (causes.get(cause) || 0) + 1);
+
+    const cell = cellKey(Math.floor(x / GRID_DEG), Math.floor(y / GRID_DEG));
+    const bucket = grid.get(cell);
+    if (bucket) bucket.push(i); else grid.set(cell, [i]);
+  }
+
+  const order = new Uint32Array(n);
+  for (let i = 0; i < n; i++) order[i] = i;
+  order.sort((a, b) => {
+    const ya = year[a], yb = year[b];
+    if (isNaN(ya)) return isNaN(yb) ? a - b : 1;
+    if (isNaN(yb)) return -1;
+    return ya - yb || a - b;
+  });
+  let known = 0;
+  while (known < n && !isNaN(year[order[known]])) known++;
+
+  return { n, year, height, lng, lat, speciesCode, causeCode, speciesCodes, causeCodes,
+           order, known, bySpecies, grid, species, causes };
+}
+
+// First position in order[0, known) whose year is >= y (or > y when after is set)
+function yearBound(ix, y, after = false){
+  let lo = 0, hi = ix.known;
+  while (lo < hi){
+    const mid = (lo + hi) >> 1, v = ix.year[ix.order[mid]];
+    if (after ? v <= y : v < y) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+// ------------- Queries -------------
+// Mirrors filterPredicate() in app.js. Each index that applies offers a list of candidate
+// runs; the smallest one is scanned and the remaining clauses are tested per feature.
+function query(kind, { filters, years = true, bounds = null }){
+  const ds = datasets[kind];
+  if (!ds) return new Uint32Array(0);
+  const ix = ds.index;
+  const { species, height, causes, unknownYear } = filters;
+  const [lo, hi] = (kind === 'trees') ? filters.plant : filters.fell;
+  const speciesSet = new Set();
+  for (const s of species) if (ix.speciesCodes.has(s)) speciesSet.add(ix.speciesCodes.get(s));
+  const causeSet = new Set();
+  for (const c of causes) if (ix.causeCodes.has(c)) causeSet.add(ix.causeCodes.get(c));
+  const useHeight = kind === 'trees' && !!height;
+  const useCauses = kind === 'fellings' && causes.size > 0;
+  if ((species.size && !speciesSet.size) || (useCauses && !causeSet.size)) return new Uint32Array(0);
+
+  const plans = [];
+  const size = (runs) => runs.reduce((s, r) => s + r.length, 0);
+  if (years){
+    const runs = [ix.order.subarray(yearBound(ix, lo), yearBound(ix, hi, true))];
+    if (unknownYear) runs.push(ix.order.subarray(ix.known));
+    plans.push(runs);
+  }
+  if (species.size) plans.push(Array.from(speciesSet, c => ix.bySpecies[c]));
+  if (bounds){
+    const [w, s, e, n] = bounds;
+    const x0 = Math.floor(w / GRID_DEG), x1 = Math.floor(e / GRID_DEG);
+    const y0 = Math.floor(s / GRID_DEG), y1 = Math.floor(n / GRID_DEG);
+    // a view wider than the data is cheaper to scan than to walk cell by cell
+    if ((x1 - x0 + 1) * (y1 - y0 + 1) <= ix.grid.size){
+      const runs = [];
+      for (let cx = x0; cx <= x1; cx++) for (let cy = y0; cy <= y1; cy++){
+        const bucket = ix.grid.get(cellKey(cx, cy));
+        if (bucket) runs.push(bucket);
+      }
+      plans.push(runs);
+    }
+  }
+  const runs = plans.length ? plans.reduce((a, b) => size(b) < size(a) ? b : a) : [ix.order];
+
+  const keep = (i) => {
+    if (years){
+      const y = ix.year[i];
+      if (isNaN(y) ? !unknownYear : (y < lo || y > hi)) return false;
+    }
+    if (species.size && !speciesSet.has(ix.speciesCode[i])) return false;
+    if (useHeight){
+      const h = ix.height[i];
+      if (!isFinite(h) || (height[0] != null && h < height[0]) || (height[1] != null && h > height[1])) return false;
+    }
+    if (useCauses && !causeSet.has(ix.causeCode[i])) return false;
+    if (bounds){
+      const [w, s, e, n] = bounds;
+      if (ix.lng[i] < w || ix.lng[i] > e || ix.lat[i] < s || ix.lat[i] > n) return false;
+    }
+    return true;
+  };
+
+  const out = new Uint32Array(size(runs));
+  let k = 0;
+  for (const run of runs) for (const i of run) if (keep(i)) out[k++] = i;
+  // source order, so the map draws the same way whichever index answered
+  return out.subarray(0, k).sort();
+}
+
+function yearCounts(kind, q){
+  const { year } = datasets[kind]?.index || {};
+  const counts = new Map();
+  for (const i of query(kind, q)){
+    if (!isNaN(year[i])) counts.set(year[i], (counts.get(year[i]) || 0) + 1);
+  }
+  const keys = Int32Array.from(Array.from(counts.keys()).sort((a, b) => a - b));
+  return { keys, counts: Uint32Array.from(keys, y => counts.get(y)) };
+}
+
+// ------------- Replanting -------------
+// Pairs fellings with later plantings, one to one: fellings are taken oldest first and each
+// claims the nearest unclaimed tree planted within `distance` metres and within `windowYears` years
+// of the removal year (same year included). Runs on the loaded datasets unless the caller
+// sends { n, year, lng, lat } columns (vector tiles). Out, per felling: the matched tree's
+// index, or one of the codes below.
+const UNMATCHED = -1, UNKNOWN_YEAR = -2;
+const PENDING = -3;   // nothing yet, but the window runs past the newest planting on record
+
+function matchReplanting({ distance, windowYears, fellings, trees }){
+  const f = fellings || datasets.fellings?.index, t = trees || datasets.trees?.index;
+  if (!f || !t) return new Int32Array(0);
+  const lat0 = f.n ? f.lat[0] : 45.5;
+  const my = 111320, mx = 111320 * Math.cos(lat0 * Math.PI / 180);
+  const dx = distance / mx, dy = distance / my;
+
+  const cells = new Map();
+  let newest = -Infinity;
+  for (let j = 0; j < t.n; j++){
+    if (isNaN(t.year[j])) continue;
+    if (t.year[j] > newest) newest = t.year[j];
+    const key = cellKey(Math.floor(t.lng[j] / dx), Math.floor(t.lat[j] / dy));
+    const bucket = cells.get(key);
+    if (bucket) bucket.push(j); else cells.set(key, [j]);
+  }
+
+  const out = new Int32Array(f.n).fill(UNMATCHED);
+  const order = [];
+  for (let i = 0; i < f.n; i++){
+    if (isNaN(f.year[i])) out[i] = UNKNOWN_YEAR;
+    else order.push(i);
+  }
+  order.sort((a, b) => f.year[a] - f.year[b] || a - b);
+
+  const taken = new Uint8Array(t.n);
+  for (const i of order){
+    const y = f.year[i], x0 = f.lng[i], y0 = f.lat[i];
+    const cx = Math.floor(x0 / dx), cy = Math.floor(y0 / dy);
+    let best = -1, bestD = Infinity;
+    for (let ox = -1; ox <= 1; ox++) for (let oy = -1; oy <= 1; oy++){
+      for (const j of cells.get(cellKey(cx + ox, cy + oy)) || []){
+        if (taken[j] || t.year[j] < y || t.year[j] > y + windowYears) continue;
+        const d = Math.hypot((t.lng[j] - x0) * mx, (t.lat[j] - y0) * my);
+        if (d <= distance && d < bestD){ best = j; bestD = d; }
+      }
+    }
+    if (best >= 0){ taken[best] = 1; out[i] = best; }
+    else if (y + windowYears > newest) out[i] = PENDING;
+  }
+  return out;
+}
+
+// ------------- Air quality -------------
+// RSQA readings come wide (one column per pollutant) or long (pollutant + value columns); the
+// manifest may name its "columns". Only daily aggregates are kept:
+// station → pollutant → day (YYYY-MM-DD) → [sum, count, max]
+const AIR_COLUMNS = {
+  station:   /^(no_poste|numero_station|station_?id|station|poste)$/i,
+  date:      /^(date|jour|day)$/i,
+  hour:      /^(heure|hour|time)$/i,
+  pollutant: /^(polluant|pollutant|parametre|parameter)$/i,
+  value:     /^(valeur|value|concentration)$/i
+};
+const AIR_NAMES = { pm2_5: 'PM2.5', pm25: 'PM2.5', 'pm2.5': 'PM2.5', pm10: 'PM10' };
+const airName = (h) => AIR_NAMES[h.trim().toLowerCase()] || h.trim().toUpperCase();
+const stationId = (v) => String(v ?? '').trim().replace(/^0+(?=\d)/, '');   // "003" and "3" alike
+let air = null;
+
+async function airLoad({ source }){
+  if (air) return air.summary;
+  const res = await fetch(source.url);
+  if (!res.ok) throw new Error(res.status + ' ' + res.statusText);
+  const [header = [], ...rows] = parseCSV(await res.text());
+  const named = source.columns || {};
+  const col = (k) => named[k] ? header.indexOf(named[k]) : header.findIndex(h => AIR_COLUMNS[k].test(h.trim()));
+  const iStation = col('station'), iDate = col('date'), iPollutant = col('pollutant'), iValue = col('value');
+  if (iStation < 0 || iDate < 0) throw new Error('no station/date columns in ' + header.join(', '));
+  const long = iPollutant >= 0 && iValue >= 0;
+  const skip = new Set([iStation, iDate, col('hour')]);
+  const wide = long ? [] : header.map((h, i) => [i, airName(h)]).filter(([i]) => !skip.has(i));
+
+  const stations = new Map();
+  const add = (station, pollutant, day, raw) => {
+    const v = parseFloat(String(raw ?? '').replace(',', '.'));
+    if (!isFinite(v) || v < 0) return;
+    let byPollutant = stations.get(station);
+    if (!byPollutant) stations.set(station, byPollutant = new Map());
+    let days = byPollutant.get(pollutant);
+    if (!days) byPollutant.set(pollutant, days = new Map());
+    const d = days.get(day);
+    if (d){ d[0] += v; d[1]++; if (v > d[2]) d[2] = v; }
+    else days.set(day, [v, 1, v]);
+  };
+  for (const r of rows){
+    const station = stationId(r[iStation]), day = String(r[iDate] ?? '').slice(0, 10);
+    if (!station || !day) continue;
+    if (long) add(station, airName(String(r[iPollutant] ?? '')), day, r[iValue]);
+    else for (const [i, name] of wide) add(station, name, day, r[i]);
+  }
+  const pollutants = new Set();
+  for (const byPollutant of stations.values()) for (const p of byPollutant.keys()) pollutants.add(p);
+  air = { stations, summary: { stations: Array.from(stations.keys()), pollutants: Array.from(pollutants).sort() } };
+  return air.summary;
+}
+
+// Per pollutant: daily and monthly means (keys ascending), hours with data, the mean over all
+// hours, the worst daily mean, and the days whose mean is above thresholds[pollutant]
+function airSeries({ station, thresholds = {} }){
+  const out = {};
+  for (const [pollutant, days] of air?.stations.get(stationId(station)) || []){
+    const dayKeys = Array.from(days.keys()).sort();
+    const daily = Float32Array.from(dayKeys, k => days.get(k)[0] / days.get(k)[1]);
+    const months = new Map();
+    let sum = 0, hours = 0, peak = 0, exceed = 0;
+    dayKeys.forEach((k, i)=>{
+      const [s, n] = days.get(k);
+      sum += s; hours += n;
+      const m = months.get(k.slice(0, 7)) || months.set(k.slice(0, 7), [0, 0]).get(k.slice(0, 7));
+      m[0] += s; m[1] += n;
+      if (daily[i] > peak) peak = daily[i];
+      if (thresholds[pollutant] != null && daily[i] > thresholds[pollutant]) exceed++;
+    });
+    const monthKeys = Array.from(months.keys()).sort();
+    out[pollutant] = {
+      days: dayKeys, daily,
+      months: monthKeys, monthly: Float32Array.from(monthKeys, k => months.get(k)[0] / months.get(k)[1]),
+      hours, mean: hours ? sum / hours : null, peak_daily: dayKeys.length ? peak : null,
+      exceedance_days: thresholds[pollutant] != null ? exceed : null
+    };
+  }
+  return out;
+}
+
+// ------------- Columns -------------
+// 'load' hands the points over as columns in transferable buffers: a structured clone of
+// hundreds of thousands of small feature objects costs the main thread about what parsing the
+// file would. Numeric columns are Float64Arrays, NaN where missing; any other column holds
+// codes into its table of distinct values, code 0 meaning missing. unpackFeatures in app.js
+// turns them back into features.
+function packFeatures(features){
+  const n = features.length;
+  const coords = new Float64Array(2 * n);
+  const keys = new Set();
+  features.forEach((f, i)=>{
+    [coords[2 * i], coords[2 * i + 1]] = f.geometry.coordinates;
+    for (const k in f.properties || {}) keys.add(k);
+  });
+  const columns = [];
+  for (const key of keys){
+    if (features.every(f => f.properties?.[key] == null || typeof f.properties[key] === 'number')){
+      const data = new Float64Array(n);
+      features.forEach((f, i)=>{ data[i] = f.properties?.[key] ?? NaN; });
+      columns.push({ key, data });
+      continue;
+    }
+    const values = [undefined], codes = new Uint32Array(n), seen = new Map();
+    features.forEach((f, i)=>{
+      const v = f.properties?.[key];
+      if (v === undefined) return;
+      let c = seen.get(v);
+      if (c === undefined){ c = values.push(v) - 1; seen.set(v, c); }
+      codes[i] = c;
+    });
+    columns.push({ key, codes, values });
+  }
+  const ids = features.some(f => f.id != null) ? features.map(f => f.id) : null;
+  return { count: n, coords, columns, ids };
+}
+
+// ------------- Messages -------------
+async function read(name, source){
+  try{
+    const fc = await readCollection(source);
+    console.log('[load]', name + ':', fc?.features?.length || 'n/a');
+    return fc;
+  }catch(e){
+    console.error('[load-error]', name, e);
+    return null;
+  }
+}
+
+async function table(name, source){
+  try{
+    const rows = await readTable(source);
+    console.log('[load]', name + ':', rows.length);
+    return rows;
+  }catch(e){
+    console.error('[load-error]', name, e);
+    return null;
+  }
+}
+
+async function load({ kind, source }){
+  const { features } = flattenPoints(await read(kind, source));
+  const index = buildIndex(kind, features);
+  datasets[kind] = { features, index };
+  const points = packFeatures(features);
+  return {
+    result: { kind, points, species: index.species, causes: index.causes },
+    transfer: [points.coords.buffer, ...points.columns.map(c => (c.data || c.codes).buffer)]
+  };
+}
+
+async function handle(msg){
+  switch (msg.type){
+    case 'load': return load(msg);
+    case 'read': return { result: { collection: await read(msg.name, msg.source) } };
+    case 'table': return { result: { rows: await table(msg.name, msg.source) } };
+    case 'filter': {
+      const indices = query(msg.kind, msg);
+      return { result: { indices }, transfer: [indices.buffer] };
+    }
+    case 'aggregate': {
+      if (msg.by !== 'year') throw new Error('unknown aggregate: ' + msg.by);
+      const res = yearCounts(msg.kind, msg);
+      return { result: res, transfer: [res.keys.buffer, res.counts.buffer] };
+    }
+    case 'airLoad': return { result: await airLoad(msg) };
+    case 'airSeries': return { result: { series: airSeries(msg) } };
+    case 'match': {
+      const match = matchReplanting(msg);
+      return { result: { match }, transfer: [match.buffer] };
+    }
+    default: throw new Error('unknown message: ' + msg.type);
+  }
+}
+
+// One job at a time, yielding between jobs so cancels that arrived meanwhile are seen
+async function drain(){
+  const msg = queue.shift();
+  try{
+    const { result, transfer = [] } = await handle(msg);
+    self.postMessage({ id: msg.id, ...result }, transfer);
+  }catch(e){
+    self.postMessage({ id: msg.id, error: String(e?.message || e) });
+  }
+  if (queue.length) setTimeout(drain);
+  else draining = false;
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'cancel'){
+    const i = queue.findIndex(m => m.id === data.id);
+    if (i >= 0) queue.splice(i, 1);
+    return;
+  }
+  queue.push(data);
+  if (!draining){ draining = true; setTimeout(drain); }
+};
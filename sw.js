@@ -0,0 +1,114 @@
+// Service worker: keeps Tree MTL usable with bad or no reception.
+//   shell   app files, locales, glyphs and the CDN scripts; stale-while-revalidate
+//   tiles   CARTO basemap tiles; cache first, capped at TILE_LIMIT entries
+//   ranges  HTTP range responses (PMTiles): network first, cached per url + byte range
+// "Save this area offline" in the app simply fetches through here to fill tiles and ranges.
+
+const VERSION = 'v2';
+const SHELL = 'treemtl-shell-' + VERSION;
+const TILES = 'treemtl-tiles-' + VERSION;
+const RANGES = 'treemtl-ranges-' + VERSION;
+const TILE_LIMIT = 4000;
+
+const SHELL_FILES = [
+  './', './index.html', './app.js', './data-worker.js', './styles.css',
+  './sources.json', './dataset_sum.csv', './allometry.json', './manifest.webmanifest', './icons/icon.svg',
+  './vendor/flatgeobuf-geojson.min.js',
+  './locales/index.json', './locales/en.json', './locales/fr.json',
+  './glyphs/DejaVu Sans Book/0-255.pbf', './glyphs/DejaVu Sans Book/256-511.pbf', './glyphs/DejaVu Sans Book/8192-8447.pbf'
+];
+// Cross-origin extras: worth having offline, but not worth failing the install over
+const SHELL_EXTRAS = [
+  'https://unpkg.com/maplibre-gl@3.6.2/dist/maplibre-gl.js',
+  'https://unpkg.com/maplibre-gl@3.6.2/dist/maplibre-gl.css',
+  'https://unpkg.com/pmtiles@3/dist/pmtiles.js',
+  'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600&family=Playfair+Display:wght@700&display=swap'
+];
+const TILE_HOSTS = ['basemaps.cartocdn.com'];
+const SHELL_HOSTS = [self.location.host, 'unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (e)=>{
+  e.waitUntil((async ()=>{
+    const cache = await caches.open(SHELL);
+    await cache.addAll(SHELL_FILES);
+    await Promise.all(SHELL_EXTRAS.map(url => cache.add(url).catch(err => console.warn('[sw] not cached', url, err))));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (e)=>{
+  e.waitUntil((async ()=>{
+    const keep = [SHELL, TILES, RANGES];
+    for (const key of await caches.keys()) if (!keep.includes(key)) await caches.delete(key);
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (e)=>{
+  const req = e.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (req.headers.has('range')) e.respondWith(rangeFetch(req));
+  else if (TILE_HOSTS.some(h => url.host.endsWith(h))) e.respondWith(tileFetch(req));
+  else if (SHELL_HOSTS.includes(url.host)) e.respondWith(shellFetch(e, req));
+});
+
+async function shellFetch(e, req){
+  const cache = await caches.open(SHELL);
+  const cached = await cache.match(req, { ignoreVary: true });
+  const fresh = fetch(req).then(res => {
+    if (res.ok) cache.put(req, res.clone());
+    return res;
+  });
+  if (cached){
+    e.waitUntil(fresh.catch(()=>{}));
+    return cached;
+  }
+  return fresh;
+}
+
+async function tileFetch(req){
+  const cache = await caches.open(TILES);
+  const cached = await cache.match(req);
+  if (cached) return cached;
+  const res = await fetch(req);
+  if (res.ok){
+    await cache.put(req, res.clone());
+    trimTiles(cache);
+  }
+  return res;
+}
+
+// Oldest first, which is insertion order for Cache.keys()
+async function trimTiles(cache){
+  const keys = await cache.keys();
+  for (const key of keys.slice(0, Math.max(0, keys.length - TILE_LIMIT))) await cache.delete(key);
+}
+
+// The Cache API refuses 206 responses, so each range is stored as a 200 under its own key and
+// turned back into a 206 on the way out
+function rangeKey(req){
+  const url = new URL(req.url);
+  url.searchParams.set('__range', req.headers.get('range'));
+  return url.href;
+}
+
+async function rangeFetch(req){
+  const cache = await caches.open(RANGES);
+  const key = rangeKey(req);
+  try{
+    const res = await fetch(req);
+    if (res.status === 206){
+      const body = await res.arrayBuffer();
+      const headers = new Headers(res.headers);
+      await cache.put(key, new Response(body, { status: 200, headers }));
+      return new Response(body, { status: 206, statusText: 'Partial Content', headers });
+    }
+    return res;
+  }catch(err){
+    const cached = await cache.match(key);
+    if (!cached) throw err;
+    const body = await cached.arrayBuffer();
+    return new Response(body, { status: 206, statusText: 'Partial Content', headers: cached.headers });
+  }
+}
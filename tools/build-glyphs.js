@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+// Builds the offline map glyphs: signed-distance-field PBF ranges in the format MapLibre
+// fetches from a style's "glyphs" URL (24 px, 3 px buffer, radius 8, cutoff 0.25, the same
+// parameters as fontnik). Reads a TrueType font directly, so it needs nothing but node.
+//
+//   node tools/build-glyphs.js /usr/share/fonts/truetype/dejavu/DejaVuSans.ttf "DejaVu Sans Book" glyphs 0-255 256-511 8192-8447
+//
+// Writes <out>/<fontstack>/<start>-<end>.pbf for each range.
+
+const fs = require('fs');
+const path = require('path');
+
+const SIZE = 24, BUFFER = 3, RADIUS = 8, CUTOFF = 0.25;
+
+// ---------------- TrueType ----------------
+function readFont(file){
+  const buf = fs.readFileSync(file);
+  const tables = {};
+  const numTables = buf.readUInt16BE(4);
+  for (let i = 0; i < numTables; i++){
+    const o = 12 + i * 16;
+    tables[buf.toString('latin1', o, o + 4)] = buf.readUInt32BE(o + 8);
+  }
+  const head = tables.head, hhea = tables.hhea, maxp = tables.maxp;
+  const unitsPerEm = buf.readUInt16BE(head + 18);
+  const longLoca = buf.readInt16BE(head + 50) === 1;
+  const ascender = buf.readInt16BE(hhea + 4);
+  const numHMetrics = buf.readUInt16BE(hhea + 34);
+  const numGlyphs = buf.readUInt16BE(maxp + 4);
+
+  const loca = (g) => longLoca ? buf.readUInt32BE(tables.loca + g * 4) : buf.readUInt16BE(tables.loca + g * 2) * 2;
+  const advance = (g) => buf.readUInt16BE(tables.hmtx + Math.min(g, numHMetrics - 1) * 4);
+
+  // cmap format 4 (BMP) from the Windows Unicode subtable
+  const cmap = new Map();
+  const nSub = buf.readUInt16BE(tables.cmap + 2);
+  for (let i = 0; i < nSub; i++){
+    const rec = tables.cmap + 4 + i * 8;
+    const platform = buf.readUInt16BE(rec), encoding = buf.readUInt16BE(rec + 2);
+    const sub = tables.cmap + buf.readUInt32BE(rec + 4);
+    if (platform !== 3 || encoding !== 1 || buf.readUInt16BE(sub) !== 4) continue;
+    const segX2 = buf.readUInt16BE(sub + 6);
+    const ends = sub + 14, starts = ends + segX2 + 2, deltas = starts + segX2, offsets = deltas + segX2;
+    for (let s = 0; s < segX2 / 2; s++){
+      const end = buf.readUInt16BE(ends + s * 2), start = buf.readUInt16BE(starts + s * 2);
+      const delta = buf.readInt16BE(deltas + s * 2), ro = buf.readUInt16BE(offsets + s * 2);
+      for (let c = start; c <= end && c !== 0xFFFF; c++){
+        let g;
+        if (!ro) g = (c + delta) & 0xFFFF;
+        else {
+          g = buf.readUInt16BE(offsets + s * 2 + ro + (c - start) * 2);
+          if (g) g = (g + delta) & 0xFFFF;
+        }
+        if (g) cmap.set(c, g);
+      }
+    }
+  }
+
+  // Contours as arrays of { x, y, on }, composites resolved
+  function contours(g, depth = 0){
+    if (g >= numGlyphs || depth > 8) return [];
+    const start = loca(g), end = loca(g + 1);
+    if (start === end) return [];
+    let o = tables.glyf + start;
+    const n = buf.readInt16BE(o);
+    o += 10;
+    if (n >= 0){
+      const endPts = [];
+      for (let i = 0; i < n; i++) endPts.push(buf.readUInt16BE(o + i * 2));
+      o += n * 2;
+      o += 2 + buf.readUInt16BE(o);
+      const count = n ? endPts[n - 1] + 1 : 0;
+      const flags = [];
+      while (flags.length < count){
+        const f = buf[o++];
+        flags.push(f);
+        if (f & 8){ for (let r = buf[o++]; r > 0; r--) flags.push(f); }
+      }
+      const coords = (short, same) => {
+        const out = [];
+        let v = 0;
+        for (const f of flags){
+          if (f & short){ const d = buf[o++]; v += (f & same) ? d : -d; }
+          else if (!(f & same)){ v += buf.readInt16BE(o); o += 2; }
+          out.push(v);
+        }
+        return out;
+      };
+      const xs = coords(2, 16), ys = coords(4, 32);
+      const out = [];
+      let first = 0;
+      for (const last of endPts){
+        const c = [];
+        for (let i = first; i <= last; i++) c.push({ x: xs[i], y: ys[i], on: !!(flags[i] & 1) });
+        out.push(c);
+        first = last + 1;
+      }
+      return out;
+    }
+    const out = [];
+    let more = true;
+    while (more){
+      const flags = buf.readUInt16BE(o), child = buf.readUInt16BE(o + 2);
+      o += 4;
+      let dx, dy;
+      if (flags & 1){ dx = buf.readInt16BE(o); dy = buf.readInt16BE(o + 2); o += 4; }
+      else { dx = buf.readInt8(o); dy = buf.readInt8(o + 1); o += 2; }
+      let a = 1, b = 0, c = 0, d = 1;
+      const f2dot14 = (at) => buf.readInt16BE(at) / 16384;
+      if (flags & 8){ a = d = f2dot14(o); o += 2; }
+      else if (flags & 0x40){ a = f2dot14(o); d = f2dot14(o + 2); o += 4; }
+      else if (flags & 0x80){ a = f2dot14(o); b = f2dot14(o + 2); c = f2dot14(o + 4); d = f2dot14(o + 6); o += 8; }
+      if (!(flags & 2)) dx = dy = 0;   // point-matched components are rare in Latin fonts
+      for (const contour of contours(child, depth + 1)){
+        out.push(contour.map(p => ({ x: a * p.x + c * p.y + dx, y: b * p.x + d * p.y + dy, on: p.on })));
+      }
+      more = !!(flags & 0x20);
+    }
+    return out;
+  }
+
+  return { unitsPerEm, ascender, cmap, advance, contours };
+}
+
+// Quadratic B-splines flattened to closed polylines
+function flatten(contour, scale){
+  const pts = contour.map(p => ({ x: p.x * scale, y: p.y * scale, on: p.on }));
+  if (!pts.length) return [];
+  // start on an on-curve point, adding the implied one between two off-curve points
+  let startIdx = pts.findIndex(p => p.on);
+  const mid = (p, q) => ({ x: (p.x + q.x) / 2, y: (p.y + q.y) / 2, on: true });
+  const seq = (startIdx < 0) ? [mid(pts[0], pts[1]), ...pts.slice(1), pts[0]]
+                             : [...pts.slice(startIdx), ...pts.slice(0, startIdx)];
+  const out = [seq[0]];
+  let prev = seq[0];
+  for (let i = 1; i <= seq.length; i++){
+    const p = seq[i % seq.length];
+    if (p.on){ out.push(p); prev = p; continue; }
+    const next = seq[(i + 1) % seq.length];
+    const end = next.on ? next : mid(p, next);
+    for (let t = 1; t <= 6; t++){
+      const u = t / 6, v = 1 - u;
+      out.push({ x: v * v * prev.x + 2 * v * u * p.x + u * u * end.x, y: v * v * prev.y + 2 * v * u * p.y + u * u * end.y });
+    }
+    prev = end;
+    if (next.on) i++;
+  }
+  return out;
+}
+
+function segmentDistance(px, py, a, b){
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const len = dx * dx + dy * dy;
+  const t = len ? Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / len)) : 0;
+  const x = a.x + t * dx - px, y = a.y + t * dy - py;
+  return Math.sqrt(x * x + y * y);
+}
+
+// Non-zero winding, as TrueType fills
+function winding(px, py, rings){
+  let w = 0;
+  for (const ring of rings){
+    for (let i = 0; i < ring.length - 1; i++){
+      const a = ring[i], b = ring[i + 1];
+      if (a.y <= py){
+        if (b.y > py && (b.x - a.x) * (py - a.y) - (px - a.x) * (b.y - a.y) > 0) w++;
+      } else if (b.y <= py && (b.x - a.x) * (py - a.y) - (px - a.x) * (b.y - a.y) < 0) w--;
+    }
+  }
+  return w;
+}
+
+function glyph(font, code){
+  const g = font.cmap.get(code);
+  if (g == null) return null;
+  const scale = SIZE / font.unitsPerEm;
+  const advance = Math.round(font.advance(g) * scale);
+  const rings = font.contours(g).map(c => flatten(c, scale)).filter(r => r.length > 2);
+  if (!rings.length) return { id: code, width: 0, height: 0, left: 0, top: 0, advance, bitmap: Buffer.alloc(0) };
+
+  const all = rings.flat();
+  const xmin = Math.floor(Math.min(...all.map(p => p.x))), xmax = Math.ceil(Math.max(...all.map(p => p.x)));
+  const ymin = Math.floor(Math.min(...all.map(p => p.y))), ymax = Math.ceil(Math.max(...all.map(p => p.y)));
+  const width = xmax - xmin, height = ymax - ymin;
+  const W = width + 2 * BUFFER, H = height + 2 * BUFFER;
+  const bitmap = Buffer.alloc(W * H);
+  for (let j = 0; j < H; j++){
+    for (let i = 0; i < W; i++){
+      const px = xmin - BUFFER + i + 0.5, py = ymax + BUFFER - j - 0.5;
+      let d = Infinity;
+      for (const ring of rings) for (let k = 0; k < ring.length - 1; k++) d = Math.min(d, segmentDistance(px, py, ring[k], ring[k + 1]));
+      if (winding(px, py, rings) !== 0) d = -d;
+      bitmap[j * W + i] = Math.max(0, Math.min(255, Math.round(255 - 255 * (d / RADIUS + CUTOFF))));
+    }
+  }
+  const ascender = Math.round(font.ascender * scale);
+  return { id: code, width, height, left: xmin, top: ymax - ascender, advance, bitmap };
+}
+
+// ---------------- Protobuf ----------------
+function varint(n){
+  const out = [];
+  n >>>= 0;
+  while (n > 127){ out.push((n & 127) | 128); n >>>= 7; }
+  out.push(n);
+  return Buffer.from(out);
+}
+const zigzag = (n) => (n << 1) ^ (n >> 31);
+const field = (num, wire) => varint((num << 3) | wire);
+const uint = (num, v) => Buffer.concat([field(num, 0), varint(v)]);
+const bytes = (num, b) => Buffer.concat([field(num, 2), varint(b.length), b]);
+
+function encodeGlyph(g){
+  return Buffer.concat([
+    uint(1, g.id),
+    g.bitmap.length ? bytes(2, g.bitmap) : Buffer.alloc(0),
+    uint(3, g.width), uint(4, g.height),
+    uint(5, zigzag(g.left)), uint(6, zigzag(g.top)),
+    uint(7, g.advance)
+  ]);
+}
+
+function encodeRange(font, name, start, end){
+  const parts = [bytes(1, Buffer.from(name)), bytes(2, Buffer.from(`${start}-${end}`))];
+  for (let c = start; c <= end; c++){
+    const g = glyph(font, c);
+    if (g) parts.push(bytes(3, encodeGlyph(g)));
+  }
+  return bytes(1, Buffer.concat(parts));
+}
+
+// ---------------- main ----------------
+const [ttf, name, outDir, ...ranges] = process.argv.slice(2);
+if (!ttf || !name || !outDir || !ranges.length){
+  console.error('usage: build-glyphs.js <font.ttf> <fontstack name> <out dir> <start-end>...');
+  process.exit(1);
+}
+const font = readFont(ttf);
+const dir = path.join(outDir, name);
+fs.mkdirSync(dir, { recursive: true });
+for (const range of ranges){
+  const [start, end] = range.split('-').map(Number);
+  const pbf = encodeRange(font, name, start, end);
+  fs.writeFileSync(path.join(dir, `${start}-${end}.pbf`), pbf);
+  console.log(`${name} ${start}-${end}: ${pbf.length} bytes`);
+}
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// A local stand-in for the feedback endpoint, to test reports end to end without a server.
+// Accepts the multipart POSTs the app sends, prints their text fields and keeps each report
+// (fields as JSON, plus the photo if there is one) under <out dir>. Answers 503 instead when
+// started with --fail, to exercise the offline queue.
+//
+//   node tools/feedback-stand-in.js [port] [out dir] [--fail]
+//
+// Then point the app at it: <meta name="feedback-endpoint" content="http://localhost:8787/feedback" />
+// in index.html, or TreeMTL.create(el, { feedbackEndpoint: 'http://localhost:8787/feedback' }).
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const fail = args.includes('--fail');
+const [port = '8787', out = 'feedback-reports'] = args.filter(a => a !== '--fail');
+
+const CORS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+// ---------------- Multipart ----------------
+// Just enough of RFC 7578 for FormData bodies: [{ name, filename, type, data }]
+function parseMultipart(buf, boundary){
+  const parts = [];
+  const sep = Buffer.from('--' + boundary);
+  let at = buf.indexOf(sep);
+  while (at !== -1){
+    const start = at + sep.length;
+    if (buf.toString('latin1', start, start + 2) === '--') break;
+    const next = buf.indexOf(sep, start);
+    if (next === -1) break;
+    const part = buf.subarray(start + 2, next - 2); // drop the CRLFs around it
+    const split = part.indexOf('\r\n\r\n');
+    const head = part.toString('utf8', 0, split);
+    const disposition = /content-disposition:([^\r\n]*)/i.exec(head)?.[1] || '';
+    parts.push({
+      name: /\bname="([^"]*)"/.exec(disposition)?.[1],
+      filename: /\bfilename="([^"]*)"/.exec(disposition)?.[1],
+      type: /content-type:\s*([^\r\n]*)/i.exec(head)?.[1],
+      data: part.subarray(split + 4),
+    });
+    at = next;
+  }
+  return parts;
+}
+
+// ---------------- Server ----------------
+fs.mkdirSync(out, { recursive: true });
+let count = 0;
+
+http.createServer((req, res) => {
+  if (req.method === 'OPTIONS'){ res.writeHead(204, CORS); res.end(); return; }
+  if (req.method !== 'POST'){ res.writeHead(405, CORS); res.end(); return; }
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', () => {
+    if (fail){
+      console.log(`refused a report (${Buffer.concat(chunks).length} bytes)`);
+      res.writeHead(503, CORS); res.end(); return;
+    }
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(req.headers['content-type'] || '');
+    if (!boundary){ res.writeHead(400, CORS); res.end('expected multipart/form-data'); return; }
+    const id = `${Date.now()}-${++count}`;
+    const fields = {};
+    for (const p of parseMultipart(Buffer.concat(chunks), boundary[1] || boundary[2])){
+      if (p.filename == null){ fields[p.name] = p.data.toString('utf8'); continue; }
+      const file = `${id}-${path.basename(p.filename) || 'photo'}`;
+      fs.writeFileSync(path.join(out, file), p.data);
+      fields[p.name] = file;
+    }
+    fs.writeFileSync(path.join(out, id + '.json'), JSON.stringify(fields, null, 2));
+    console.log(`report ${id}:`, fields);
+    res.writeHead(200, { ...CORS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ id }));
+  });
+}).listen(Number(port), () => {
+  console.log(`feedback stand-in on http://localhost:${port}/feedback, reports in ${path.resolve(out)}${fail ? ' (refusing them)' : ''}`);
+});